@@ -0,0 +1,334 @@
+// AudioEngine - Web Audio playback for presentation systems
+// Responsibilities:
+// - Preloads and decodes registered sounds (each sound may have several file variations)
+// - Routes voices through sfx / music / ambience buses into a master gain
+// - Picks a random variation per play (never the same one twice in a row when there is a choice)
+// - Limits concurrent voices per sound and overall, stealing the oldest voice
+// - Stereo pan per voice (StereoPannerNode where available)
+// - Glides and fades on playing voices (loops, ducking, crossfades)
+// - Mute and per-bus volume, persisted in localStorage
+// - Degrades to a silent no-op when Web Audio or an asset is unavailable
+
+(function() {
+  'use strict';
+
+  const SETTINGS_STORAGE_KEY = 'rugflight.audio';
+  const BUS_NAMES = ['sfx', 'music', 'ambience'];
+
+  class AudioEngine {
+  constructor(options = {}) {
+    this.basePath = options.basePath || '';
+    this.random = options.random || null; // Forked SeededRandom (falls back to Math.random)
+    this.maxVoices = options.maxVoices || 24; // Hard cap across all sounds
+
+    this.sounds = new Map(); // name -> { files, bus, volume, maxVoices, buffers, lastVariation }
+    this.voices = []; // Active voices, oldest first
+
+    this.settings = this.loadSettings();
+
+    this.context = null;
+    this.master = null;
+    this.buses = {};
+    this.createContext();
+  }
+
+  createContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      logger.warn('[AudioEngine] Web Audio not supported - audio disabled');
+      return;
+    }
+
+    this.context = new AudioContextClass();
+    this.master = this.context.createGain();
+    this.master.connect(this.context.destination);
+
+    for (const busName of BUS_NAMES) {
+      const bus = this.context.createGain();
+      bus.connect(this.master);
+      this.buses[busName] = bus;
+    }
+    this.applySettings();
+  }
+
+  isAvailable() {
+    return this.context !== null;
+  }
+
+  // Bus node for systems that build their own graphs (MusicSequencer)
+  getBus(name) {
+    return this.buses[name] || null;
+  }
+
+  // Register a sound: files are variations, one is picked at random per play
+  register(name, definition) {
+    console.assert(BUS_NAMES.includes(definition.bus || 'sfx'), `[AudioEngine] ERROR: Unknown bus for ${name}`);
+
+    this.sounds.set(name, {
+      files: definition.files,
+      bus: definition.bus || 'sfx',
+      volume: definition.volume !== undefined ? definition.volume : 1.0,
+      maxVoices: definition.maxVoices || 4,
+      buffers: [],
+      lastVariation: -1
+    });
+  }
+
+  // Fetch and decode every registered file - resolves when all have loaded or failed
+  preload() {
+    if (!this.isAvailable()) {
+      return Promise.resolve();
+    }
+
+    const loads = [];
+    for (const [name, sound] of this.sounds) {
+      sound.files.forEach((file, index) => {
+        loads.push(this.loadBuffer(this.basePath + file)
+          .then(buffer => { if (buffer) sound.buffers[index] = buffer; })
+          .catch(error => logger.warn(`[AudioEngine] Failed to load ${file} for ${name}:`, error.message || error)));
+      });
+    }
+
+    return Promise.all(loads).then(() => {
+      logger.info(`[AudioEngine] Preloaded ${this.sounds.size} sounds`);
+    });
+  }
+
+  loadBuffer(url) {
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      // Callback form - older Safari has no promise-based decodeAudioData
+      // Engine destroyed while fetching - drop the data
+      .then(data => this.context
+        ? new Promise((resolve, reject) => this.context.decodeAudioData(data, resolve, reject))
+        : null);
+  }
+
+  // Browsers start the context suspended until a user gesture
+  unlock() {
+    if (this.context && this.context.state === 'suspended') {
+      this.context.resume();
+    }
+  }
+
+  // Play one variation of a sound, returns the voice (null when nothing could play)
+  // options: { volume, playbackRate, pan (-1 left .. 1 right), loop }
+  play(name, options = {}) {
+    const sound = this.sounds.get(name);
+    if (!this.isAvailable() || !sound) {
+      return null;
+    }
+
+    const variation = this.pickVariation(sound);
+    if (variation === -1) {
+      return null; // Nothing decoded (yet)
+    }
+
+    this.enforceVoiceLimits(name, sound);
+
+    const source = this.context.createBufferSource();
+    source.buffer = sound.buffers[variation];
+    source.playbackRate.value = options.playbackRate || 1.0;
+    source.loop = !!options.loop;
+
+    const gain = this.context.createGain();
+    gain.gain.value = sound.volume * (options.volume !== undefined ? options.volume : 1.0);
+
+    // Panner is optional - older browsers play centered
+    let panner = null;
+    source.connect(gain);
+    if (this.context.createStereoPanner) {
+      panner = this.context.createStereoPanner();
+      panner.pan.value = Math.max(-1, Math.min(1, options.pan || 0));
+      gain.connect(panner);
+      panner.connect(this.buses[sound.bus]);
+    } else {
+      gain.connect(this.buses[sound.bus]);
+    }
+
+    const voice = { name: name, source: source, gain: gain, panner: panner, baseVolume: sound.volume, stopped: false };
+    source.onended = () => this.releaseVoice(voice);
+    source.start();
+    this.voices.push(voice);
+
+    return voice;
+  }
+
+  // Glide a playing voice towards new { volume, playbackRate, pan }
+  // timeConstant: seconds to close ~63% of the gap; delay: seconds before the glide starts
+  rampVoice(voice, options, timeConstant = 0.03, delay = 0) {
+    if (!voice || voice.stopped || !this.isAvailable()) return;
+
+    const startTime = this.context.currentTime + delay;
+    const glide = (param, value) => {
+      param.cancelScheduledValues(startTime);
+      param.setTargetAtTime(value, startTime, timeConstant);
+    };
+
+    if (options.volume !== undefined) {
+      glide(voice.gain.gain, voice.baseVolume * options.volume);
+    }
+    if (options.playbackRate !== undefined) {
+      glide(voice.source.playbackRate, options.playbackRate);
+    }
+    if (options.pan !== undefined && voice.panner) {
+      glide(voice.panner.pan, Math.max(-1, Math.min(1, options.pan)));
+    }
+  }
+
+  // Fade a voice to silence, then stop it
+  fadeOutVoice(voice, seconds) {
+    if (!voice || voice.stopped || !this.isAvailable()) return;
+
+    this.rampVoice(voice, { volume: 0 }, seconds / 4);
+    try {
+      voice.source.stop(this.context.currentTime + seconds);
+    } catch (error) {
+      this.stopVoice(voice);
+    }
+  }
+
+  // Random decoded variation, avoiding an immediate repeat
+  pickVariation(sound) {
+    const available = [];
+    for (let i = 0; i < sound.buffers.length; i++) {
+      if (sound.buffers[i] && (i !== sound.lastVariation || sound.buffers.length === 1)) {
+        available.push(i);
+      }
+    }
+    if (available.length === 0 && sound.buffers[sound.lastVariation]) {
+      available.push(sound.lastVariation);
+    }
+    if (available.length === 0) {
+      return -1;
+    }
+
+    const roll = this.random ? this.random.next() : Math.random();
+    const variation = available[Math.floor(roll * available.length)];
+    sound.lastVariation = variation;
+    return variation;
+  }
+
+  // Steal the oldest voice of this sound, then the oldest overall, when at a limit
+  enforceVoiceLimits(name, sound) {
+    const sameSound = this.voices.filter(voice => voice.name === name);
+    if (sameSound.length >= sound.maxVoices) {
+      this.stopVoice(sameSound[0]);
+    }
+    if (this.voices.length >= this.maxVoices) {
+      this.stopVoice(this.voices[0]);
+    }
+  }
+
+  stopVoice(voice) {
+    if (!voice || voice.stopped) return;
+
+    voice.stopped = true;
+    try {
+      voice.source.stop();
+    } catch (error) {
+      // Already stopped
+    }
+    this.releaseVoice(voice);
+  }
+
+  releaseVoice(voice) {
+    const index = this.voices.indexOf(voice);
+    if (index !== -1) {
+      this.voices.splice(index, 1);
+    }
+    voice.stopped = true;
+    voice.gain.disconnect();
+    if (voice.panner) {
+      voice.panner.disconnect();
+    }
+  }
+
+  stopAll() {
+    for (const voice of this.voices.slice()) {
+      this.stopVoice(voice);
+    }
+  }
+
+  getActiveVoiceCount() {
+    return this.voices.length;
+  }
+
+  // ===== Mute and volume (persisted) =====
+
+  setMuted(muted) {
+    this.settings.muted = !!muted;
+    this.applySettings();
+    this.saveSettings();
+  }
+
+  toggleMute() {
+    this.setMuted(!this.settings.muted);
+    return this.settings.muted;
+  }
+
+  isMuted() {
+    return this.settings.muted;
+  }
+
+  // bus: 'master', 'sfx', 'music' or 'ambience'; volume in [0, 1]
+  setVolume(bus, volume) {
+    console.assert(bus in this.settings.volumes, `[AudioEngine] ERROR: Unknown bus ${bus}`);
+    this.settings.volumes[bus] = Math.max(0, Math.min(1, volume));
+    this.applySettings();
+    this.saveSettings();
+  }
+
+  getVolume(bus) {
+    return this.settings.volumes[bus];
+  }
+
+  applySettings() {
+    if (!this.isAvailable()) return;
+
+    this.master.gain.value = this.settings.muted ? 0 : this.settings.volumes.master;
+    for (const busName of BUS_NAMES) {
+      this.buses[busName].gain.value = this.settings.volumes[busName];
+    }
+  }
+
+  loadSettings() {
+    const defaults = { muted: false, volumes: { master: 0.8, sfx: 1.0, music: 0.6, ambience: 0.5 } };
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY));
+      if (stored && typeof stored === 'object') {
+        return {
+          muted: !!stored.muted,
+          volumes: { ...defaults.volumes, ...(stored.volumes || {}) }
+        };
+      }
+    } catch (error) {
+      // Storage unavailable or corrupt - use defaults
+    }
+    return defaults;
+  }
+
+  saveSettings() {
+    try {
+      window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      // Storage unavailable (private mode) - settings last for this session only
+    }
+  }
+
+  destroy() {
+    this.stopAll();
+    if (this.context && this.context.close) {
+      this.context.close();
+    }
+    this.context = null;
+  }
+}
+
+  // Expose globally
+  window.AudioEngine = AudioEngine;
+
+})();
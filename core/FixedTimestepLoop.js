@@ -0,0 +1,67 @@
+// FixedTimestepLoop - Fixed-step simulation clock with accumulator
+// Responsibilities:
+// - Converts variable display frame times into whole fixed simulation steps
+// - Clamps long frames (backgrounded tab, debugger pause) to avoid the spiral of death
+// - Reports the leftover fraction of a step as the render interpolation alpha
+
+(function() {
+  'use strict';
+
+  class FixedTimestepLoop {
+  constructor(stepSeconds = 1 / 60, maxFrameSeconds = 0.25, maxStepsPerFrame = 8) {
+    this.stepSeconds = stepSeconds;
+    this.maxFrameSeconds = maxFrameSeconds; // Longest frame time fed into the accumulator
+    this.maxStepsPerFrame = maxStepsPerFrame; // Hard cap on catch-up steps per display frame
+
+    this.accumulator = 0;
+    this.lastTimestamp = null;
+    this.droppedSteps = 0; // Steps discarded by clamping (diagnostics)
+  }
+
+  // Advance by a requestAnimationFrame timestamp (ms) - first call only primes the clock
+  tick(timestampMs, step) {
+    const frameSeconds = this.lastTimestamp === null ? 0 : (timestampMs - this.lastTimestamp) / 1000;
+    this.lastTimestamp = timestampMs;
+    return this.advance(frameSeconds, step);
+  }
+
+  // Run as many fixed steps as the elapsed time allows, returns interpolation alpha [0, 1)
+  advance(frameSeconds, step) {
+    const clampedSeconds = Math.min(Math.max(frameSeconds, 0), this.maxFrameSeconds);
+    if (clampedSeconds < frameSeconds) {
+      this.droppedSteps += Math.floor((frameSeconds - clampedSeconds) / this.stepSeconds);
+    }
+
+    this.accumulator += clampedSeconds;
+
+    let steps = 0;
+    while (this.accumulator >= this.stepSeconds && steps < this.maxStepsPerFrame) {
+      step(this.stepSeconds);
+      this.accumulator -= this.stepSeconds;
+      steps++;
+    }
+
+    // Still behind after the cap - drop whole steps rather than fall further behind
+    if (this.accumulator >= this.stepSeconds) {
+      this.droppedSteps += Math.floor(this.accumulator / this.stepSeconds);
+      this.accumulator %= this.stepSeconds;
+    }
+
+    return this.getAlpha();
+  }
+
+  getAlpha() {
+    return this.accumulator / this.stepSeconds;
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.lastTimestamp = null;
+    this.droppedSteps = 0;
+  }
+}
+
+  // Expose globally
+  window.FixedTimestepLoop = FixedTimestepLoop;
+
+})();
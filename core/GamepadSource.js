@@ -0,0 +1,132 @@
+// GamepadSource - Gamepad API polling mapped onto input actions
+// Responsibilities:
+// - Tracks connected controllers (hot-plug via gamepadconnected / gamepaddisconnected)
+// - Maps D-pad and left stick (with radial deadzone) to MOVE_LEFT / MOVE_RIGHT / CLIMB / DIVE
+// - Lane moves are edge-triggered: one pulse per push, the stick must return before the next
+// - Start maps to PAUSE, A to RESTART (standard mapping button indices)
+// - Merges every connected controller - any pad can fly
+
+(function() {
+  'use strict';
+
+  // Standard mapping (https://w3c.github.io/gamepad/#remapping)
+  const BUTTONS = {
+    A: 0,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+  };
+
+  // Actions reported as a single-poll pulse per press rather than while held
+  const EDGE_ACTIONS = ['MOVE_LEFT', 'MOVE_RIGHT'];
+
+  class GamepadSource {
+  constructor(options = {}) {
+    this.deadzone = options.deadzone !== undefined ? options.deadzone : 0.25; // Radial - stick reads neutral inside it
+    this.pressThreshold = options.pressThreshold !== undefined ? options.pressThreshold : 0.6; // Stick push that counts as a press
+    this.releaseThreshold = options.releaseThreshold !== undefined ? options.releaseThreshold : 0.35; // Hysteresis - must fall below to re-arm
+
+    this.padStates = new Map(); // gamepad index -> { held: Set of actions }
+    this.isSupported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+
+    this.handleConnected = (event) => {
+      logger.info(`[GamepadSource] Connected ${event.gamepad.id} (index ${event.gamepad.index}, mapping '${event.gamepad.mapping}')`);
+      this.padStates.set(event.gamepad.index, { held: new Set() });
+    };
+    this.handleDisconnected = (event) => {
+      logger.info(`[GamepadSource] Disconnected ${event.gamepad.id} (index ${event.gamepad.index})`);
+      this.padStates.delete(event.gamepad.index);
+    };
+
+    if (this.isSupported) {
+      window.addEventListener('gamepadconnected', this.handleConnected);
+      window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+    }
+  }
+
+  // Read every connected pad once - call once per simulation step
+  // Returns { held: Set of actions down this poll, pressed: Set of actions that went down this poll }
+  // Edge actions (lane moves) only appear in held on the poll they were pressed
+  poll() {
+    const held = new Set();
+    const pressed = new Set();
+    if (!this.isSupported) {
+      return { held: held, pressed: pressed };
+    }
+
+    for (const gamepad of navigator.getGamepads()) {
+      if (!gamepad || !gamepad.connected) continue;
+
+      // Pads already connected at page load may never fire gamepadconnected
+      if (!this.padStates.has(gamepad.index)) {
+        this.padStates.set(gamepad.index, { held: new Set() });
+      }
+      const padState = this.padStates.get(gamepad.index);
+      const padHeld = this.readPad(gamepad, padState.held);
+
+      for (const action of padHeld) {
+        const isNewPress = !padState.held.has(action);
+        if (isNewPress) {
+          pressed.add(action);
+        }
+        if (!EDGE_ACTIONS.includes(action) || isNewPress) {
+          held.add(action);
+        }
+      }
+      padState.held = padHeld;
+    }
+
+    return { held: held, pressed: pressed };
+  }
+
+  // Actions this pad holds right now (stick thresholds depend on what it held last poll)
+  readPad(gamepad, previouslyHeld) {
+    const actions = new Set();
+    const stick = this.applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+
+    const isDown = (button) => !!gamepad.buttons[button] && gamepad.buttons[button].pressed;
+    const stickPast = (value, action) => {
+      const threshold = previouslyHeld.has(action) ? this.releaseThreshold : this.pressThreshold;
+      return value >= threshold;
+    };
+
+    if (isDown(BUTTONS.DPAD_LEFT) || stickPast(-stick.x, 'MOVE_LEFT')) actions.add('MOVE_LEFT');
+    if (isDown(BUTTONS.DPAD_RIGHT) || stickPast(stick.x, 'MOVE_RIGHT')) actions.add('MOVE_RIGHT');
+    // Stick Y is positive downward
+    if (isDown(BUTTONS.DPAD_UP) || stickPast(-stick.y, 'CLIMB')) actions.add('CLIMB');
+    if (isDown(BUTTONS.DPAD_DOWN) || stickPast(stick.y, 'DIVE')) actions.add('DIVE');
+    if (isDown(BUTTONS.START)) actions.add('PAUSE');
+    if (isDown(BUTTONS.A)) actions.add('RESTART');
+
+    return actions;
+  }
+
+  // Radial deadzone, rescaled so values start at 0 just outside it
+  applyDeadzone(x, y) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < this.deadzone) {
+      return { x: 0, y: 0 };
+    }
+    const scale = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) / magnitude;
+    return { x: x * scale, y: y * scale };
+  }
+
+  getConnectedCount() {
+    return this.padStates.size;
+  }
+
+  destroy() {
+    if (this.isSupported) {
+      window.removeEventListener('gamepadconnected', this.handleConnected);
+      window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+    }
+    this.padStates.clear();
+  }
+}
+
+  // Expose globally
+  window.GamepadSource = GamepadSource;
+
+})();
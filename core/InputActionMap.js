@@ -0,0 +1,246 @@
+// InputActionMap - Named gameplay actions bound to keyboard codes
+// Responsibilities:
+// - Defines the actions (MOVE_LEFT, MOVE_RIGHT, CLIMB, DIVE, PAUSE, RESTART, MUTE) and their default keys
+// - Looks up the action for a key code and the keys for an action
+// - Rebinds keys with conflict detection (a key belongs to at most one action)
+// - Persists bindings in localStorage; unknown actions in storage are dropped, new actions get defaults
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'rugflight.controls';
+  const STORAGE_VERSION = 1;
+
+  // Two slots per action: primary and alternate (null = unbound)
+  const DEFAULT_BINDINGS = {
+    MOVE_LEFT: ['ArrowLeft', 'KeyA'],
+    MOVE_RIGHT: ['ArrowRight', 'KeyD'],
+    CLIMB: ['ArrowUp', 'KeyW'],
+    DIVE: ['ArrowDown', 'KeyS'],
+    PAUSE: ['KeyP', 'Escape'],
+    RESTART: ['Space', 'Enter'],
+    MUTE: ['KeyM', null]
+  };
+
+  // Display names for the rebinding UI
+  const ACTION_LABELS = {
+    MOVE_LEFT: 'Move left',
+    MOVE_RIGHT: 'Move right',
+    CLIMB: 'Climb',
+    DIVE: 'Dive',
+    PAUSE: 'Pause',
+    RESTART: 'Restart',
+    MUTE: 'Mute'
+  };
+
+  const SLOT_COUNT = 2;
+
+  class InputActionMap {
+  // options.storage: Storage-like object (defaults to window.localStorage, null = not persisted)
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : InputActionMap.getDefaultStorage();
+    this.bindings = InputActionMap.copyBindings(DEFAULT_BINDINGS);
+    this.codeToAction = new Map();
+
+    this.load();
+    this.rebuildLookup();
+  }
+
+  static getDefaultStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (error) {
+      return null; // Storage blocked (privacy settings)
+    }
+  }
+
+  static copyBindings(bindings) {
+    const copy = {};
+    for (const action of Object.keys(bindings)) {
+      copy[action] = bindings[action].slice();
+    }
+    return copy;
+  }
+
+  getActions() {
+    return Object.keys(this.bindings);
+  }
+
+  getLabel(action) {
+    return ACTION_LABELS[action] || action;
+  }
+
+  // Bound codes for an action (unbound slots omitted)
+  getCodes(action) {
+    return (this.bindings[action] || []).filter(code => code !== null);
+  }
+
+  // Slot contents for an action, including unbound (null) slots
+  getSlots(action) {
+    return (this.bindings[action] || []).slice();
+  }
+
+  // Action bound to a key code (null when unbound)
+  getActionForCode(code) {
+    return this.codeToAction.get(code) || null;
+  }
+
+  // Held state of an action from a key reader ({ isKeyDown(code) })
+  isActionDown(action, keyReader) {
+    return this.getCodes(action).some(code => keyReader.isKeyDown(code));
+  }
+
+  // Bind a code to an action slot
+  // Returns { bound, conflict } - conflict is { action, slot } when another action already uses the code
+  // A conflicting bind is refused unless options.swap, which moves this slot's old code to the other action
+  rebind(action, slot, code, options = {}) {
+    console.assert(action in this.bindings, `[InputActionMap] ERROR: Unknown action ${action}`);
+    console.assert(slot >= 0 && slot < SLOT_COUNT, `[InputActionMap] ERROR: Invalid slot ${slot}`);
+
+    const conflict = this.findConflict(action, slot, code);
+    if (conflict && !options.swap) {
+      return { bound: false, conflict: conflict };
+    }
+
+    if (conflict) {
+      this.bindings[conflict.action][conflict.slot] = this.bindings[action][slot];
+    } else {
+      // Same code in this action's other slot - clear it rather than bind a key twice
+      const duplicateSlot = this.bindings[action].indexOf(code);
+      if (duplicateSlot !== -1 && duplicateSlot !== slot) {
+        this.bindings[action][duplicateSlot] = null;
+      }
+    }
+    this.bindings[action][slot] = code;
+
+    this.rebuildLookup();
+    this.save();
+    return { bound: true, conflict: conflict };
+  }
+
+  unbind(action, slot) {
+    this.bindings[action][slot] = null;
+    this.rebuildLookup();
+    this.save();
+  }
+
+  // Another action holding this code (null when free)
+  findConflict(action, slot, code) {
+    for (const other of Object.keys(this.bindings)) {
+      if (other === action) continue;
+      const otherSlot = this.bindings[other].indexOf(code);
+      if (otherSlot !== -1) {
+        return { action: other, slot: otherSlot };
+      }
+    }
+    return null;
+  }
+
+  resetToDefaults() {
+    this.bindings = InputActionMap.copyBindings(DEFAULT_BINDINGS);
+    this.rebuildLookup();
+    this.save();
+  }
+
+  rebuildLookup() {
+    this.codeToAction.clear();
+    for (const action of Object.keys(this.bindings)) {
+      for (const code of this.bindings[action]) {
+        if (code !== null) {
+          this.codeToAction.set(code, action);
+        }
+      }
+    }
+  }
+
+  // Checks a stored document, returns { valid, errors }
+  static validate(document) {
+    const errors = [];
+    if (!document || typeof document !== 'object') {
+      return { valid: false, errors: ['document: must be an object'] };
+    }
+    if (document.version !== STORAGE_VERSION) {
+      errors.push(`version: must be ${STORAGE_VERSION}`);
+    }
+    if (!document.bindings || typeof document.bindings !== 'object') {
+      errors.push('bindings: must be an object');
+      return { valid: false, errors: errors };
+    }
+
+    const seen = new Map();
+    for (const action of Object.keys(document.bindings)) {
+      const slots = document.bindings[action];
+      if (!Array.isArray(slots) || slots.length !== SLOT_COUNT) {
+        errors.push(`bindings.${action}: must be an array of ${SLOT_COUNT} slots`);
+        continue;
+      }
+      slots.forEach((code, slot) => {
+        if (code !== null && typeof code !== 'string') {
+          errors.push(`bindings.${action}[${slot}]: must be a key code string or null`);
+        } else if (code !== null && seen.has(code)) {
+          errors.push(`bindings.${action}[${slot}]: ${code} is already bound to ${seen.get(code)}`);
+        } else if (code !== null) {
+          seen.set(code, action);
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+  }
+
+  load() {
+    if (!this.storage) return;
+
+    let document;
+    try {
+      document = JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch (error) {
+      document = null;
+    }
+    if (document === null) {
+      return; // Nothing stored - defaults
+    }
+
+    const result = InputActionMap.validate(document);
+    if (!result.valid) {
+      logger.warn('[InputActionMap] Ignoring stored bindings:', result.errors.join('; '));
+      return;
+    }
+
+    // Known actions take the stored keys; actions added since keep their defaults
+    for (const action of Object.keys(document.bindings)) {
+      if (action in this.bindings) {
+        this.bindings[action] = document.bindings[action].slice();
+      }
+    }
+
+    // A new action's default key may now clash with a stored binding - stored keys win
+    const stored = new Set();
+    for (const action of Object.keys(document.bindings)) {
+      for (const code of document.bindings[action]) {
+        if (code !== null) stored.add(code);
+      }
+    }
+    for (const action of Object.keys(this.bindings)) {
+      if (action in document.bindings) continue;
+      this.bindings[action] = this.bindings[action].map(code => (stored.has(code) ? null : code));
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, bindings: this.bindings }));
+    } catch (error) {
+      logger.warn('[InputActionMap] Could not save bindings:', error.message);
+    }
+  }
+}
+
+  InputActionMap.DEFAULT_BINDINGS = DEFAULT_BINDINGS;
+
+  // Expose globally
+  window.InputActionMap = InputActionMap;
+
+})();
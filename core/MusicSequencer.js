@@ -0,0 +1,305 @@
+// MusicSequencer - Adaptive, synthesized music on the AudioEngine music bus
+// Responsibilities:
+// - Schedules a looping chord progression as stacked layers (pad, bass, drums, arp, danger)
+// - Brings layers in and out by intensity (level, danger) on the next beat
+// - Plays short stings (level up, game over) quantized to the next beat
+// - Synthesizes every note with Web Audio oscillators/noise - no music assets, works offline
+//
+// Scheduling uses a short lookahead: update() queues every 16th-note step that starts before
+// currentTime + lookahead, so timing stays sample-accurate while the caller ticks at frame rate.
+
+(function() {
+  'use strict';
+
+  // One bar per chord: root MIDI note and chord intervals (Am - F - C - G)
+  const PROGRESSION = [
+    { root: 45, intervals: [0, 3, 7] },
+    { root: 41, intervals: [0, 4, 7] },
+    { root: 48, intervals: [0, 4, 7] },
+    { root: 43, intervals: [0, 4, 7] }
+  ];
+
+  const STEPS_PER_BEAT = 4;
+  const STEPS_PER_BAR = 16;
+
+  // Layer order is also the order they join in: minLevel 1 plays from the start
+  // danger joins on the last life regardless of level
+  const LAYERS = [
+    { name: 'pad', minLevel: 1, volume: 0.5 },
+    { name: 'bass', minLevel: 2, volume: 0.7 },
+    { name: 'drums', minLevel: 3, volume: 0.6 },
+    { name: 'arp', minLevel: 4, volume: 0.35 },
+    { name: 'danger', danger: true, volume: 0.45 }
+  ];
+
+  class MusicSequencer {
+  constructor(audioEngine, options = {}) {
+    this.audioEngine = audioEngine;
+    this.context = audioEngine.context;
+    this.random = options.random || null; // Noise source for percussion
+    this.bpm = options.bpm || 112;
+    this.lookahead = options.lookahead || 0.15; // Seconds of notes queued ahead of the clock
+
+    this.stepSeconds = 60 / this.bpm / STEPS_PER_BEAT;
+    this.isPlaying = false;
+    this.stepIndex = 0; // Steps since start (bar = stepIndex / 16)
+    this.nextStepTime = 0;
+
+    // Requested intensity - applied to layers on the next beat
+    this.intensity = { level: 1, danger: false, silent: false };
+    this.pendingStings = [];
+
+    this.layers = new Map(); // name -> { definition, gain, active }
+    this.noiseBuffer = null;
+
+    if (this.context) {
+      this.createLayers();
+    }
+  }
+
+  createLayers() {
+    const musicBus = this.audioEngine.getBus('music');
+    for (const definition of LAYERS) {
+      const gain = this.context.createGain();
+      gain.gain.value = 0;
+      gain.connect(musicBus);
+      this.layers.set(definition.name, { definition: definition, gain: gain, active: false });
+    }
+
+    // Stings bypass layer gains so they play over silence too
+    this.stingGain = this.context.createGain();
+    this.stingGain.gain.value = 0.6;
+    this.stingGain.connect(musicBus);
+
+    // One second of white noise for hats and the danger layer
+    const length = this.context.sampleRate;
+    this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = (this.random ? this.random.next() : Math.random()) * 2 - 1;
+    }
+  }
+
+  start() {
+    if (!this.context || this.isPlaying) return;
+
+    this.isPlaying = true;
+    this.stepIndex = 0;
+    this.nextStepTime = this.context.currentTime + 0.05;
+  }
+
+  // Fade every layer out and stop scheduling
+  stop(fadeSeconds = 0.3) {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    const now = this.context.currentTime;
+    for (const layer of this.layers.values()) {
+      layer.gain.gain.cancelScheduledValues(now);
+      layer.gain.gain.setTargetAtTime(0, now, fadeSeconds / 4);
+      layer.active = false;
+    }
+    this.pendingStings = [];
+  }
+
+  // level: DifficultyCurveSystem level; danger: last life; silent: no layers (game over)
+  setIntensity(level, danger, silent = false) {
+    this.intensity = { level: level, danger: danger, silent: silent };
+  }
+
+  // Queue a sting for the next beat: 'levelUp' or 'gameOver'
+  playSting(type) {
+    this.pendingStings.push(type);
+  }
+
+  // Queue every step starting inside the lookahead window
+  update() {
+    if (!this.isPlaying) return;
+
+    const horizon = this.context.currentTime + this.lookahead;
+
+    // After a stall (tab hidden, long frame) skip ahead instead of firing a burst of late notes
+    if (this.nextStepTime < this.context.currentTime - this.stepSeconds) {
+      const missed = Math.ceil((this.context.currentTime - this.nextStepTime) / this.stepSeconds);
+      this.stepIndex += missed;
+      this.nextStepTime += missed * this.stepSeconds;
+    }
+
+    while (this.nextStepTime < horizon) {
+      this.scheduleStep(this.stepIndex, this.nextStepTime);
+      this.stepIndex++;
+      this.nextStepTime += this.stepSeconds;
+    }
+  }
+
+  scheduleStep(stepIndex, time) {
+    const step = stepIndex % STEPS_PER_BAR;
+    const chord = PROGRESSION[Math.floor(stepIndex / STEPS_PER_BAR) % PROGRESSION.length];
+
+    // Beat boundary: layer changes and stings land here
+    if (step % STEPS_PER_BEAT === 0) {
+      this.applyIntensity(time);
+      for (const type of this.pendingStings) {
+        this.scheduleSting(type, chord, time);
+      }
+      this.pendingStings = [];
+    }
+
+    for (const layer of this.layers.values()) {
+      if (layer.active) {
+        this.scheduleLayerStep(layer.definition.name, step, chord, time);
+      }
+    }
+  }
+
+  applyIntensity(time) {
+    for (const layer of this.layers.values()) {
+      const definition = layer.definition;
+      const active = !this.intensity.silent &&
+        (definition.danger ? this.intensity.danger : this.intensity.level >= definition.minLevel);
+
+      if (active !== layer.active) {
+        layer.active = active;
+        layer.gain.gain.cancelScheduledValues(time);
+        layer.gain.gain.setTargetAtTime(active ? definition.volume : 0, time, active ? 0.08 : 0.25);
+      }
+    }
+  }
+
+  scheduleLayerStep(name, step, chord, time) {
+    const layer = this.layers.get(name).gain;
+    const beat = this.stepSeconds * STEPS_PER_BEAT;
+
+    switch (name) {
+      case 'pad':
+        if (step === 0) {
+          for (const interval of chord.intervals) {
+            this.playTone(layer, time, chord.root + 12 + interval, beat * 4, 'triangle', 0.12, 0.4, 0.6);
+          }
+        }
+        break;
+
+      case 'bass':
+        if (step === 0 || step === 6 || step === 8 || step === 14) {
+          this.playTone(layer, time, chord.root - 12, this.stepSeconds * 3, 'triangle', 0.5, 0.01, 0.08);
+        }
+        break;
+
+      case 'drums':
+        if (step % STEPS_PER_BEAT === 0) {
+          this.playKick(layer, time);
+        }
+        if (step % 2 === 0) {
+          this.playNoise(layer, time, 0.04, 0.12, 7000);
+        }
+        break;
+
+      case 'arp': {
+        const interval = chord.intervals[step % chord.intervals.length];
+        const octave = Math.floor(step / chord.intervals.length) % 2 === 0 ? 24 : 36;
+        this.playTone(layer, time, chord.root + octave + interval, this.stepSeconds * 0.8, 'square', 0.06, 0.005, 0.05);
+        break;
+      }
+
+      case 'danger':
+        // Driving low pulse with a minor-second rub and an off-beat noise tick
+        this.playTone(layer, time, chord.root - 12, this.stepSeconds * 0.5, 'sawtooth', 0.12, 0.005, 0.03);
+        if (step % STEPS_PER_BEAT === 2) {
+          this.playTone(layer, time, chord.root + 13, this.stepSeconds * 2, 'sawtooth', 0.05, 0.01, 0.1);
+          this.playNoise(layer, time, 0.03, 0.2, 3000);
+        }
+        break;
+    }
+  }
+
+  scheduleSting(type, chord, time) {
+    if (type === 'levelUp') {
+      // Rising major arpeggio
+      [0, 4, 7, 12, 16].forEach((interval, index) => {
+        this.playTone(this.stingGain, time + index * this.stepSeconds, chord.root + 24 + interval, this.stepSeconds * 2, 'square', 0.12, 0.005, 0.15);
+      });
+    } else if (type === 'gameOver') {
+      // Falling minor line ending on a long low note
+      [12, 7, 3, 0].forEach((interval, index) => {
+        const last = index === 3;
+        this.playTone(this.stingGain, time + index * this.stepSeconds * 2, 57 + interval, this.stepSeconds * (last ? 8 : 2), 'triangle', 0.3, 0.01, last ? 1.0 : 0.1);
+      });
+    }
+  }
+
+  // ===== Synth voices =====
+
+  midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+
+  playTone(destination, time, note, duration, waveform, volume, attack, release) {
+    const oscillator = this.context.createOscillator();
+    oscillator.type = waveform;
+    oscillator.frequency.value = this.midiToFrequency(note);
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0, time);
+    envelope.gain.linearRampToValueAtTime(volume, time + attack);
+    envelope.gain.setValueAtTime(volume, time + Math.max(attack, duration));
+    envelope.gain.linearRampToValueAtTime(0, time + Math.max(attack, duration) + release);
+
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + Math.max(attack, duration) + release + 0.01);
+    oscillator.onended = () => envelope.disconnect();
+  }
+
+  playKick(destination, time) {
+    const oscillator = this.context.createOscillator();
+    oscillator.frequency.setValueAtTime(120, time);
+    oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0.8, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.2);
+
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + 0.21);
+    oscillator.onended = () => envelope.disconnect();
+  }
+
+  playNoise(destination, time, duration, volume, highpassHz) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = highpassHz;
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(volume, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    source.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(destination);
+    // Random offset so consecutive hits don't repeat the same noise
+    source.start(time, (this.random ? this.random.next() : Math.random()) * 0.9, duration);
+    source.onended = () => envelope.disconnect();
+  }
+
+  destroy() {
+    this.stop(0.05);
+    for (const layer of this.layers.values()) {
+      layer.gain.disconnect();
+    }
+    if (this.stingGain) {
+      this.stingGain.disconnect();
+    }
+    this.layers.clear();
+  }
+}
+
+  // Expose globally
+  window.MusicSequencer = MusicSequencer;
+
+})();
@@ -0,0 +1,85 @@
+// SeededRandom - Deterministic, seedable random source
+// Responsibilities:
+// - Produces a reproducible sequence of numbers from a 32-bit seed (mulberry32)
+// - Accepts numeric or string seeds (strings are hashed)
+// - Forks named child streams so presentation-only consumers (clouds, VFX)
+//   never shift the gameplay sequence, headless or not
+
+(function() {
+  'use strict';
+
+  // FNV-1a hash - maps any string to an unsigned 32-bit integer
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.reseed(seed);
+  }
+
+  // Normalize any seed input to an unsigned 32-bit integer
+  // Integer strings (e.g. from ?seed=) map to the same seed as the number they spell
+  static normalizeSeed(seed) {
+    if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+      seed = Number(seed);
+    }
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+    return hashString(String(seed));
+  }
+
+  // Fresh seed for runs that were not given one (logged so the run can be reproduced)
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  reseed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  // Float in [0, 1) - drop-in replacement for Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [0, maxExclusive)
+  int(maxExclusive) {
+    return Math.floor(this.next() * maxExclusive);
+  }
+
+  // Random element of a non-empty array
+  pick(choices) {
+    return choices[this.int(choices.length)];
+  }
+
+  // Independent child stream derived from this seed and a label
+  fork(label) {
+    return new SeededRandom(hashString(`${this.seed}:${label}`));
+  }
+}
+
+  // Expose globally
+  window.SeededRandom = SeededRandom;
+
+})();
@@ -0,0 +1,189 @@
+// TouchSource - Touch gestures and on-screen buttons mapped onto input actions
+// Responsibilities:
+// - Swipe left/right on the game canvas: one lane move per swipe (a long drag can move again)
+// - Swipe up/down: CLIMB / DIVE held until the finger lifts (quick flicks hold briefly)
+// - Tap: RESTART press (restarts after game over, resumes when paused)
+// - Optional on-screen buttons bound to any action
+// - Polled once per simulation step like GamepadSource; queued lane moves are released with a
+//   neutral poll between them so each one reads as a separate press
+
+(function() {
+  'use strict';
+
+  // Actions reported as a single-poll pulse per press rather than while held
+  const EDGE_ACTIONS = ['MOVE_LEFT', 'MOVE_RIGHT'];
+
+  class TouchSource {
+  constructor(target, options = {}) {
+    this.target = target; // Gesture surface (renderer canvas)
+    this.swipeThreshold = options.swipeThreshold || 30; // Pixels of travel per swipe
+    this.tapMaxMs = options.tapMaxMs || 250;
+    this.tapMaxMove = options.tapMaxMove || 10; // Pixels - more is a drag, not a tap
+    this.flickHoldMs = options.flickHoldMs || 250; // Minimum CLIMB/DIVE hold for a quick vertical flick
+
+    this.gesture = null; // { pointerId, startX, startY, anchorX, anchorY, startTime, moved }
+    this.verticalAction = null; // CLIMB or DIVE while a vertical swipe holds
+    this.verticalReleaseAt = 0; // Time the flick hold ends once the finger has lifted
+    this.queuedPresses = []; // Presses since the last poll, oldest first
+    this.laneMoveLastPoll = false; // A lane move was released last poll - the next one waits a poll
+    this.buttonActions = new Map(); // pointerId -> action held by an on-screen button
+    this.buttonBindings = []; // { element, handlers } for cleanup
+
+    this.handlePointerDown = (event) => this.onPointerDown(event);
+    this.handlePointerMove = (event) => this.onPointerMove(event);
+    this.handlePointerUp = (event) => this.onPointerUp(event);
+
+    // Target must have touch-action: none (World.init sets it on the canvas) or the page scrolls instead
+    this.target.addEventListener('pointerdown', this.handlePointerDown);
+    this.target.addEventListener('pointermove', this.handlePointerMove);
+    this.target.addEventListener('pointerup', this.handlePointerUp);
+    this.target.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  // Mouse pointers keep their own meaning - only fingers and pens make gestures
+  isGesturePointer(event) {
+    return event.pointerType === 'touch' || event.pointerType === 'pen';
+  }
+
+  onPointerDown(event) {
+    if (!this.isGesturePointer(event) || this.gesture) return;
+
+    this.verticalAction = null; // A new touch ends any flick hold still running
+    this.gesture = {
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      anchorX: event.clientX,
+      anchorY: event.clientY,
+      startTime: performance.now(),
+      moved: false
+    };
+  }
+
+  onPointerMove(event) {
+    const gesture = this.gesture;
+    if (!gesture || event.pointerId !== gesture.pointerId) return;
+
+    const dx = event.clientX - gesture.anchorX;
+    const dy = event.clientY - gesture.anchorY;
+    if (Math.abs(event.clientX - gesture.startX) > this.tapMaxMove || Math.abs(event.clientY - gesture.startY) > this.tapMaxMove) {
+      gesture.moved = true;
+    }
+
+    if (Math.abs(dx) >= this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+      this.queuedPresses.push(dx < 0 ? 'MOVE_LEFT' : 'MOVE_RIGHT');
+      // Re-anchor so continuing the drag needs another full swipe for the next lane
+      gesture.anchorX = event.clientX;
+      gesture.anchorY = event.clientY;
+    } else if (Math.abs(dy) >= this.swipeThreshold && Math.abs(dy) > Math.abs(dx)) {
+      const action = dy < 0 ? 'CLIMB' : 'DIVE'; // Screen Y grows downward
+      if (action !== this.verticalAction) {
+        this.verticalAction = action;
+        this.queuedPresses.push(action);
+      }
+      this.verticalReleaseAt = performance.now() + this.flickHoldMs;
+      gesture.anchorX = event.clientX;
+      gesture.anchorY = event.clientY;
+    }
+  }
+
+  onPointerUp(event) {
+    const gesture = this.gesture;
+    if (!gesture || event.pointerId !== gesture.pointerId) return;
+
+    if (!gesture.moved && performance.now() - gesture.startTime <= this.tapMaxMs) {
+      this.queuedPresses.push('RESTART');
+    }
+    this.gesture = null; // Vertical hold runs out at verticalReleaseAt
+  }
+
+  // On-screen button: holds its action while pressed (lane moves pulse once per press)
+  bindButton(element, action) {
+    const handlers = {
+      down: (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.buttonActions.set(event.pointerId, action);
+        this.queuedPresses.push(action);
+      },
+      up: (event) => {
+        this.buttonActions.delete(event.pointerId);
+      },
+      // Button taps must not reach window click handlers (game-over restart)
+      click: (event) => event.stopPropagation()
+    };
+
+    element.style.touchAction = 'none';
+    element.addEventListener('pointerdown', handlers.down);
+    element.addEventListener('pointerup', handlers.up);
+    element.addEventListener('pointercancel', handlers.up);
+    element.addEventListener('pointerleave', handlers.up);
+    element.addEventListener('click', handlers.click);
+    this.buttonBindings.push({ element: element, handlers: handlers });
+  }
+
+  // Same contract as GamepadSource.poll(): { held, pressed } for the coming step
+  poll() {
+    const held = new Set();
+    const pressed = new Set();
+
+    // One lane move per step, never two steps running, so quick double swipes become two presses, not one held move
+    let laneMoveReleased = this.laneMoveLastPoll;
+    let laneMoveThisPoll = false;
+    const remaining = [];
+    for (const action of this.queuedPresses) {
+      if (EDGE_ACTIONS.includes(action)) {
+        if (laneMoveReleased) {
+          remaining.push(action);
+          continue;
+        }
+        laneMoveReleased = true;
+        laneMoveThisPoll = true;
+      }
+      pressed.add(action);
+      held.add(action);
+    }
+    this.queuedPresses = remaining;
+    this.laneMoveLastPoll = laneMoveThisPoll;
+
+    // Vertical swipe holds while the finger is down, or until a flick's hold runs out
+    if (this.verticalAction) {
+      if (this.gesture || performance.now() < this.verticalReleaseAt) {
+        held.add(this.verticalAction);
+      } else {
+        this.verticalAction = null;
+      }
+    }
+
+    for (const action of this.buttonActions.values()) {
+      if (!EDGE_ACTIONS.includes(action)) {
+        held.add(action);
+      }
+    }
+
+    return { held: held, pressed: pressed };
+  }
+
+  destroy() {
+    this.target.removeEventListener('pointerdown', this.handlePointerDown);
+    this.target.removeEventListener('pointermove', this.handlePointerMove);
+    this.target.removeEventListener('pointerup', this.handlePointerUp);
+    this.target.removeEventListener('pointercancel', this.handlePointerUp);
+
+    for (const { element, handlers } of this.buttonBindings) {
+      element.removeEventListener('pointerdown', handlers.down);
+      element.removeEventListener('pointerup', handlers.up);
+      element.removeEventListener('pointercancel', handlers.up);
+      element.removeEventListener('pointerleave', handlers.up);
+      element.removeEventListener('click', handlers.click);
+    }
+    this.buttonBindings = [];
+    this.buttonActions.clear();
+    this.queuedPresses = [];
+  }
+}
+
+  // Expose globally
+  window.TouchSource = TouchSource;
+
+})();
@@ -0,0 +1,110 @@
+// SpawnChunks - Built-in designed obstacle/coin chunks for Endless mode
+// Plain JSON document (see spawn-chunks.schema.json), loaded by SpawnChunkLibrary
+// Lanes are LaneSystem indices (0 left, 1 center, 2 right), z is the offset from the chunk start
+// tier places an entry below, at or above the MID_AIR flight baseline (default mid)
+
+(function() {
+  'use strict';
+
+  const SpawnChunks = {
+    "version": 1,
+    "chunks": [
+      {
+        "id": "lone-left",
+        "weight": 3,
+        "minLevel": 1,
+        "length": 60,
+        "mirrorable": true,
+        "entries": [
+          { "type": "obstacle", "lane": 0, "z": 0 },
+          { "type": "coin", "lane": 1, "z": 0 },
+          { "type": "coin", "lane": 1, "z": 30 },
+          { "type": "coin", "lane": 1, "z": 60 }
+        ]
+      },
+      {
+        "id": "center-block",
+        "weight": 3,
+        "minLevel": 1,
+        "length": 40,
+        "entries": [
+          { "type": "obstacle", "lane": 1, "z": 0 },
+          { "type": "coin", "lane": 0, "z": 20 },
+          { "type": "coin", "lane": 2, "z": 20 }
+        ]
+      },
+      {
+        "id": "coin-run",
+        "weight": 2,
+        "minLevel": 1,
+        "maxLevel": 4,
+        "length": 120,
+        "mirrorable": true,
+        "entries": [
+          { "type": "coin", "lane": 0, "z": 0 },
+          { "type": "coin", "lane": 0, "z": 30 },
+          { "type": "coin", "lane": 1, "z": 60 },
+          { "type": "coin", "lane": 2, "z": 90 },
+          { "type": "coin", "lane": 2, "z": 120 }
+        ]
+      },
+      {
+        "id": "double-wall",
+        "weight": 2,
+        "minLevel": 2,
+        "length": 40,
+        "mirrorable": true,
+        "entries": [
+          { "type": "obstacle", "lane": 0, "z": 0 },
+          { "type": "obstacle", "lane": 1, "z": 0 },
+          { "type": "coin", "lane": 2, "z": 0 },
+          { "type": "coin", "lane": 2, "z": 40 }
+        ]
+      },
+      {
+        "id": "duck-under",
+        "weight": 1,
+        "minLevel": 3,
+        "length": 30,
+        "entries": [
+          { "type": "obstacle", "lane": 0, "z": 0, "tier": "high" },
+          { "type": "obstacle", "lane": 1, "z": 0, "tier": "high" },
+          { "type": "obstacle", "lane": 2, "z": 0, "tier": "high" },
+          { "type": "coin", "lane": 1, "z": 30, "tier": "low", "coinTier": "silver" }
+        ]
+      },
+      {
+        "id": "slalom",
+        "weight": 2,
+        "minLevel": 3,
+        "length": 200,
+        "mirrorable": true,
+        "entries": [
+          { "type": "obstacle", "lane": 0, "z": 0 },
+          { "type": "obstacle", "lane": 1, "z": 0 },
+          { "type": "coin", "lane": 2, "z": 0 },
+          { "type": "obstacle", "lane": 1, "z": 200 },
+          { "type": "obstacle", "lane": 2, "z": 200 },
+          { "type": "coin", "lane": 0, "z": 200 }
+        ]
+      },
+      {
+        "id": "gate",
+        "weight": 1,
+        "minLevel": 5,
+        "length": 120,
+        "entries": [
+          { "type": "obstacle", "lane": 0, "z": 0 },
+          { "type": "obstacle", "lane": 2, "z": 0 },
+          { "type": "coin", "lane": 1, "z": 0 },
+          { "type": "obstacle", "lane": 1, "z": 120, "tier": "low" },
+          { "type": "coin", "lane": 1, "z": 120, "tier": "high", "coinTier": "gold" }
+        ]
+      }
+    ]
+  };
+
+  // Expose globally
+  window.SpawnChunks = SpawnChunks;
+
+})();
@@ -19,6 +19,9 @@
     // Vertical movement step size
     this.verticalStep = 15;
 
+    // Distance from the target lane center at which the lane switch counts as complete
+    this.arrivalTolerance = 1.0;
+
     if (window.DebugConfig && window.DebugConfig.ENABLE_LANE_LOGS) {
       console.log('[PlayerController] Player controller created');
     }
@@ -32,12 +35,12 @@
     if (intent.horizontal !== 0) {
       const laneDelta = intent.horizontal; // -1 or +1
 
-      // Calculate new target lane
+      // Calculate new target lane - from the target, so a press mid-switch chains on instead of being lost
       const newLaneIndex = Math.max(0, Math.min(this.laneSystem.getLaneCount() - 1,
-        this.currentLaneIndex + laneDelta));
+        this.targetLaneIndex + laneDelta));
 
       // Only update if lane actually changed
-      if (newLaneIndex !== this.currentLaneIndex) {
+      if (newLaneIndex !== this.targetLaneIndex) {
         this.targetLaneIndex = newLaneIndex;
 
         // Convert lane index to world X position
@@ -75,7 +78,7 @@
     const targetX = this.laneSystem.getLaneCenter(this.targetLaneIndex);
 
     // Update current lane when close enough to target
-    if (Math.abs(playerPos.x - targetX) < 1.0) {
+    if (Math.abs(playerPos.x - targetX) < this.arrivalTolerance) {
       this.currentLaneIndex = this.targetLaneIndex;
     }
   }
@@ -87,6 +90,13 @@
   getTargetLane() {
     return this.targetLaneIndex;
   }
+
+  // Return to the center lane for a new run
+  reset() {
+    this.currentLaneIndex = 1;
+    this.targetLaneIndex = 1;
+    this.playerEntity.setTargetX(this.laneSystem.getLaneCenter(this.targetLaneIndex));
+  }
 }
 
   // Expose globally
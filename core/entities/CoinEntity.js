@@ -0,0 +1,79 @@
+// CoinEntity - Collectible coin entity with no self-movement
+// Responsibilities:
+// - Owns coin state (id, type, laneIndex, position, value tier) and its pickup bounds
+// - No self-movement logic - Z position controlled by the spawning system
+// - position is the single simulated position: collision tests it and LaneEntityVisualSystem renders it
+
+(function() {
+  'use strict';
+
+  // Value tiers - value is what a pickup is worth to ScoreSystem
+  const TIERS = {
+    bronze: { value: 1, color: 0xcd7f32 },
+    silver: { value: 3, color: 0xc0c0c0 },
+    gold: { value: 5, color: 0xffd700 }
+  };
+
+  class CoinEntity {
+  constructor(id, laneIndex, z, y = 100, x = 0, tier = 'bronze') {
+    console.assert(tier in TIERS, `[CoinEntity] ERROR: Unknown coin tier ${tier}`);
+
+    this.id = id;
+    this.type = 'coin';
+    this.laneIndex = laneIndex;
+    this.z = z;
+    this.y = y; // Flight height (for collision detection)
+    this.tier = tier;
+    this.value = TIERS[tier].value;
+    this.radius = 3; // Pickup bounds half size - matches the coin mesh
+
+    // Position snapshot for visuals and domain events
+    this.position = { x: x, y: y, z: z };
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      logger.info(`[CoinEntity] Created ${tier} coin ${id} at lane ${laneIndex}, Z=${z.toFixed(2)}`);
+    }
+  }
+
+  // Set current Z (called by the owning spawn system every frame)
+  setZ(z) {
+    this.z = z;
+    this.position.z = z;
+  }
+
+  // Move across lanes / altitudes (PowerUpSystem magnet) - Z stays with the spawning system
+  setXY(x, y, laneIndex) {
+    this.position.x = x;
+    this.position.y = y;
+    this.y = y;
+    this.laneIndex = laneIndex;
+  }
+
+  // Axis-aligned pickup bounds at the current position
+  getBounds() {
+    const { x, y, z } = this.position;
+    return {
+      min: { x: x - this.radius, y: y - this.radius, z: z - this.radius },
+      max: { x: x + this.radius, y: y + this.radius, z: z + this.radius }
+    };
+  }
+
+  // Optional update method (no self-movement)
+  update(deltaTime) {
+    // No behavior for coin entity
+  }
+
+  // Cleanup method (the mesh belongs to LaneEntityVisualSystem)
+  destroy() {
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      logger.info(`[CoinEntity] Destroyed coin ${this.id}`);
+    }
+  }
+}
+
+  CoinEntity.TIERS = TIERS;
+
+  // Expose globally
+  window.CoinEntity = CoinEntity;
+
+})();
@@ -1,14 +1,14 @@
 // ObstacleEntity - Simple obstacle entity with no self-movement
 // Responsibilities:
-// - Owns obstacle state (id, type, laneIndex, z, mesh)
-// - No self-movement logic - Z position controlled externally
+// - Owns obstacle state (id, type, laneIndex, position, mesh) and its collision bounds
+// - No self-movement logic - Z position controlled externally (SpawnDirectorSystem)
 // - Only syncs mesh position to current state
 
 (function() {
   'use strict';
 
   class ObstacleEntity {
-  constructor(id, laneIndex, baseZ, spawnY, mesh = null, laneSystem = null, worldScrollerSystem = null) {
+  constructor(id, laneIndex, baseZ, spawnY, mesh = null, laneSystem = null) {
     this.id = id;
     this.type = 'OBSTACLE';
     this.laneIndex = laneIndex;
@@ -17,40 +17,38 @@
     this.z = baseZ; // Current Z position (satisfies EntityRegistry contract)
     this.y = spawnY; // Current Y position (for collision detection)
     this.mesh = mesh; // Optional visual representation
-    this.laneSystem = laneSystem; // For proper lane positioning
-    this.worldScrollerSystem = worldScrollerSystem; // For computing visual Z position
+    this.halfExtents = { x: 3, y: 4, z: 2 }; // Collision box - matches the SpawnDirectorSystem hazard mesh
+
+    // X position determined by lane center (falls back to the raw lane index)
+    this.x = laneSystem ? laneSystem.getLaneCenter(laneIndex) : laneIndex;
+
+    // Position snapshot for domain events
+    this.position = { x: this.x, y: this.y, z: this.z };
 
     if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
       console.log(`[ObstacleEntity] Created obstacle ${id} at lane ${laneIndex}, baseZ=${baseZ}, spawnY=${spawnY}`);
     }
   }
 
+  // Set current Z (called by the owning spawn system every frame)
+  setZ(z) {
+    this.z = z;
+    this.position.z = z;
+  }
+
+  // Axis-aligned collision bounds at the current position
+  getBounds() {
+    const half = this.halfExtents;
+    return {
+      min: { x: this.x - half.x, y: this.y - half.y, z: this.z - half.z },
+      max: { x: this.x + half.x, y: this.y + half.y, z: this.z + half.z }
+    };
+  }
+
   // Only syncs mesh position - no self-movement logic
   update(deltaTime) {
     if (this.mesh) {
-      // Compute visual Z position: baseZ + world scroll offset
-      // This makes obstacles appear to move toward player as world scrolls forward (+Z)
-      if (this.worldScrollerSystem) {
-        const visualZ = this.baseZ + this.worldScrollerSystem.getZoneZ('GROUND_PLANE');
-        this.mesh.position.z = visualZ;
-        this.z = visualZ; // Update z property to satisfy EntityRegistry contract
-      } else {
-        // Fallback - shouldn't happen in normal operation
-        this.mesh.position.z = this.baseZ;
-        this.z = this.baseZ; // Update z property to satisfy EntityRegistry contract
-      }
-
-      // X position determined by lane center (if laneSystem available)
-      if (this.laneSystem) {
-        const laneCenterX = this.laneSystem.getLaneCenter(this.laneIndex);
-        this.mesh.position.x = laneCenterX;
-      } else {
-        // Fallback to simple lane index (shouldn't happen in normal operation)
-        this.mesh.position.x = this.laneIndex;
-      }
-
-      // Y position - fixed at spawn height
-      this.mesh.position.y = this.y;
+      this.mesh.position.set(this.x, this.y, this.z);
     }
   }
 
@@ -24,6 +24,10 @@
     // Position state (player always at Z=0, world moves around them)
     this.position = { x: 0, y: 100, z: 0 };
 
+    // Hitbox half extents around position (BoundsCollisionSystem)
+    // Against a hazard box this reaches the collision profile's zCollisionThreshold / collisionHeight
+    this.hitboxHalfExtents = { x: 12, y: 16, z: 8 };
+
     console.log('[PlayerEntity] Pure visual entity created');
   }
 
@@ -69,17 +73,37 @@
     return { ...this.position };
   }
 
+  // Snap back to the spawn position (center lane, cruise height) for a new run
+  reset() {
+    this.targetX = 0;
+    this.targetY = 100;
+    this.position = { x: 0, y: 100, z: 0 };
+
+    if (this.mesh) {
+      this.mesh.position.set(this.position.x, this.position.y, this.position.z);
+    }
+  }
+
   getMesh() {
     return this.mesh;
   }
 
+  // Axis-aligned hitbox at the current position
+  getBounds() {
+    const half = this.hitboxHalfExtents;
+    return {
+      min: { x: this.position.x - half.x, y: this.position.y - half.y, z: this.position.z - half.z },
+      max: { x: this.position.x + half.x, y: this.position.y + half.y, z: this.position.z + half.z }
+    };
+  }
+
   // Collision profile - defines collision properties for this player type
   // Future: Different plane types can override this
   getCollisionProfile() {
     return {
-      zCollisionThreshold: 10,  // Distance in Z where collision is detected
+      zCollisionThreshold: 10,  // Distance in Z where collision is detected (hitbox + hazard half depths)
       laneWidth: 40,            // Effective collision width (lane-based)
-      collisionHeight: 20       // Effective collision height
+      collisionHeight: 20       // Effective collision height (hitbox + hazard half heights)
     };
   }
 }
@@ -0,0 +1,60 @@
+// PowerUpEntity - Collectible power-up entity with no self-movement
+// Responsibilities:
+// - Owns power-up state (id, type, kind, laneIndex, position) and its pickup bounds
+// - No self-movement logic - Z position controlled by the spawning system (SpawnDirectorSystem)
+// - Visuals are owned by LaneEntityVisualSystem; the effect itself by PowerUpSystem
+
+(function() {
+  'use strict';
+
+  class PowerUpEntity {
+  constructor(id, laneIndex, z, y, x, kind) {
+    console.assert(window.PowerUpSystem && kind in window.PowerUpSystem.KINDS, `[PowerUpEntity] ERROR: Unknown power-up kind ${kind}`);
+
+    this.id = id;
+    this.type = 'powerup';
+    this.kind = kind; // shield, magnet, doubleCoins or slowMo
+    this.laneIndex = laneIndex;
+    this.z = z;
+    this.y = y; // Flight height (for collision detection)
+    this.radius = 4; // Pickup bounds half size - matches the power-up mesh
+
+    // Position snapshot for visuals and domain events
+    this.position = { x: x, y: y, z: z };
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      logger.info(`[PowerUpEntity] Created ${kind} power-up ${id} at lane ${laneIndex}, Z=${z.toFixed(2)}`);
+    }
+  }
+
+  // Set current Z (called by the owning spawn system every frame)
+  setZ(z) {
+    this.z = z;
+    this.position.z = z;
+  }
+
+  // Axis-aligned pickup bounds at the current position
+  getBounds() {
+    const { x, y, z } = this.position;
+    return {
+      min: { x: x - this.radius, y: y - this.radius, z: z - this.radius },
+      max: { x: x + this.radius, y: y + this.radius, z: z + this.radius }
+    };
+  }
+
+  // Optional update method (no self-movement)
+  update(deltaTime) {
+    // No behavior for power-up entity
+  }
+
+  destroy() {
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      logger.info(`[PowerUpEntity] Destroyed power-up ${this.id}`);
+    }
+  }
+}
+
+  // Expose globally
+  window.PowerUpEntity = PowerUpEntity;
+
+})();
@@ -0,0 +1,321 @@
+// BoundsCollisionSystem - The single collision detection path for the player vs world entities
+// Responsibilities:
+// - Tests axis-aligned bounds (entity.getBounds()) - no lane equality, so a plane is hit wherever its bounds are
+// - Broadphase: entities are bucketed by the lanes their bounds cover and by Z slice, only shared buckets are tested
+// - Swept narrowphase: entities are tested over the Z they moved this step and the plane over the X/Y it moved
+//   (its interpolated span mid lane switch), so fast hazards can't tunnel and a passing plane can clip a lane
+// - Forgiveness margins: the hitbox shrinks against hazards (grazes don't count) and grows for pickups
+// - Emits COLLISION intents (hazards, coins and power-ups alike) for CollisionConsumptionSystem, earliest contact first
+// - Emits PASSED intents for hazards that fell behind the hitbox this step without touching it, if they came near
+//   the plane on the way in (clean dodges) - hazards that only ever passed in a far lane or tier don't count
+// - Grace period at the start of a run (no collisions)
+//
+// Bounds are { min: { x, y, z }, max: { x, y, z } }; touching counts as contact.
+
+(function() {
+  'use strict';
+
+  const AXES = ['x', 'y', 'z'];
+
+  // Entity types collected on contact - tested with the grown pickup hitbox
+  const PICKUP_TYPES = ['coin', 'powerup'];
+
+  class BoundsCollisionSystem {
+  // options: { bucketDepth, hazardForgiveness: { x, y, z }, coinMargin: { x, y, z }, nearMissMargin: { x, y, z } }
+  constructor(laneSystem, options = {}) {
+    this.laneSystem = laneSystem; // Lane partition for the broadphase
+    this.bucketDepth = options.bucketDepth || 25; // Z slice per broadphase bucket
+
+    // Per-axis units taken off the player hitbox against hazards / added to it for pickups (coins, power-ups)
+    // Z forgiveness stays 0 by default so hazards reach exactly the collision profile's zCollisionThreshold
+    this.hazardForgiveness = { x: 3, y: 2, z: 0, ...(options.hazardForgiveness || {}) };
+    this.coinMargin = { x: 4, y: 4, z: 0, ...(options.coinMargin || {}) };
+    // Units around the player hitbox a hazard must come within before it passes to count as dodged. X/Y stay
+    // below the gap to a hazard centered in the next lane or tier, so flying straight past one isn't a dodge;
+    // Z reaches ahead so swerving out of a hazard's lane before it arrives still counts
+    this.nearMissMargin = { x: 10, y: 10, z: 30, ...(options.nearMissMargin || {}) };
+    this.threats = new Set(); // Hazards that came within nearMissMargin and haven't passed yet
+
+    this.currentFrameIntents = []; // Intents for current frame only
+    this.previousZ = new Map(); // entity id -> Z at the last process() (swept tests)
+    this.previousPlaneBounds = null; // Player hitbox at the last process()
+
+    // Collision grace period - no collisions during initial game phase
+    this.gracePeriodWorldUnits = 100; // First 100 world units
+    this.gracePeriodSeconds = 2.0; // First 2 seconds
+    this.elapsedTime = 0;
+
+    // Broadphase statistics for the last process() (debugging and headless checks)
+    this.stats = { entities: 0, candidates: 0, contacts: 0 };
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      logger.info('[BoundsCollision] Bounds-based collision detection established');
+      logger.info(`[BoundsCollision] Grace period: ${this.gracePeriodWorldUnits} world units OR ${this.gracePeriodSeconds}s`);
+    }
+  }
+
+  // Detect player contacts for this step, returns COLLISION intents
+  process(planeEntity, entityRegistry, spawnBandSystem, deltaTime) {
+    console.assert(planeEntity, '[BoundsCollision] ERROR: planeEntity required');
+    console.assert(entityRegistry, '[BoundsCollision] ERROR: entityRegistry required');
+    console.assert(spawnBandSystem, '[BoundsCollision] ERROR: spawnBandSystem required');
+
+    this.elapsedTime += deltaTime;
+    this.currentFrameIntents = [];
+
+    // Sweep start positions are tracked through the grace period too, so the first real test isn't a jump
+    const activeEntities = this.getActiveEntities(entityRegistry, spawnBandSystem);
+    const sweeps = activeEntities.map(entity => this.getSweep(entity));
+    const planeEnd = planeEntity.getBounds();
+    const planeStart = this.previousPlaneBounds || planeEnd;
+    this.recordPositions(activeEntities, planeEnd);
+
+    const worldProgress = spawnBandSystem.getWorldProgress();
+    const inGracePeriod = worldProgress < this.gracePeriodWorldUnits && this.elapsedTime < this.gracePeriodSeconds;
+    if (inGracePeriod) {
+      return this.currentFrameIntents;
+    }
+
+    // Query with the plane's whole swept span, grown by the widest margin (pickups)
+    const buckets = this.buildBroadphase(sweeps);
+    const planeSwept = BoundsCollisionSystem.union(planeStart, planeEnd);
+    const candidates = this.queryBroadphase(buckets, BoundsCollisionSystem.inflate(planeSwept, this.coinMargin));
+
+    for (const sweep of candidates) {
+      // Hazards shrink the hitbox (negative inflate), pickups grow it
+      const margin = PICKUP_TYPES.includes(sweep.entity.type)
+        ? this.coinMargin
+        : { x: -this.hazardForgiveness.x, y: -this.hazardForgiveness.y, z: -this.hazardForgiveness.z };
+      const time = BoundsCollisionSystem.sweepPair(
+        BoundsCollisionSystem.inflate(planeStart, margin),
+        BoundsCollisionSystem.inflate(planeEnd, margin),
+        sweep.start,
+        sweep.end
+      );
+      if (time === null) continue;
+
+      const contactZ = sweep.startZ + (sweep.entity.z - sweep.startZ) * time;
+      this.currentFrameIntents.push({
+        type: 'COLLISION',
+        source: planeEntity,
+        target: sweep.entity,
+        laneIndex: sweep.entity.laneIndex,
+        time: time, // Fraction of the step at first contact
+        zDistance: Math.abs(contactZ - planeEntity.position.z),
+        yDistance: Math.abs(sweep.entity.y - planeEntity.position.y)
+      });
+
+      if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+        logger.info(`[BoundsCollision] COLLISION: Plane vs ${sweep.entity.type} entity ${sweep.entity.id} (lane ${sweep.entity.laneIndex}, t ${time.toFixed(2)})`);
+      }
+    }
+
+    const contacts = this.currentFrameIntents.length;
+    this.markThreats(planeSwept, sweeps);
+    this.addPassedIntents(planeEntity, planeSwept, sweeps);
+
+    // Earliest contact first, registry id breaks ties (deterministic event order)
+    this.currentFrameIntents.sort((a, b) => a.time - b.time || String(a.target.id).localeCompare(String(b.target.id)));
+
+    this.stats = { entities: sweeps.length, candidates: candidates.length, contacts: contacts };
+    return this.currentFrameIntents;
+  }
+
+  // Remember the hazards that came within nearMissMargin of the plane this step (only active ones are kept)
+  markThreats(planeSwept, sweeps) {
+    const zone = BoundsCollisionSystem.inflate(planeSwept, this.nearMissMargin);
+    const hazards = sweeps.filter(sweep => !PICKUP_TYPES.includes(sweep.entity.type));
+    this.threats = new Set(hazards.map(sweep => sweep.entity.id).filter(id => this.threats.has(id)));
+    for (const sweep of hazards) {
+      if (BoundsCollisionSystem.overlaps(zone, BoundsCollisionSystem.union(sweep.start, sweep.end))) {
+        this.threats.add(sweep.entity.id);
+      }
+    }
+  }
+
+  // A threatening hazard whose far face left the (forgiven) hitbox's back face this step can't be hit anymore -
+  // the world only scrolls backward - so it was dodged
+  addPassedIntents(planeEntity, planeSwept, sweeps) {
+    const backZ = planeSwept.min.z + this.hazardForgiveness.z;
+    const contacted = new Set(this.currentFrameIntents.map(intent => intent.target));
+    for (const sweep of sweeps) {
+      if (!this.threats.has(sweep.entity.id) || contacted.has(sweep.entity)) continue;
+      if (sweep.start.max.z < backZ || sweep.end.max.z >= backZ) continue;
+      this.threats.delete(sweep.entity.id);
+
+      this.currentFrameIntents.push({
+        type: 'PASSED',
+        source: planeEntity,
+        target: sweep.entity,
+        laneIndex: sweep.entity.laneIndex,
+        time: (sweep.start.max.z - backZ) / (sweep.start.max.z - sweep.end.max.z) // Fraction of the step at which it passed
+      });
+    }
+  }
+
+  // Step without collision tests (phases with collisions off) - only moves the sweep start along
+  // so the next process() sweeps one step, not everything travelled since
+  skip(planeEntity, entityRegistry, spawnBandSystem) {
+    this.recordPositions(this.getActiveEntities(entityRegistry, spawnBandSystem), planeEntity.getBounds());
+    this.currentFrameIntents = [];
+  }
+
+  // Only entities near the player can touch it
+  getActiveEntities(entityRegistry, spawnBandSystem) {
+    return entityRegistry.getByBand(spawnBandSystem, 'ACTIVE_WINDOW')
+      .filter(entity => typeof entity.getBounds === 'function');
+  }
+
+  recordPositions(entities, planeBounds) {
+    this.previousZ = new Map(entities.map(entity => [entity.id, entity.z]));
+    this.previousPlaneBounds = planeBounds;
+  }
+
+  // Entity bounds at the start and end of this step (only Z moves - the world scrolls)
+  getSweep(entity) {
+    const end = entity.getBounds();
+    const startZ = this.previousZ.has(entity.id) ? this.previousZ.get(entity.id) : entity.z;
+    const shift = startZ - entity.z;
+    const start = {
+      min: { x: end.min.x, y: end.min.y, z: end.min.z + shift },
+      max: { x: end.max.x, y: end.max.y, z: end.max.z + shift }
+    };
+    return { entity: entity, start: start, end: end, startZ: startZ };
+  }
+
+  // Buckets keyed `${lane}:${zSlice}` holding every sweep whose swept bounds touch them
+  buildBroadphase(sweeps) {
+    const buckets = new Map();
+    for (const sweep of sweeps) {
+      const swept = BoundsCollisionSystem.union(sweep.start, sweep.end);
+      for (const key of this.getBucketKeys(swept)) {
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        buckets.get(key).push(sweep);
+      }
+    }
+    return buckets;
+  }
+
+  queryBroadphase(buckets, bounds) {
+    const candidates = new Set();
+    for (const key of this.getBucketKeys(bounds)) {
+      for (const sweep of buckets.get(key) || []) {
+        candidates.add(sweep);
+      }
+    }
+    return Array.from(candidates);
+  }
+
+  // Lanes are the LaneSystem's nearest-center partition of X, so overlapping bounds always share a lane
+  getBucketKeys(bounds) {
+    const keys = [];
+    const firstLane = this.laneSystem.getLaneIndexForX(bounds.min.x);
+    const lastLane = this.laneSystem.getLaneIndexForX(bounds.max.x);
+    const firstSlice = Math.floor(bounds.min.z / this.bucketDepth);
+    const lastSlice = Math.floor(bounds.max.z / this.bucketDepth);
+    for (let lane = firstLane; lane <= lastLane; lane++) {
+      for (let slice = firstSlice; slice <= lastSlice; slice++) {
+        keys.push(`${lane}:${slice}`);
+      }
+    }
+    return keys;
+  }
+
+  // Fraction of the step (0..1) at which bounds moving from start to end first touch the static bounds, null if never
+  static sweepAgainst(staticBounds, start, end) {
+    let enter = 0;
+    let exit = 1;
+    for (const axis of AXES) {
+      const velocity = end.min[axis] - start.min[axis];
+      if (velocity === 0) {
+        if (start.max[axis] < staticBounds.min[axis] || start.min[axis] > staticBounds.max[axis]) {
+          return null; // Apart on this axis for the whole step
+        }
+        continue;
+      }
+
+      let axisEnter = (staticBounds.min[axis] - start.max[axis]) / velocity;
+      let axisExit = (staticBounds.max[axis] - start.min[axis]) / velocity;
+      if (axisEnter > axisExit) {
+        [axisEnter, axisExit] = [axisExit, axisEnter];
+      }
+      enter = Math.max(enter, axisEnter);
+      exit = Math.min(exit, axisExit);
+      if (enter > exit) {
+        return null;
+      }
+    }
+    return enter;
+  }
+
+  // First contact (0..1) of two boxes both moving linearly over the step: the entity's motion is taken
+  // relative to the plane, which then stands still at its start bounds
+  static sweepPair(planeStart, planeEnd, entityStart, entityEnd) {
+    const relativeEnd = { min: {}, max: {} };
+    for (const axis of AXES) {
+      const planeMove = planeEnd.min[axis] - planeStart.min[axis];
+      relativeEnd.min[axis] = entityEnd.min[axis] - planeMove;
+      relativeEnd.max[axis] = entityEnd.max[axis] - planeMove;
+    }
+    return BoundsCollisionSystem.sweepAgainst(planeStart, entityStart, relativeEnd);
+  }
+
+  // Whether two bounds overlap (touching counts)
+  static overlaps(a, b) {
+    return AXES.every(axis => a.min[axis] <= b.max[axis] && b.min[axis] <= a.max[axis]);
+  }
+
+  // Bounds grown by margin on every side (negative margins shrink)
+  static inflate(bounds, margin) {
+    return {
+      min: { x: bounds.min.x - margin.x, y: bounds.min.y - margin.y, z: bounds.min.z - margin.z },
+      max: { x: bounds.max.x + margin.x, y: bounds.max.y + margin.y, z: bounds.max.z + margin.z }
+    };
+  }
+
+  static union(a, b) {
+    return {
+      min: { x: Math.min(a.min.x, b.min.x), y: Math.min(a.min.y, b.min.y), z: Math.min(a.min.z, b.min.z) },
+      max: { x: Math.max(a.max.x, b.max.x), y: Math.max(a.max.y, b.max.y), z: Math.max(a.max.z, b.max.z) }
+    };
+  }
+
+  // Get intents for current frame
+  getCurrentIntents() {
+    return [...this.currentFrameIntents]; // Return copy
+  }
+
+  getCollisionIntents() {
+    return this.currentFrameIntents.filter(intent => intent.type === 'COLLISION');
+  }
+
+  hasCollisions() {
+    return this.getCollisionIntents().length > 0;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  // Clear intents (called at end of frame)
+  clear() {
+    this.currentFrameIntents = [];
+  }
+
+  // Restart the grace period and sweep history for a new run
+  reset() {
+    this.currentFrameIntents = [];
+    this.previousZ.clear();
+    this.previousPlaneBounds = null;
+    this.threats.clear();
+    this.elapsedTime = 0;
+    this.stats = { entities: 0, candidates: 0, contacts: 0 };
+  }
+}
+
+  // Expose globally
+  window.BoundsCollisionSystem = BoundsCollisionSystem;
+
+})();
@@ -0,0 +1,192 @@
+// CoinFormationSystem - Lays out coin strings around the chunks SpawnDirectorSystem spawns
+// Responsibilities:
+// - Formation shapes: straight lines (at any altitude), arcs, zig-zags between two lanes and lane-hopping trails
+// - Arcs that lead over a chunk's obstacle (rising to the high tier above it)
+// - Coin count per formation scales with DifficultyCurveSystem coinDensity
+// - Never overlaps hazards: a formation is dropped whole if a player collecting any of its coins
+//   would touch a hazard or another coin
+// - Pure layout - returns placements, SpawnDirectorSystem spawns and moves them like chunk entries
+//
+// Placements are { type: 'coin', laneIndex, z, y, coinTier, formation } in the director's spawn frame.
+
+(function() {
+  'use strict';
+
+  // Relative pick weight of each gap formation
+  const GAP_FORMATIONS = { line: 3, arc: 2, zigzag: 2, laneHop: 2 };
+
+  class CoinFormationSystem {
+  // options: { spacing, maxCoins, minCoins, margin, arcHeight, arcChance, clearance: { x, y, z } }
+  constructor(laneSystem, random, options = {}) {
+    this.laneSystem = laneSystem;
+    this.random = random; // Shared SeededRandom (reproducible runs)
+
+    this.spacing = options.spacing || 20; // Z between consecutive coins
+    this.maxCoins = options.maxCoins || 8; // Coins in a gap formation at coinDensity 1.0
+    this.minCoins = options.minCoins || 3; // Fewer than this isn't a formation - nothing is laid
+    this.margin = options.margin !== undefined ? options.margin : 15; // Z kept clear before and after a gap formation
+    this.arcHeight = options.arcHeight !== undefined ? options.arcHeight : 35; // Arc peak above the baseline (the high tier)
+    this.arcChance = options.arcChance !== undefined ? options.arcChance : 0.5; // Chance a chunk gets an arc over one of its obstacles
+
+    // Space a player collecting a coin takes up (player hitbox half extents)
+    this.clearance = { x: 12, y: 16, z: 8, ...(options.clearance || {}) };
+
+    this.stats = { formations: 0, coins: 0, rejected: 0, byShape: {} };
+  }
+
+  // Coin placements for a chunk starting at startZ and the gap after it
+  // blockers: bounds of everything already placed (hazards and coins, chunk entries included)
+  // obstacles: the chunk's obstacle placements ({ laneIndex, z, y, tier }) - arcs can lead over them
+  layout(blockers, obstacles, startZ, chunkLength, gapLength, baselineY, coinDensity) {
+    const placements = [];
+
+    // Arc over one of the chunk's obstacles (high obstacles are flown under, not over)
+    const arcTargets = obstacles.filter(obstacle => obstacle.tier !== 'high');
+    if (arcTargets.length > 0 && this.random.next() < this.arcChance) {
+      const target = this.random.pick(arcTargets);
+      const count = this.getCoinCount(5, coinDensity) | 1; // Odd, so one coin sits right above the obstacle
+      const halfSpan = (count - 1) / 2 * this.spacing;
+      const formation = this.arc(target.laneIndex, target.z - halfSpan, count, baselineY);
+      this.accept(formation, 'arc', blockers, placements);
+    }
+
+    // One formation in the gap, trimmed to fit between this chunk and the next
+    const gapStart = startZ + chunkLength + this.margin;
+    const fitting = Math.floor((gapLength - 2 * this.margin) / this.spacing) + 1;
+    const count = Math.min(this.getCoinCount(this.maxCoins, coinDensity), fitting);
+    if (count >= this.minCoins) {
+      const shape = this.pickShape();
+      this.accept(this.createFormation(shape, gapStart, count, baselineY), shape, blockers, placements);
+    }
+
+    return placements;
+  }
+
+  // coinDensity 1.0 lays the full count, 0.5 half (never below minCoins)
+  getCoinCount(fullCount, coinDensity) {
+    return Math.max(this.minCoins, Math.round(fullCount * coinDensity));
+  }
+
+  pickShape() {
+    const shapes = Object.keys(GAP_FORMATIONS);
+    const totalWeight = shapes.reduce((sum, shape) => sum + GAP_FORMATIONS[shape], 0);
+    let roll = this.random.next() * totalWeight;
+    for (const shape of shapes) {
+      roll -= GAP_FORMATIONS[shape];
+      if (roll < 0) return shape;
+    }
+    return shapes[0];
+  }
+
+  createFormation(shape, startZ, count, baselineY) {
+    const laneCount = this.laneSystem.getLaneCount();
+    switch (shape) {
+      case 'arc':
+        return this.arc(this.random.int(laneCount), startZ, count, baselineY);
+      case 'zigzag': {
+        const lane = this.random.int(laneCount);
+        const otherLane = lane === 0 ? 1 : lane === laneCount - 1 ? lane - 1 : lane + (this.random.next() < 0.5 ? -1 : 1);
+        return this.zigzag(lane, otherLane, startZ, count, baselineY);
+      }
+      case 'laneHop':
+        return this.laneHop(this.random.next() < 0.5 ? 1 : -1, startZ, count, baselineY);
+      default: {
+        const heights = [-this.arcHeight, 0, this.arcHeight];
+        return this.line(this.random.int(laneCount), startZ, count, baselineY + this.random.pick(heights));
+      }
+    }
+  }
+
+  // Straight string in one lane at one height
+  line(laneIndex, startZ, count, y) {
+    const coins = [];
+    for (let i = 0; i < count; i++) {
+      coins.push(this.coin(laneIndex, startZ + i * this.spacing, y, 'bronze'));
+    }
+    return coins;
+  }
+
+  // Rises from the baseline to arcHeight and back down - the top coin is gold
+  arc(laneIndex, startZ, count, baselineY) {
+    const coins = [];
+    const peak = Math.floor((count - 1) / 2);
+    for (let i = 0; i < count; i++) {
+      const y = baselineY + this.arcHeight * Math.sin(Math.PI * i / (count - 1));
+      coins.push(this.coin(laneIndex, startZ + i * this.spacing, Math.round(y), i === peak ? 'gold' : 'bronze'));
+    }
+    return coins;
+  }
+
+  // Two coins per lane, switching between two neighbouring lanes
+  zigzag(laneIndex, otherLaneIndex, startZ, count, baselineY) {
+    const coins = [];
+    for (let i = 0; i < count; i++) {
+      const lane = Math.floor(i / 2) % 2 === 0 ? laneIndex : otherLaneIndex;
+      coins.push(this.coin(lane, startZ + i * this.spacing, baselineY, 'bronze'));
+    }
+    return coins;
+  }
+
+  // Trail crossing every lane from one edge to the other - reaching its end is worth a silver
+  laneHop(direction, startZ, count, baselineY) {
+    const laneCount = this.laneSystem.getLaneCount();
+    const coins = [];
+    for (let i = 0; i < count; i++) {
+      const step = Math.min(laneCount - 1, Math.floor(i * laneCount / count));
+      const lane = direction > 0 ? step : laneCount - 1 - step;
+      coins.push(this.coin(lane, startZ + i * this.spacing, baselineY, i === count - 1 ? 'silver' : 'bronze'));
+    }
+    return coins;
+  }
+
+  coin(laneIndex, z, y, coinTier) {
+    return { type: 'coin', laneIndex: laneIndex, z: z, y: y, coinTier: coinTier };
+  }
+
+  // Keep a formation only if none of its coins crowds a blocker; accepted coins block later formations
+  accept(coins, shape, blockers, placements) {
+    if (coins.some(coin => blockers.some(bounds => this.overlaps(coin, bounds)))) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    for (const coin of coins) {
+      coin.formation = shape;
+      placements.push(coin);
+      blockers.push(this.getCollectBounds(coin));
+    }
+    this.stats.formations++;
+    this.stats.coins += coins.length;
+    this.stats.byShape[shape] = (this.stats.byShape[shape] || 0) + 1;
+    return true;
+  }
+
+  // Space the player takes up while collecting the coin
+  getCollectBounds(coin) {
+    const x = this.laneSystem.getLaneCenter(coin.laneIndex);
+    return {
+      min: { x: x - this.clearance.x, y: coin.y - this.clearance.y, z: coin.z - this.clearance.z },
+      max: { x: x + this.clearance.x, y: coin.y + this.clearance.y, z: coin.z + this.clearance.z }
+    };
+  }
+
+  overlaps(coin, bounds) {
+    const collect = this.getCollectBounds(coin);
+    return collect.min.x <= bounds.max.x && collect.max.x >= bounds.min.x &&
+      collect.min.y <= bounds.max.y && collect.max.y >= bounds.min.y &&
+      collect.min.z <= bounds.max.z && collect.max.z >= bounds.min.z;
+  }
+
+  getStats() {
+    return { ...this.stats, byShape: { ...this.stats.byShape } };
+  }
+
+  reset() {
+    this.stats = { formations: 0, coins: 0, rejected: 0, byShape: {} };
+  }
+}
+
+  // Expose globally
+  window.CoinFormationSystem = CoinFormationSystem;
+
+})();
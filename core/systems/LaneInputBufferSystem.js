@@ -0,0 +1,113 @@
+// LaneInputBufferSystem - Turns the held horizontal intent axis into discrete lane presses
+// Responsibilities:
+// - Edge-triggered: a press is the step the axis goes from neutral (or the other way) to a direction
+// - Optional auto-repeat while the axis stays held (delay, then a fixed interval)
+// - Buffers presses that can't execute yet (lane switch cooldown, stun) for a short window
+// - Hands presses out oldest first so quick double taps become two switches, never one or three
+//
+// Works on the intent axis rather than raw keys, so recorded runs replay through the same buffer.
+// Direct intents (pointer steering) don't go through it - see PlayerMovementPipelineSystem.
+
+(function() {
+  'use strict';
+
+  class LaneInputBufferSystem {
+  // options: { bufferMs, maxQueued, autoRepeat, repeatDelayMs, repeatIntervalMs }
+  constructor(options = {}) {
+    this.bufferMs = options.bufferMs !== undefined ? options.bufferMs : 150; // How long a blocked press waits
+    this.maxQueued = options.maxQueued || 2; // Presses kept at once - older ones give way
+    this.autoRepeat = options.autoRepeat !== undefined ? options.autoRepeat : true;
+    this.repeatDelayMs = options.repeatDelayMs !== undefined ? options.repeatDelayMs : 300; // Hold time before the first repeat
+    this.repeatIntervalMs = options.repeatIntervalMs !== undefined ? options.repeatIntervalMs : 180;
+
+    this.heldDirection = 0; // Axis value last step
+    this.heldMs = 0;
+    this.nextRepeatMs = 0;
+    this.queue = []; // { direction, ageMs }, oldest first
+
+    // Counters for debugging and headless checks
+    this.stats = { presses: 0, repeats: 0, executed: 0, expired: 0 };
+  }
+
+  // Feed this step's horizontal axis (-1, 0, 1)
+  update(horizontal, deltaTime) {
+    const deltaMs = deltaTime * 1000;
+
+    // Age waiting presses first so a press made this step always gets its full window
+    for (const press of this.queue) {
+      press.ageMs += deltaMs;
+    }
+    const waiting = this.queue.filter(press => press.ageMs <= this.bufferMs);
+    this.stats.expired += this.queue.length - waiting.length;
+    this.queue = waiting;
+
+    if (horizontal !== 0 && horizontal !== this.heldDirection) {
+      this.enqueue(horizontal);
+      this.stats.presses++;
+      this.heldMs = 0;
+      this.nextRepeatMs = this.repeatDelayMs;
+    } else if (horizontal !== 0 && this.autoRepeat) {
+      this.heldMs += deltaMs;
+      if (this.heldMs >= this.nextRepeatMs) {
+        this.nextRepeatMs += this.repeatIntervalMs;
+        // Repeats never pile up behind a blocked press (a long stun would release a burst)
+        if (this.queue.length === 0) {
+          this.enqueue(horizontal);
+          this.stats.repeats++;
+        }
+      }
+    }
+
+    this.heldDirection = horizontal;
+  }
+
+  enqueue(direction) {
+    if (this.queue.length >= this.maxQueued) {
+      this.queue.shift();
+      this.stats.expired++;
+    }
+    this.queue.push({ direction: direction, ageMs: 0 });
+  }
+
+  // Direction of the oldest waiting press (0 when none)
+  peek() {
+    return this.queue.length > 0 ? this.queue[0].direction : 0;
+  }
+
+  // Remove the oldest press once it has executed
+  consume() {
+    if (this.queue.length === 0) return;
+
+    this.queue.shift();
+    this.stats.executed++;
+  }
+
+  // Drop the held axis and waiting presses (steering switched to direct pointer intents)
+  release() {
+    this.heldDirection = 0;
+    this.heldMs = 0;
+    this.nextRepeatMs = 0;
+    this.queue = [];
+  }
+
+  getQueuedCount() {
+    return this.queue.length;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  reset() {
+    this.heldDirection = 0;
+    this.heldMs = 0;
+    this.nextRepeatMs = 0;
+    this.queue = [];
+    this.stats = { presses: 0, repeats: 0, executed: 0, expired: 0 };
+  }
+}
+
+  // Expose globally
+  window.LaneInputBufferSystem = LaneInputBufferSystem;
+
+})();
@@ -0,0 +1,244 @@
+// LayoutSolvabilityValidator - Proves an obstacle layout can be flown through
+// Responsibilities:
+// - Steps the player's lane movement forward in fixed simulation steps against upcoming obstacles
+// - Models lane switches from PlayerActionStateSystem cooldown plus the PlayerEntity X lerp
+// - Returns a step-by-step path (lane actions) when one exists, or the Z where every path is blocked
+// - Repairs candidate layouts by dropping the obstacles that make them unsolvable
+//
+// Model (conservative): the player cruises at the MID_AIR baseline and stays in its lane unless it
+// switches. A switch occupies both lanes until the lerp arrives (PlayerController only changes lane
+// within arrivalTolerance of the new center), and the next switch waits for both arrival and cooldown.
+// The world closes in at a fixed speed, or along the same ramp WorldAxisSystem steps toward the
+// difficulty target, so a layout proven now still holds while the speed creeps up.
+
+(function() {
+  'use strict';
+
+  // PlayerMovementPipelineSystem runs PlayerController's arrival check before the PlayerEntity lerp,
+  // so the lane changes one step after the lerp gets within arrivalTolerance
+  const LANE_COMMIT_STEPS = 1;
+
+  class LayoutSolvabilityValidator {
+  constructor(profile) {
+    this.laneCount = profile.laneCount;
+    this.stepSeconds = profile.stepSeconds; // Simulation step (FIXED_TIMESTEP)
+    this.cruiseY = profile.cruiseY; // Flight height the path is proven at
+    this.zCollisionThreshold = profile.zCollisionThreshold;
+    this.collisionHeight = profile.collisionHeight;
+    this.zMargin = profile.zMargin !== undefined ? profile.zMargin : 4; // Slack for step-order differences
+
+    // Steps until a switch lands: X lerp closes lerpSpeed * dt of the remaining gap per step
+    this.lerpPerStep = Math.min(profile.lerpSpeed * profile.stepSeconds, 1.0);
+    this.arrivalTolerance = profile.arrivalTolerance;
+    this.arrivalSteps = this.getStepsToArrive(profile.laneWidth);
+    this.cooldownSteps = Math.ceil(profile.laneSwitchCooldownMs / 1000 / profile.stepSeconds);
+    this.readySteps = Math.max(this.arrivalSteps, this.cooldownSteps); // Steps between two switches
+    this.maxSteps = Math.ceil(60 / profile.stepSeconds); // Look-ahead cap (a minute of flight)
+  }
+
+  // Profile from the live player systems, so tuning changes flow into validation
+  static fromPlayer(laneSystem, playerActionStateSystem, playerEntity, playerController, cruiseY, stepSeconds) {
+    const collisionProfile = playerEntity.getCollisionProfile();
+    return new LayoutSolvabilityValidator({
+      laneCount: laneSystem.getLaneCount(),
+      laneWidth: laneSystem.laneWidth,
+      laneSwitchCooldownMs: playerActionStateSystem.laneSwitchCooldownMs,
+      lerpSpeed: playerEntity.lerpSpeed,
+      arrivalTolerance: playerController.arrivalTolerance,
+      zCollisionThreshold: collisionProfile.zCollisionThreshold,
+      collisionHeight: collisionProfile.collisionHeight,
+      cruiseY: cruiseY,
+      stepSeconds: stepSeconds
+    });
+  }
+
+  // Steps until a switch with this X gap left counts as arrived (PlayerController has changed lane)
+  getStepsToArrive(gap) {
+    return this.getLerpSteps(gap) + LANE_COMMIT_STEPS;
+  }
+
+  // Steps for the X lerp to bring a gap within arrivalTolerance
+  getLerpSteps(gap) {
+    if (gap < this.arrivalTolerance) return 0;
+    if (this.lerpPerStep >= 1.0) return 1;
+    return Math.ceil(Math.log(gap / this.arrivalTolerance) / -Math.log(1 - this.lerpPerStep));
+  }
+
+  // Check obstacles ({ laneIndex, z, y }, z relative to the player) at a forward speed: units/second, or
+  // a ramp { speed, maxAcceleration, targetSpeedAt(distanceAhead) } (EndlessMode.getSpeedRamp())
+  // start: { currentLane, targetLane, distanceToTarget, cooldownRemainingMs } - the player's lane state now
+  // Returns { solvable, blockedZ, actions } - actions[k] is the lane move (-1, 0, 1) to make at step k
+  validate(obstacles, speed, start) {
+    const travel = this.getTravel(obstacles, speed);
+    const blocked = this.buildBlockedSteps(obstacles, travel);
+    const stepCount = blocked.stepCount;
+
+    // State: lane, lane being left (same lane when settled), steps since the last switch
+    // A switch in flight resumes from how far the lerp still has to go
+    const switching = start.targetLane !== start.currentLane;
+    const arrivedSteps = switching
+      ? Math.max(0, this.arrivalSteps - this.getStepsToArrive(start.distanceToTarget || 0))
+      : this.readySteps;
+    const cooldownSteps = Math.ceil((start.cooldownRemainingMs || 0) / 1000 / this.stepSeconds);
+    const initial = {
+      lane: start.targetLane,
+      fromLane: start.currentLane,
+      sinceSwitch: Math.max(0, Math.min(arrivedSteps, this.readySteps - cooldownSteps)),
+      parent: null,
+      action: 0
+    };
+
+    let frontier = this.isClear(initial, 0, blocked) ? [initial] : [];
+    for (let step = 1; step <= stepCount && frontier.length > 0; step++) {
+      const next = new Map();
+      for (const state of frontier) {
+        for (const action of this.getActions(state)) {
+          const successor = this.advance(state, action);
+          const key = `${successor.lane}:${successor.fromLane}:${successor.sinceSwitch}`;
+          if (!next.has(key) && this.isClear(successor, step, blocked)) {
+            next.set(key, successor);
+          }
+        }
+      }
+      frontier = Array.from(next.values());
+
+      if (frontier.length === 0) {
+        return { solvable: false, blockedZ: travel[step], actions: null };
+      }
+    }
+
+    if (frontier.length === 0) {
+      return { solvable: false, blockedZ: 0, actions: null };
+    }
+    return { solvable: true, blockedZ: null, actions: this.tracePath(frontier[0]) };
+  }
+
+  // Drop candidate obstacles until existing + candidates is solvable
+  // Returns { candidates, removed } - existing obstacles are never touched
+  repair(existing, candidates, speed, start) {
+    const kept = candidates.slice();
+    const removed = [];
+
+    let result = this.validate(existing.concat(kept), speed, start);
+    while (!result.solvable) {
+      // Remove the candidate closest to where every path ended
+      let closestIndex = -1;
+      for (let i = 0; i < kept.length; i++) {
+        if (closestIndex === -1 || Math.abs(kept[i].z - result.blockedZ) < Math.abs(kept[closestIndex].z - result.blockedZ)) {
+          closestIndex = i;
+        }
+      }
+      if (closestIndex === -1) {
+        break; // Existing layout alone is unsolvable from here - nothing left to drop
+      }
+
+      removed.push(kept.splice(closestIndex, 1)[0]);
+      result = this.validate(existing.concat(kept), speed, start);
+    }
+
+    return { candidates: kept, removed: removed };
+  }
+
+  // Distance flown after each step (travel[k] after k steps), until every obstacle is behind the player
+  // A ramp eases toward the target speed at the distance flown so far, by at most maxAcceleration per
+  // second - the same step WorldAxisSystem takes toward the difficulty target
+  getTravel(obstacles, speed) {
+    const horizon = obstacles.reduce((furthest, obstacle) => Math.max(furthest, obstacle.z), 0) +
+      this.zCollisionThreshold + this.zMargin;
+    const ramp = typeof speed === 'number' ? { speed: speed, maxAcceleration: 0, targetSpeedAt: () => speed } : speed;
+    console.assert(ramp.speed > 0, '[LayoutSolvabilityValidator] ERROR: speed must be positive');
+
+    const maxChange = ramp.maxAcceleration * this.stepSeconds;
+    const travel = [0];
+    let current = ramp.speed;
+    while (travel[travel.length - 1] <= horizon && travel.length <= this.maxSteps) {
+      const flown = travel[travel.length - 1];
+      current += Math.max(-maxChange, Math.min(maxChange, ramp.targetSpeedAt(flown) - current));
+      travel.push(flown + current * this.stepSeconds);
+    }
+    return travel;
+  }
+
+  // Per-lane flags for the steps at which an obstacle overlaps the player's Z and cruise height
+  buildBlockedSteps(obstacles, travel) {
+    const reach = this.zCollisionThreshold + this.zMargin;
+    const lanes = [];
+    for (let lane = 0; lane < this.laneCount; lane++) {
+      lanes.push(new Set());
+    }
+
+    let stepCount = 0;
+    for (const obstacle of obstacles) {
+      if (Math.abs(obstacle.y - this.cruiseY) > this.collisionHeight) continue; // Passes above/below cruise
+      if (obstacle.z + reach < 0) continue; // Already behind the player
+      if (obstacle.laneIndex < 0 || obstacle.laneIndex >= this.laneCount) continue;
+
+      // Steps at which the obstacle, closed in by the distance flown, is within reach of the player
+      for (let step = 0; step < travel.length && travel[step] <= obstacle.z + reach; step++) {
+        if (travel[step] >= obstacle.z - reach) {
+          lanes[obstacle.laneIndex].add(step);
+          stepCount = Math.max(stepCount, step + 1);
+        }
+      }
+    }
+
+    return { lanes: lanes, stepCount: stepCount };
+  }
+
+  getActions(state) {
+    if (state.sinceSwitch < this.readySteps) {
+      return [0];
+    }
+
+    const actions = [0];
+    if (state.lane > 0) actions.push(-1);
+    if (state.lane < this.laneCount - 1) actions.push(1);
+    return actions;
+  }
+
+  advance(state, action) {
+    if (action === 0) {
+      const sinceSwitch = Math.min(state.sinceSwitch + 1, this.readySteps);
+      return {
+        lane: state.lane,
+        fromLane: sinceSwitch >= this.arrivalSteps ? state.lane : state.fromLane,
+        sinceSwitch: sinceSwitch,
+        parent: state,
+        action: 0
+      };
+    }
+
+    return {
+      lane: state.lane + action,
+      fromLane: state.lane,
+      sinceSwitch: 0,
+      parent: state,
+      action: action
+    };
+  }
+
+  // Every lane from the one being left to the target counts while a switch is in flight
+  // (a chained switch already in flight at the start can span more than two)
+  isClear(state, step, blocked) {
+    const low = Math.min(state.lane, state.fromLane);
+    const high = Math.max(state.lane, state.fromLane);
+    for (let lane = low; lane <= high; lane++) {
+      if (blocked.lanes[lane].has(step)) return false;
+    }
+    return true;
+  }
+
+  tracePath(state) {
+    const actions = [];
+    while (state.parent) {
+      actions.push(state.action);
+      state = state.parent;
+    }
+    return actions.reverse();
+  }
+}
+
+  // Expose globally
+  window.LayoutSolvabilityValidator = LayoutSolvabilityValidator;
+
+})();
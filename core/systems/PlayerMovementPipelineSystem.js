@@ -1,6 +1,7 @@
 // PlayerMovementPipelineSystem - Orchestrates complete player movement pipeline
 // Responsibilities:
 // - Manages the complete player movement update cycle
+// - Turns the horizontal axis into buffered lane presses (LaneInputBufferSystem) - direct (pointer) intents skip it
 // - Processes intents through action states
 // - Coordinates PlayerController and PlayerEntity updates
 // - Maintains strict update order for deterministic behavior
@@ -9,11 +10,12 @@
   'use strict';
 
   class PlayerMovementPipelineSystem {
-  constructor(playerIntentSystem, playerActionStateSystem, playerController, playerEntity) {
+  constructor(playerIntentSystem, playerActionStateSystem, playerController, playerEntity, laneInputBuffer) {
     this.playerIntentSystem = playerIntentSystem;
     this.playerActionStateSystem = playerActionStateSystem;
     this.playerController = playerController;
     this.playerEntity = playerEntity;
+    this.laneInputBuffer = laneInputBuffer;
 
     console.log('[PlayerMovementPipeline] Movement pipeline established');
   }
@@ -31,22 +33,28 @@
     if (intents.length > 0) {
       const intent = intents[0];
 
-      // Check if horizontal axis can be executed (subject to cooldown)
-      const canExecuteHorizontal = (intent.horizontal === 0) ||
-        this.playerActionStateSystem.canExecute(intent.horizontal > 0 ? 'MOVE_RIGHT' : 'MOVE_LEFT');
+      // Held axis becomes discrete presses; the oldest waiting press executes once allowed
+      // A direct axis already points at the wanted lane every step - edges, repeats and buffered presses would
+      // only delay it or fire after the pointer moved back
+      let direction = intent.horizontal;
+      if (intent.direct) {
+        this.laneInputBuffer.release();
+      } else {
+        this.laneInputBuffer.update(intent.horizontal, deltaTime);
+        direction = this.laneInputBuffer.peek();
+      }
+      const intentType = direction > 0 ? 'MOVE_RIGHT' : 'MOVE_LEFT';
 
-      // Vertical axis is always allowed (no cooldown)
-      const canExecuteVertical = true;
+      // Horizontal is subject to cooldown and stun - a blocked press stays buffered
+      const canExecuteHorizontal = direction !== 0 && this.playerActionStateSystem.canExecute(intentType);
 
-      // Execute intent if at least one axis is allowed
-      if (canExecuteHorizontal || canExecuteVertical) {
-        this.playerController.processIntent(intent);
+      // Vertical axis is always allowed (no cooldown)
+      this.playerController.processIntent({ ...intent, horizontal: canExecuteHorizontal ? direction : 0 });
 
-        // Notify action state system only for horizontal movement
-        if (intent.horizontal !== 0 && canExecuteHorizontal) {
-          const intentType = intent.horizontal > 0 ? 'MOVE_RIGHT' : 'MOVE_LEFT';
-          this.playerActionStateSystem.onIntentExecuted(intentType);
-        }
+      // Notify action state system only for horizontal movement
+      if (canExecuteHorizontal) {
+        if (!intent.direct) this.laneInputBuffer.consume();
+        this.playerActionStateSystem.onIntentExecuted(intentType);
       }
     }
 
@@ -65,6 +73,11 @@
   getTargetLane() {
     return this.playerController.getTargetLane();
   }
+
+  // Drop held state and waiting presses for a new run
+  reset() {
+    this.laneInputBuffer.reset();
+  }
 }
 
   // Expose globally
@@ -0,0 +1,230 @@
+// PowerUpSystem - Timed power-up effects for Endless runs
+// Responsibilities:
+// - Places power-ups (PowerUpEntity) in the gap after a chunk, clear of hazards and coins (SpawnDirectorSystem spawns them)
+// - Activates a power-up on its POWERUP_COLLECTED domain event and times it out (POWERUP_EXPIRED)
+// - shield: absorbs one COLLISION before CollisionDamageSystem sees it (replaced by SHIELD_ABSORBED)
+// - magnet: pulls coins ahead of the player across lanes and altitudes into its path
+// - doubleCoins: coin multiplier ScoreSystem applies in processCoinCollected
+// - slowMo: scale WorldAxisSystem applies to the forward speed
+// - Stacking: different kinds run side by side; the same kind again adds its duration, up to maxDuration
+//   (a shield still absorbs only one hit - stacking buys time, not extra hits)
+
+(function() {
+  'use strict';
+
+  // duration / maxDuration in seconds, weight is the relative spawn pick
+  const KINDS = {
+    shield: { label: 'Shield', duration: 10, maxDuration: 20, weight: 3, color: 0x68c3c0 },
+    magnet: { label: 'Magnet', duration: 8, maxDuration: 16, weight: 3, color: 0xf25346 },
+    doubleCoins: { label: '2x coins', duration: 10, maxDuration: 20, weight: 2, color: 0xffd700 },
+    slowMo: { label: 'Slow-mo', duration: 5, maxDuration: 8, weight: 2, color: 0x9b59b6 }
+  };
+
+  class PowerUpSystem {
+  // options: { spawnChance, magnetRange, slowMoScale, coinMultiplier, clearance: { x, y, z } }
+  constructor(laneSystem, random, options = {}) {
+    this.laneSystem = laneSystem;
+    this.random = random; // Shared SeededRandom (reproducible runs)
+
+    this.spawnChance = options.spawnChance !== undefined ? options.spawnChance : 0.25; // Per chunk gap
+    this.magnetRange = options.magnetRange || 120; // Z ahead within which coins are pulled
+    this.slowMoScale = options.slowMoScale || 0.6; // Forward speed while slowMo runs
+    this.coinMultiplier = options.coinMultiplier || 2; // Coin value while doubleCoins runs
+
+    // Space a player collecting a power-up takes up (player hitbox half extents)
+    this.clearance = { x: 12, y: 16, z: 8, ...(options.clearance || {}) };
+
+    this.active = new Map(); // kind -> { remaining, duration }
+    this.magnetOrigins = new Map(); // coin -> { x, y, z } where the magnet first took it
+    this.pendingEvents = []; // Expiries from update(), handed out with the next process()
+
+    this.stats = { spawned: 0, collected: 0, absorbed: 0 };
+  }
+
+  // Power-up placement for the gap after a chunk ([] or one { type: 'powerup', kind, laneIndex, z, y })
+  // blockers: bounds of everything already placed - the power-up must not crowd any of it
+  layout(blockers, gapStart, gapLength, baselineY) {
+    if (this.random.next() >= this.spawnChance) {
+      return [];
+    }
+
+    const kind = this.pickKind();
+    const z = gapStart + gapLength / 2;
+    const laneCount = this.laneSystem.getLaneCount();
+    const firstLane = this.random.int(laneCount);
+    for (let i = 0; i < laneCount; i++) {
+      const laneIndex = (firstLane + i) % laneCount;
+      const collect = this.getCollectBounds(laneIndex, z, baselineY);
+      if (!blockers.some(bounds => PowerUpSystem.intersects(collect, bounds))) {
+        blockers.push(collect);
+        this.stats.spawned++;
+        return [{ type: 'powerup', kind: kind, laneIndex: laneIndex, z: z, y: baselineY }];
+      }
+    }
+    return [];
+  }
+
+  pickKind() {
+    const kinds = Object.keys(KINDS);
+    const totalWeight = kinds.reduce((sum, kind) => sum + KINDS[kind].weight, 0);
+    let roll = this.random.next() * totalWeight;
+    for (const kind of kinds) {
+      roll -= KINDS[kind].weight;
+      if (roll < 0) return kind;
+    }
+    return kinds[0];
+  }
+
+  getCollectBounds(laneIndex, z, y) {
+    const x = this.laneSystem.getLaneCenter(laneIndex);
+    return {
+      min: { x: x - this.clearance.x, y: y - this.clearance.y, z: z - this.clearance.z },
+      max: { x: x + this.clearance.x, y: y + this.clearance.y, z: z + this.clearance.z }
+    };
+  }
+
+  static intersects(a, b) {
+    return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+      a.min.y <= b.max.y && a.max.y >= b.min.y &&
+      a.min.z <= b.max.z && a.max.z >= b.min.z;
+  }
+
+  // Tick timers and apply the magnet - before collision, so pulled coins are tested where they now are
+  update(deltaTime, playerEntity, entityRegistry) {
+    for (const [kind, effect] of this.active) {
+      effect.remaining -= deltaTime;
+      if (effect.remaining <= 0) {
+        this.active.delete(kind);
+        this.pendingEvents.push({ type: 'POWERUP_EXPIRED', kind: kind, timestamp: performance.now() });
+        logger.info(`[PowerUpSystem] ${kind} expired`);
+      }
+    }
+
+    if (this.isActive('magnet')) {
+      this.applyMagnet(playerEntity, entityRegistry);
+    } else {
+      this.magnetOrigins.clear();
+    }
+  }
+
+  // Coins ahead are drawn toward the player's X/Y in step with their approach, all the way by the time
+  // they reach the plane, so pulled coins can't be missed
+  applyMagnet(playerEntity, entityRegistry) {
+    const player = playerEntity.getPosition();
+    for (const coin of entityRegistry.getByType('coin')) {
+      if (coin.z < 0 || coin.z > this.magnetRange) continue;
+
+      // Taken from where the coin was when the magnet reached it (no jump when the magnet starts mid-range)
+      if (!this.magnetOrigins.has(coin)) {
+        this.magnetOrigins.set(coin, { x: coin.position.x, y: coin.position.y, z: coin.z });
+      }
+      const origin = this.magnetOrigins.get(coin);
+      const pull = origin.z > 0 ? 1 - coin.z / origin.z : 1;
+      const x = origin.x + (player.x - origin.x) * pull;
+      const y = origin.y + (player.y - origin.y) * pull;
+      coin.setXY(x, y, this.laneSystem.getLaneIndexForX(x));
+    }
+
+    // Forget coins that were collected or cleaned up
+    for (const coin of this.magnetOrigins.keys()) {
+      if (!entityRegistry.entities.has(coin.id)) {
+        this.magnetOrigins.delete(coin);
+      }
+    }
+  }
+
+  // Apply this step's domain events, returns the events the rest of the step should see:
+  // pending expiries first, collected power-ups activated, COLLISION absorbed by a shield replaced
+  process(domainEvents) {
+    console.assert(Array.isArray(domainEvents), '[PowerUpSystem] ERROR: domainEvents must be an array');
+
+    // A power-up collected this step already counts (a shield picked up on the same step protects)
+    for (const event of domainEvents) {
+      if (event.type === 'POWERUP_COLLECTED') {
+        this.activate(event.kind);
+      }
+    }
+
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    for (const event of domainEvents) {
+      if (event.type === 'COLLISION' && this.isActive('shield')) {
+        this.active.delete('shield');
+        this.stats.absorbed++;
+        events.push({ ...event, type: 'SHIELD_ABSORBED', kind: 'shield' });
+        logger.info(`[PowerUpSystem] Shield absorbed collision with ${event.entityId}`);
+      } else {
+        events.push(event);
+      }
+    }
+    return events;
+  }
+
+  // Start a power-up, or extend it when it is already running (capped at maxDuration)
+  activate(kind) {
+    console.assert(kind in KINDS, `[PowerUpSystem] ERROR: Unknown power-up kind ${kind}`);
+
+    const definition = KINDS[kind];
+    const effect = this.active.get(kind);
+    if (effect) {
+      effect.remaining = Math.min(definition.maxDuration, effect.remaining + definition.duration);
+      effect.duration = Math.max(effect.duration, effect.remaining);
+    } else {
+      this.active.set(kind, { remaining: definition.duration, duration: definition.duration });
+    }
+    this.stats.collected++;
+
+    logger.info(`[PowerUpSystem] ${kind} active for ${this.active.get(kind).remaining.toFixed(1)}s`);
+  }
+
+  isActive(kind) {
+    return this.active.has(kind);
+  }
+
+  // Seconds left (0 when not running)
+  getRemaining(kind) {
+    const effect = this.active.get(kind);
+    return effect ? effect.remaining : 0;
+  }
+
+  // Forward speed scale for WorldAxisSystem
+  getSpeedScale() {
+    return this.isActive('slowMo') ? this.slowMoScale : 1.0;
+  }
+
+  // Coin value multiplier for ScoreSystem
+  getCoinMultiplier() {
+    return this.isActive('doubleCoins') ? this.coinMultiplier : 1;
+  }
+
+  // Running power-ups for the HUD timer and VFX, in KINDS order
+  getActiveState() {
+    return Object.keys(KINDS)
+      .filter(kind => this.active.has(kind))
+      .map(kind => ({
+        kind: kind,
+        label: KINDS[kind].label,
+        remaining: this.active.get(kind).remaining,
+        duration: this.active.get(kind).duration
+      }));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  // End every effect for a new run
+  reset() {
+    this.active.clear();
+    this.magnetOrigins.clear();
+    this.pendingEvents = [];
+    this.stats = { spawned: 0, collected: 0, absorbed: 0 };
+  }
+}
+
+  PowerUpSystem.KINDS = KINDS;
+
+  // Expose globally
+  window.PowerUpSystem = PowerUpSystem;
+
+})();
@@ -0,0 +1,145 @@
+// RunReplaySystem - Recording and playback of player intents
+// Responsibilities:
+// - RunRecorder captures the per-frame intent from PlayerIntentSystem plus frame delta
+// - RunPlayback feeds a recording back as an intent source and frame clock
+// - Replay files are plain JSON: { version, seed, frames: [[deltaTime, horizontal, vertical, direct], ...] }
+//   (direct is 1 for pointer steering; older three-value frames read as 0)
+// - Together with the run seed this reproduces a run exactly
+
+(function() {
+  'use strict';
+
+  const REPLAY_FORMAT_VERSION = 1;
+
+  class RunRecorder {
+  constructor(seed) {
+    this.seed = seed;
+    this.frames = [];
+    this.isRecording = true;
+  }
+
+  // Record one simulated frame (called once per EndlessMode step - intent null for steps without input, e.g. GAME_OVER)
+  record(deltaTime, intent) {
+    if (!this.isRecording) return;
+
+    this.frames.push([
+      deltaTime,
+      intent ? intent.horizontal : 0,
+      intent ? intent.vertical : 0,
+      intent && intent.direct ? 1 : 0
+    ]);
+  }
+
+  stop() {
+    this.isRecording = false;
+  }
+
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  // Serializable replay document
+  toJSON() {
+    return {
+      version: REPLAY_FORMAT_VERSION,
+      seed: this.seed,
+      frameCount: this.frames.length,
+      frames: this.frames
+    };
+  }
+
+  // Reset for a fresh run (new seed)
+  reset(seed) {
+    this.seed = seed;
+    this.frames = [];
+    this.isRecording = true;
+  }
+}
+
+  class RunPlayback {
+  constructor(replay) {
+    const validation = RunPlayback.validate(replay);
+    if (!validation.valid) {
+      throw new Error(`[RunPlayback] Invalid replay: ${validation.error}`);
+    }
+
+    this.seed = replay.seed;
+    this.frames = replay.frames;
+    this.cursor = 0;
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_FRAME_LOGS) {
+      console.log(`[RunPlayback] Loaded replay: seed ${this.seed}, ${this.frames.length} frames`);
+    }
+  }
+
+  // Check a parsed replay document, returns { valid, error }
+  static validate(replay) {
+    if (!replay || typeof replay !== 'object') {
+      return { valid: false, error: 'replay must be an object' };
+    }
+    if (replay.version !== REPLAY_FORMAT_VERSION) {
+      return { valid: false, error: `unsupported version ${replay.version}` };
+    }
+    if (replay.seed === undefined || replay.seed === null) {
+      return { valid: false, error: 'missing seed' };
+    }
+    if (!Array.isArray(replay.frames)) {
+      return { valid: false, error: 'frames must be an array' };
+    }
+    for (let i = 0; i < replay.frames.length; i++) {
+      const frame = replay.frames[i];
+      if (!Array.isArray(frame) || frame.length < 3 || frame.some(value => typeof value !== 'number')) {
+        return { valid: false, error: `frame ${i} must be [deltaTime, horizontal, vertical]` };
+      }
+    }
+    return { valid: true, error: null };
+  }
+
+  static fromJSON(text) {
+    return new RunPlayback(JSON.parse(text));
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  hasNext() {
+    return this.cursor < this.frames.length;
+  }
+
+  // Delta time of the next recorded frame (null when finished) - drives the frame clock
+  peekDeltaTime() {
+    return this.hasNext() ? this.frames[this.cursor][0] : null;
+  }
+
+  // Intent source contract for PlayerIntentSystem - consumes one frame
+  nextIntent() {
+    if (!this.hasNext()) {
+      return null;
+    }
+
+    const frame = this.frames[this.cursor++];
+    return {
+      horizontal: frame[1],
+      vertical: frame[2],
+      direct: frame[3] === 1
+    };
+  }
+
+  getProgress() {
+    return {
+      frame: this.cursor,
+      frameCount: this.frames.length
+    };
+  }
+
+  rewind() {
+    this.cursor = 0;
+  }
+}
+
+  // Expose globally
+  window.RunRecorder = RunRecorder;
+  window.RunPlayback = RunPlayback;
+
+})();
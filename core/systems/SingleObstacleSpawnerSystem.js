@@ -1,186 +0,0 @@
-// SingleObstacleSpawnerSystem - Deterministic single obstacle spawning
-// Responsibilities:
-// - Spawns exactly one obstacle per run
-// - Fixed laneIndex = 1, spawn Z = +250
-// - Registers entity with EntityRegistrySystem
-// - Monitors recycling to know when to spawn next obstacle
-// - No collision awareness, no health logic, no randomness
-
-(function() {
-  'use strict';
-
-  class SingleObstacleSpawnerSystem {
-  constructor(entityRegistrySystem, laneSystem, worldScrollerSystem, spawnBandSystem, world) {
-    this.entityRegistrySystem = entityRegistrySystem;
-    this.laneSystem = laneSystem;
-    this.worldScrollerSystem = worldScrollerSystem;
-    this.spawnBandSystem = spawnBandSystem;
-    this.world = world; // THREE.js scene reference
-
-    // Deterministic spawn parameters
-    this.spawnLane = 1; // Fixed lane index
-
-    // Vertical positioning - base height with lane-based variation
-    this.baseY = 100; // Base obstacle height
-    this.laneHeightVariation = 20; // Height variation between lanes
-
-    // State tracking
-    this.hasSpawned = false;
-    this.spawnedObstacleId = null;
-
-    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-      console.log('[SingleObstacleSpawner] Deterministic single obstacle spawner established');
-      console.log(`[SingleObstacleSpawner] Will spawn one obstacle at lane ${this.spawnLane}, Z=${this.spawnZ}`);
-    }
-  }
-
-  // Create a highly visible debug mesh for obstacles
-  createObstacleMesh() {
-    // Very large, bright yellow box - much larger than player, impossible to miss
-    const geometry = new THREE.BoxGeometry(12, 8, 6); // Very large: 12x8x6 (larger than player capsule)
-    const material = new THREE.MeshLambertMaterial({
-      color: 0xffff00, // Bright yellow for obstacle identification
-      transparent: false,
-      wireframe: false // Solid fill for maximum visibility
-    });
-
-    const mesh = new THREE.Mesh(geometry, material);
-
-    // Position at origin initially (will be updated by ObstacleEntity)
-    mesh.position.set(0, 0, 0);
-
-    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-      console.log('[SingleObstacleSpawner] Created highly visible yellow obstacle mesh (12x8x6)');
-    }
-
-    return mesh;
-  }
-
-  // Spawn the single obstacle if not already spawned
-  spawnObstacle() {
-    if (this.hasSpawned) {
-      if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-        console.log('[SingleObstacleSpawner] Obstacle already spawned, skipping');
-      }
-      return null;
-    }
-
-    // Create highly visible debug mesh
-    const obstacleMesh = this.createObstacleMesh();
-
-    // Calculate spawn Y position based on lane (deterministic variation)
-    const spawnY = this.baseY + (this.spawnLane * this.laneHeightVariation);
-
-    // Get spawn Z from SpawnBandSystem (player-relative positioning)
-    const baseZ = this.spawnBandSystem.getSpawnZ('AHEAD_SPAWN');
-
-    // Create obstacle entity with mesh, lane system, and world scroller for positioning
-    const obstacleId = `obstacle_single_${Date.now()}`;
-    const obstacle = new window.ObstacleEntity(
-      obstacleId,
-      this.spawnLane,
-      baseZ, // Player-relative spawn position from spawn band system
-      spawnY,
-      obstacleMesh,
-      this.laneSystem,
-      this.worldScrollerSystem
-    );
-
-    // Add mesh to world scene for visibility
-    this.world.add(obstacleMesh);
-
-    // Register with entity registry
-    this.entityRegistrySystem.register(obstacle);
-    this.spawnedObstacleId = obstacleId;
-    this.hasSpawned = true;
-
-    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-      console.log(`[SingleObstacleSpawner] Spawned single obstacle ${obstacleId} at lane ${this.spawnLane}, Z=${this.spawnZ}`);
-    }
-    return obstacle;
-  }
-
-  // Obstacle positions are now computed dynamically in ObstacleEntity.update()
-  // No per-frame position updates needed - obstacles are Z-passive
-  updateObstaclePosition() {
-    // Visual Z positions are computed in ObstacleEntity.update() as: baseZ - worldScrollOffset
-    // This ensures obstacles appear to move toward player ONLY due to WorldScrollerSystem
-  }
-
-  // Get the spawned obstacle (for external systems)
-  getObstacle() {
-    if (!this.hasSpawned || !this.spawnedObstacleId) return null;
-    return this.entityRegistrySystem.entities.get(this.spawnedObstacleId) || null;
-  }
-
-  // Check if obstacle has been cleaned up and is ready for respawn
-  // Returns true if obstacle was recycled and spawner is ready to spawn again
-  checkObstacleRecycled(spawnBandSystem) {
-    if (!this.hasSpawned || !this.spawnedObstacleId) return false;
-
-    // Check if obstacle still exists in registry
-    const obstacle = this.entityRegistrySystem.entities.get(this.spawnedObstacleId);
-    if (obstacle) {
-      // Obstacle still exists, check if it should be recycled
-      if (spawnBandSystem.shouldRecycle(obstacle.z)) {
-        // Obstacle should be recycled - unregister it
-        this.entityRegistrySystem.unregister(this.spawnedObstacleId);
-        if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-          console.log(`[SingleObstacleSpawner] Obstacle ${this.spawnedObstacleId} recycled in BEHIND_CLEANUP`);
-        }
-
-        // Reset state to allow respawning
-        this.hasSpawned = false;
-        this.spawnedObstacleId = null;
-        return true;
-      }
-      return false;
-    } else {
-      // Obstacle no longer exists in registry (already cleaned up)
-      if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-        console.log(`[SingleObstacleSpawner] Obstacle ${this.spawnedObstacleId} already cleaned up`);
-      }
-
-      // Reset state to allow respawning
-      this.hasSpawned = false;
-      this.spawnedObstacleId = null;
-      return true;
-    }
-  }
-
-  // Reset system state for fresh game run
-  // Destroys and unregisters any active obstacle, clears spawn flags
-  reset() {
-    // Destroy and unregister any active obstacle
-    if (this.hasSpawned && this.spawnedObstacleId) {
-      // Check if obstacle still exists (might have been cleaned up already)
-      const obstacle = this.entityRegistrySystem.entities.get(this.spawnedObstacleId);
-      if (obstacle) {
-        // Unregister from entity registry
-        this.entityRegistrySystem.unregister(this.spawnedObstacleId);
-
-        // Call destroy method if obstacle has one
-        if (obstacle.destroy) {
-          obstacle.destroy();
-        }
-
-        if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-          console.log(`[SingleObstacleSpawner] Reset: destroyed obstacle ${this.spawnedObstacleId}`);
-        }
-      }
-    }
-
-    // Clear internal spawn flags and state
-    this.hasSpawned = false;
-    this.spawnedObstacleId = null;
-
-    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-      console.log('[SingleObstacleSpawner] Reset complete - ready for new game run');
-    }
-  }
-}
-
-  // Expose globally
-  window.SingleObstacleSpawnerSystem = SingleObstacleSpawnerSystem;
-
-})();
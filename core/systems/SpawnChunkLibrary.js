@@ -0,0 +1,200 @@
+// SpawnChunkLibrary - Loads and serves designed spawn chunks
+// Responsibilities:
+// - Validates chunk documents (format in core/config/spawn-chunks.schema.json) with path-style errors
+// - Applies defaults and keeps chunks by id (later documents override earlier ones)
+// - Weighted, difficulty-gated chunk selection for SpawnDirectorSystem
+
+(function() {
+  'use strict';
+
+  const CHUNK_FORMAT_VERSION = 1;
+  const DOCUMENT_KEYS = ['$schema', 'version', 'chunks'];
+  const CHUNK_KEYS = ['id', 'weight', 'minLevel', 'maxLevel', 'length', 'mirrorable', 'entries'];
+  const ENTRY_KEYS = ['type', 'lane', 'z', 'tier', 'coinTier'];
+  const ENTRY_TYPES = ['obstacle', 'coin'];
+  const TIERS = ['low', 'mid', 'high'];
+  const COIN_TIERS = ['bronze', 'silver', 'gold']; // CoinEntity.TIERS
+
+  function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  function checkKeys(object, allowedKeys, path, errors) {
+    for (const key of Object.keys(object)) {
+      if (!allowedKeys.includes(key)) {
+        errors.push(`${path}: unknown property "${key}"`);
+      }
+    }
+  }
+
+  class SpawnChunkLibrary {
+  constructor(laneCount = 3) {
+    this.laneCount = laneCount;
+    this.chunks = new Map(); // id -> normalized chunk
+  }
+
+  // Check a parsed chunk document, returns { valid, errors }
+  static validate(document, laneCount = 3) {
+    const errors = [];
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      return { valid: false, errors: ['document must be an object'] };
+    }
+    checkKeys(document, DOCUMENT_KEYS, 'document', errors);
+    if (document.version !== CHUNK_FORMAT_VERSION) {
+      errors.push(`version: unsupported version ${document.version}`);
+    }
+    if (!Array.isArray(document.chunks) || document.chunks.length === 0) {
+      errors.push('chunks: must be a non-empty array');
+      return { valid: false, errors: errors };
+    }
+
+    const seenIds = new Set();
+    document.chunks.forEach((chunk, chunkIndex) => {
+      const path = `chunks[${chunkIndex}]`;
+      if (!chunk || typeof chunk !== 'object' || Array.isArray(chunk)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      checkKeys(chunk, CHUNK_KEYS, path, errors);
+
+      if (typeof chunk.id !== 'string' || chunk.id.length === 0) {
+        errors.push(`${path}.id: must be a non-empty string`);
+      } else if (seenIds.has(chunk.id)) {
+        errors.push(`${path}.id: duplicate id "${chunk.id}"`);
+      } else {
+        seenIds.add(chunk.id);
+      }
+      if (chunk.weight !== undefined && !(isNumber(chunk.weight) && chunk.weight > 0)) {
+        errors.push(`${path}.weight: must be a number > 0`);
+      }
+      if (chunk.minLevel !== undefined && !(Number.isInteger(chunk.minLevel) && chunk.minLevel >= 1)) {
+        errors.push(`${path}.minLevel: must be an integer >= 1`);
+      }
+      if (chunk.maxLevel !== undefined && !(Number.isInteger(chunk.maxLevel) && chunk.maxLevel >= (chunk.minLevel || 1))) {
+        errors.push(`${path}.maxLevel: must be an integer >= minLevel`);
+      }
+      if (!isNumber(chunk.length) || chunk.length < 0) {
+        errors.push(`${path}.length: must be a number >= 0`);
+      }
+      if (chunk.mirrorable !== undefined && typeof chunk.mirrorable !== 'boolean') {
+        errors.push(`${path}.mirrorable: must be a boolean`);
+      }
+      if (!Array.isArray(chunk.entries) || chunk.entries.length === 0) {
+        errors.push(`${path}.entries: must be a non-empty array`);
+        return;
+      }
+
+      chunk.entries.forEach((entry, entryIndex) => {
+        const entryPath = `${path}.entries[${entryIndex}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+          errors.push(`${entryPath}: must be an object`);
+          return;
+        }
+        checkKeys(entry, ENTRY_KEYS, entryPath, errors);
+
+        if (!ENTRY_TYPES.includes(entry.type)) {
+          errors.push(`${entryPath}.type: must be one of ${ENTRY_TYPES.join(', ')}`);
+        }
+        if (!Number.isInteger(entry.lane) || entry.lane < 0 || entry.lane >= laneCount) {
+          errors.push(`${entryPath}.lane: must be an integer lane index 0-${laneCount - 1}`);
+        }
+        if (!isNumber(entry.z) || entry.z < 0) {
+          errors.push(`${entryPath}.z: must be a number >= 0`);
+        } else if (isNumber(chunk.length) && entry.z > chunk.length) {
+          errors.push(`${entryPath}.z: ${entry.z} is beyond chunk length ${chunk.length}`);
+        }
+        if (entry.tier !== undefined && !TIERS.includes(entry.tier)) {
+          errors.push(`${entryPath}.tier: must be one of ${TIERS.join(', ')}`);
+        }
+        if (entry.coinTier !== undefined && entry.type !== 'coin') {
+          errors.push(`${entryPath}.coinTier: only allowed on coin entries`);
+        } else if (entry.coinTier !== undefined && !COIN_TIERS.includes(entry.coinTier)) {
+          errors.push(`${entryPath}.coinTier: must be one of ${COIN_TIERS.join(', ')}`);
+        }
+      });
+    });
+
+    return { valid: errors.length === 0, errors: errors };
+  }
+
+  // Validate and add a chunk document - throws with every validation error on failure
+  load(document) {
+    const validation = SpawnChunkLibrary.validate(document, this.laneCount);
+    if (!validation.valid) {
+      throw new Error(`[SpawnChunkLibrary] Invalid chunk document: ${validation.errors.join('; ')}`);
+    }
+
+    for (const chunk of document.chunks) {
+      this.chunks.set(chunk.id, {
+        id: chunk.id,
+        weight: chunk.weight !== undefined ? chunk.weight : 1,
+        minLevel: chunk.minLevel !== undefined ? chunk.minLevel : 1,
+        maxLevel: chunk.maxLevel !== undefined ? chunk.maxLevel : Infinity,
+        length: chunk.length,
+        mirrorable: chunk.mirrorable === true,
+        // Sorted by z so spawners can walk entries in approach order
+        entries: chunk.entries
+          .map(entry => {
+            const normalized = { type: entry.type, lane: entry.lane, z: entry.z, tier: entry.tier || 'mid' };
+            if (entry.type === 'coin') {
+              normalized.coinTier = entry.coinTier || 'bronze';
+            }
+            return normalized;
+          })
+          .sort((a, b) => a.z - b.z)
+      });
+    }
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      console.log(`[SpawnChunkLibrary] Loaded ${document.chunks.length} chunks (${this.chunks.size} total)`);
+    }
+    return this;
+  }
+
+  static fromJSON(text, laneCount = 3) {
+    return new SpawnChunkLibrary(laneCount).load(JSON.parse(text));
+  }
+
+  getChunk(id) {
+    return this.chunks.get(id) || null;
+  }
+
+  getChunkCount() {
+    return this.chunks.size;
+  }
+
+  // Chunks allowed at a difficulty level
+  getEligibleChunks(level) {
+    const eligible = [];
+    for (const chunk of this.chunks.values()) {
+      if (level >= chunk.minLevel && level <= chunk.maxLevel) {
+        eligible.push(chunk);
+      }
+    }
+    return eligible;
+  }
+
+  // Weighted random pick among eligible chunks (null if none)
+  pick(level, random) {
+    const eligible = this.getEligibleChunks(level);
+    if (eligible.length === 0) {
+      return null;
+    }
+
+    const totalWeight = eligible.reduce((sum, chunk) => sum + chunk.weight, 0);
+    let roll = random.next() * totalWeight;
+    for (const chunk of eligible) {
+      roll -= chunk.weight;
+      if (roll < 0) {
+        return chunk;
+      }
+    }
+    return eligible[eligible.length - 1];
+  }
+}
+
+  // Expose globally
+  window.SpawnChunkLibrary = SpawnChunkLibrary;
+
+})();
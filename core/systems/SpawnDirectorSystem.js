@@ -0,0 +1,260 @@
+// SpawnDirectorSystem - Single owner of every Endless hazard
+// Responsibilities:
+// - Stitches designed chunks (SpawnChunkLibrary) into the run, picked by DifficultyCurveSystem level
+// - Paces the gap between chunks by the difficulty spawn rate
+// - Only spawns layouts LayoutSolvabilityValidator can fly through (re-picks, then repairs)
+// - Registers every hazard (ObstacleEntity, type 'OBSTACLE') and chunk coin (CoinEntity) with EntityRegistrySystem
+// - Adds CoinFormationSystem coin strings over each chunk and in the gap after it, and PowerUpSystem power-ups
+// - Advances spawned entity Z from distance travelled since spawn
+// - No collision awareness - BoundsCollisionSystem finds entities through the registry
+
+(function() {
+  'use strict';
+
+  class SpawnDirectorSystem {
+  constructor(entityRegistrySystem, difficultyCurveSystem, distanceSystem, laneSystem, worldLayoutSystem, spawnBandSystem, world, random, chunkLibrary, layoutValidator, coinFormations = null, powerUps = null) {
+    this.entityRegistrySystem = entityRegistrySystem;
+    this.difficultyCurveSystem = difficultyCurveSystem;
+    this.distanceSystem = distanceSystem;
+    this.laneSystem = laneSystem;
+    this.worldLayoutSystem = worldLayoutSystem;
+    this.world = world; // THREE.js scene owner
+    this.random = random; // Shared SeededRandom (reproducible runs)
+    this.chunkLibrary = chunkLibrary; // Designed obstacle/coin patterns
+    this.layoutValidator = layoutValidator; // Reachable-path check for every spawned layout
+    this.coinFormations = coinFormations; // Coin strings around chunks (null = chunk coins only)
+    this.powerUps = powerUps; // Power-up placement in chunk gaps (null = none)
+
+    // Tuning - empty distance between chunks at spawnRateMultiplier 1.0, and its floor
+    this.baseChunkGap = 160;
+    this.minChunkGap = 70;
+
+    // Unsolvable picks are re-rolled this many times before the last pick is repaired
+    this.maxChunkAttempts = 3;
+
+    // Height of each chunk tier relative to the MID_AIR baseline (flight envelope is ±60)
+    this.tierOffsets = { low: -35, mid: 0, high: 35 };
+
+    // Chunks enter at the center of the AHEAD_SPAWN band
+    this.spawnZ = spawnBandSystem.getSpawnZ('AHEAD_SPAWN');
+
+    // Spawn state
+    this.nextChunkDistance = 0; // Distance travelled at which the next chunk starts
+    this.lastChunkId = null;
+    this.spawned = new Map(); // entity -> { baseZ, spawnDistance }
+
+    // Validation statistics (headless fuzzing and debugging)
+    this.stats = { chunksSpawned: 0, rejectedChunks: 0, repairedChunks: 0, removedObstacles: 0 };
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      console.log(`[SpawnDirector] Chunk director established (spawn Z ${this.spawnZ}, ${chunkLibrary.getChunkCount()} chunks)`);
+    }
+  }
+
+  // Advance spawned entities, then start the next chunk if due (canSpawn false during GRACE / HIT_RECOVERY)
+  // playerLaneState: { currentLane, targetLane, distanceToTarget, cooldownRemainingMs } - where layouts must be reachable from
+  // speedRamp: forward speed model layouts are validated against (EndlessMode.getSpeedRamp()) - the
+  // cruise speed when omitted
+  update(canSpawn, playerLaneState, speedRamp = null) {
+    const travelled = this.distanceSystem.getDistanceTravelled();
+
+    // Entities close in by exactly the distance travelled since they spawned
+    for (const [entity, placement] of this.spawned) {
+      if (!this.entityRegistrySystem.entities.has(entity.id)) {
+        this.spawned.delete(entity); // Collected, hit or cleaned up by the registry
+        continue;
+      }
+      entity.setZ(placement.baseZ - (travelled - placement.spawnDistance));
+    }
+
+    if (canSpawn && travelled >= this.nextChunkDistance) {
+      const gap = this.getChunkGap();
+      const chunk = this.spawnChunk(travelled, playerLaneState, gap, speedRamp);
+      const chunkLength = chunk ? chunk.length : 0;
+      this.nextChunkDistance = travelled + chunkLength + gap;
+    }
+  }
+
+  // Distance between the end of one chunk and the start of the next - shrinks as difficulty raises the spawn rate
+  getChunkGap() {
+    const difficultyState = this.difficultyCurveSystem.getDifficultyState();
+    return Math.max(this.minChunkGap, this.baseChunkGap / difficultyState.spawnRateMultiplier);
+  }
+
+  // Pick a solvable chunk for the current level and spawn all of its entries
+  // gap: empty distance left after the chunk - coin formations may fill it
+  spawnChunk(travelled, playerLaneState, gap = 0, speedRamp = null) {
+    const level = this.difficultyCurveSystem.getDifficultyState().level;
+    // Not the slow-mo speed - it may be over by the time the chunk arrives
+    const speed = speedRamp || this.distanceSystem.getCruiseSpeed();
+    const existing = this.getHazards();
+
+    let chunk = null;
+    let placements = null;
+    let mirrored = false;
+    let solvable = false;
+    for (let attempt = 0; attempt < this.maxChunkAttempts && !solvable; attempt++) {
+      chunk = this.chunkLibrary.pick(level, this.random);
+      if (!chunk) {
+        logger.warn(`[SpawnDirector] WARNING: No chunk eligible at level ${level}, skipping spawn`);
+        return null;
+      }
+
+      mirrored = chunk.mirrorable && this.random.next() < 0.5;
+      placements = this.placeChunk(chunk, mirrored);
+      const obstacles = placements.filter(placement => placement.type === 'obstacle');
+      solvable = this.layoutValidator.validate(existing.concat(obstacles), speed, playerLaneState).solvable;
+      if (!solvable) {
+        this.stats.rejectedChunks++;
+      }
+    }
+
+    // Still unsolvable - keep the last pick's coins and only the obstacles a path survives
+    if (!solvable) {
+      const obstacles = placements.filter(placement => placement.type === 'obstacle');
+      const repair = this.layoutValidator.repair(existing, obstacles, speed, playerLaneState);
+      placements = placements.filter(placement => placement.type !== 'obstacle').concat(repair.candidates);
+      this.stats.repairedChunks++;
+      this.stats.removedObstacles += repair.removed.length;
+
+      if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+        console.log(`[SpawnDirector] Repaired chunk ${chunk.id}: dropped ${repair.removed.length} obstacles to keep a path open`);
+      }
+    }
+
+    for (const placement of placements) {
+      this.spawnPlacement(placement, travelled);
+    }
+    if (this.coinFormations || this.powerUps) {
+      this.spawnPickups(chunk, placements, travelled, gap);
+    }
+    this.lastChunkId = chunk.id;
+    this.stats.chunksSpawned++;
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      console.log(`[SpawnDirector] Spawned chunk ${chunk.id}${mirrored ? ' (mirrored)' : ''} at level ${level}, distance ${travelled.toFixed(0)}`);
+    }
+    return chunk;
+  }
+
+  // Coin formations over the chunk just spawned and in the gap before the next one, then maybe a power-up
+  // Everything already in the world blocks them, so they never overlap a hazard or another pickup; the
+  // next chunk starts after the gap, which they leave clear
+  spawnPickups(chunk, placements, travelled, gap) {
+    const blockers = this.entityRegistrySystem.getAll()
+      .filter(entity => typeof entity.getBounds === 'function')
+      .map(entity => entity.getBounds());
+    const obstacles = placements.filter(placement => placement.type === 'obstacle');
+    const coinDensity = this.difficultyCurveSystem.getDifficultyState().coinDensity;
+    const baselineY = this.getTierY('mid');
+
+    let pickups = [];
+    if (this.coinFormations) {
+      pickups = this.coinFormations.layout(blockers, obstacles, this.spawnZ, chunk.length, gap, baselineY, coinDensity);
+    }
+    if (this.powerUps) {
+      pickups = pickups.concat(this.powerUps.layout(blockers, this.spawnZ + chunk.length, gap, baselineY));
+    }
+    for (const pickup of pickups) {
+      this.spawnPlacement(pickup, travelled);
+    }
+  }
+
+  // Chunk entries as world placements ({ type, tier, coinTier, laneIndex, z, y }) at the spawn band
+  // Entries spawn beyond the band center by their chunk offset and approach together
+  placeChunk(chunk, mirrored) {
+    const laneCount = this.laneSystem.getLaneCount();
+    return chunk.entries.map(entry => ({
+      type: entry.type,
+      tier: entry.tier,
+      coinTier: entry.coinTier,
+      laneIndex: mirrored ? laneCount - 1 - entry.lane : entry.lane,
+      z: this.spawnZ + entry.z,
+      y: this.getTierY(entry.tier)
+    }));
+  }
+
+  spawnPlacement(placement, travelled) {
+    const entityId = this.entityRegistrySystem.generateId();
+    const { laneIndex, z, y } = placement;
+
+    let entity;
+    if (placement.type === 'obstacle') {
+      const mesh = this.createHazardMesh();
+      entity = new window.ObstacleEntity(`hazard_${entityId}`, laneIndex, z, y, mesh, this.laneSystem);
+      entity.update(0); // Place mesh before first render
+      this.world.add(mesh);
+    } else if (placement.type === 'powerup') {
+      // Power-up visuals are owned by LaneEntityVisualSystem too
+      entity = new window.PowerUpEntity(`powerup_${entityId}`, laneIndex, z, y, this.laneSystem.getLaneCenter(laneIndex), placement.kind);
+    } else {
+      // Coin visuals are owned by LaneEntityVisualSystem
+      entity = new window.CoinEntity(entityId, laneIndex, z, y, this.laneSystem.getLaneCenter(laneIndex), placement.coinTier || 'bronze');
+    }
+
+    this.entityRegistrySystem.register(entity);
+    this.spawned.set(entity, { baseZ: z, spawnDistance: travelled });
+    return entity;
+  }
+
+  // World Y for a chunk tier
+  getTierY(tier) {
+    const midAirZone = this.worldLayoutSystem.getZone('MID_AIR');
+    const baselineY = midAirZone ? midAirZone.yBaseline : 100;
+    return baselineY + (this.tierOffsets[tier] || 0);
+  }
+
+  createHazardMesh() {
+    const geometry = new THREE.BoxGeometry(6, 8, 4); // Slightly taller and wider than player
+    const material = new THREE.MeshLambertMaterial({ color: 0x8B4513 }); // Brown/saddle brown color
+    return new THREE.Mesh(geometry, material);
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  // All live hazards (registry is the single source of truth)
+  getHazards() {
+    return this.entityRegistrySystem.getByType('OBSTACLE');
+  }
+
+  // Closest hazard still ahead of the player (null if none)
+  getNearestHazard() {
+    let nearest = null;
+    for (const hazard of this.getHazards()) {
+      if (hazard.z >= 0 && (!nearest || hazard.z < nearest.z)) {
+        nearest = hazard;
+      }
+    }
+    return nearest;
+  }
+
+  // Reset system state for fresh game run
+  // Destroys and unregisters every spawned entity, restarts chunk pacing
+  reset() {
+    for (const entity of this.spawned.keys()) {
+      if (this.entityRegistrySystem.entities.has(entity.id)) {
+        this.entityRegistrySystem.unregister(entity);
+        entity.destroy();
+      }
+    }
+    this.spawned.clear();
+    if (this.coinFormations) {
+      this.coinFormations.reset();
+    }
+
+    this.nextChunkDistance = 0;
+    this.lastChunkId = null;
+    this.stats = { chunksSpawned: 0, rejectedChunks: 0, repairedChunks: 0, removedObstacles: 0 };
+
+    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
+      console.log('[SpawnDirector] Reset complete - ready for new game run');
+    }
+  }
+}
+
+  // Expose globally
+  window.SpawnDirectorSystem = SpawnDirectorSystem;
+
+})();
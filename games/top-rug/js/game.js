@@ -93,6 +93,13 @@ class ModeSupervisor {
     }
   }
 
+  // Interpolated presentation between fixed steps (modes without render() skip it)
+  render(alpha) {
+    if (this.currentMode && this.hasActiveMode && this.currentMode.render) {
+      this.currentMode.render(alpha);
+    }
+  }
+
   pause() {
     if (this.currentMode && this.hasActiveMode) {
       this.currentMode.pause();
@@ -114,8 +121,68 @@ class ModeSupervisor {
   }
 }
 
+// Fixed simulation step (seconds) - gameplay always advances in whole 60Hz steps
+const FIXED_TIMESTEP = 1 / 60;
+
+// Session storage key used to hand a dropped replay file across a page reload
+const REPLAY_SESSION_KEY = 'rugflight.replay';
+
+// Local storage key for the steering scheme picked in the controls menu
+const CONTROL_SCHEME_STORAGE_KEY = 'rugflight.controlScheme';
+
 const AviatorEndlessGame = {
   init() {
+    const params = new URLSearchParams(window.location.search);
+
+    Promise.all([this.loadReplay(params.get('replay')), this.loadChunks(params.get('chunks'))])
+      .then(([playback, chunks]) => this.boot(playback, chunks));
+  },
+
+  // ?replay=session plays a dropped replay file, ?replay=<url> fetches one
+  loadReplay(replayParam) {
+    if (!replayParam) {
+      return Promise.resolve(null);
+    }
+    if (replayParam === 'session') {
+      return Promise.resolve(this.parseReplay(sessionStorage.getItem(REPLAY_SESSION_KEY)));
+    }
+
+    return fetch(replayParam)
+      .then(response => response.text())
+      .then(text => this.parseReplay(text))
+      .catch(error => {
+        logger.error('[Replay] Failed to fetch replay:', error);
+        return null;
+      });
+  },
+
+  // ?chunks=<url> fetches a designer chunk document (validated by EndlessMode on load)
+  loadChunks(chunksParam) {
+    if (!chunksParam) {
+      return Promise.resolve(null);
+    }
+
+    return fetch(chunksParam)
+      .then(response => response.json())
+      .catch(error => {
+        logger.error('[SpawnChunks] Failed to fetch chunks:', error);
+        return null;
+      });
+  },
+
+  // Parse replay JSON into a RunPlayback (null when missing or invalid)
+  parseReplay(text) {
+    if (!text) return null;
+
+    try {
+      return window.RunPlayback.fromJSON(text);
+    } catch (error) {
+      logger.error('[Replay] Ignoring invalid replay:', error.message);
+      return null;
+    }
+  },
+
+  boot(playback, chunks) {
     logger.info('Initializing clean architecture...');
 
     // Create GameState
@@ -125,8 +192,8 @@ const AviatorEndlessGame = {
       time: 0
     };
 
-    // Create Input (mouse tracking)
-    const input = new Input();
+    // Create Input (mouse tracking, keys read through the persisted action map)
+    const input = new Input(new window.InputActionMap());
 
     // Create World (scene, camera, renderer owner)
     const world = new World();
@@ -146,20 +213,57 @@ const AviatorEndlessGame = {
     // Initialize world
     world.init();
 
+    // Optional ?seed= query parameter reproduces a reported run
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+
     // Initialize endless mode
-    endlessMode.init(gameState, world, input, cameraRig, viewProfileSystem);
+    endlessMode.init(gameState, world, input, cameraRig, viewProfileSystem, {
+      seed: seedParam !== null ? seedParam : undefined,
+      playback: playback,
+      chunks: chunks,
+      controlScheme: this.loadControlScheme()
+    });
 
     // Set mode and start via supervisor
     modeSupervisor.setMode(endlessMode);
     modeSupervisor.start();
 
-    // Start animation loop
-    let lastTime = 0;
-    const loop = (currentTime) => {
-      const deltaTime = (currentTime - lastTime) / 1000;
-      lastTime = currentTime;
+    // Replay tooling: F8 downloads the current run, dropping a file plays it back
+    this.bindReplayControls(endlessMode);
+
+    // PAUSE toggles the run; the controls menu pauses while open
+    this.bindPauseControls(input, modeSupervisor, endlessMode);
+
+    // Swipes and taps on the canvas, plus the optional on-screen buttons
+    this.bindTouchControls(input, world);
+
+    // Start animation loop - simulation advances in fixed 60Hz steps, rendering
+    // interpolates between the last two steps at whatever rate the display runs
+    const fixedLoop = new window.FixedTimestepLoop(FIXED_TIMESTEP);
+    let replayFinishedLogged = false;
+    const step = (stepSeconds) => {
+      // Replays step on their recorded deltas, paced by the same accumulator
+      // (a restart after playback drops the recording and continues live)
+      const playback = endlessMode.getPlayback();
+      if (playback) {
+        const recordedDelta = playback.peekDeltaTime();
+        if (recordedDelta === null) {
+          if (!replayFinishedLogged) {
+            logger.info('[Replay] Playback finished');
+            replayFinishedLogged = true;
+          }
+          return;
+        }
+        stepSeconds = recordedDelta;
+      }
 
-      modeSupervisor.update(deltaTime);
+      input.poll(); // Gamepads are sampled once per step so lane presses pulse for exactly one step
+      modeSupervisor.update(stepSeconds);
+    };
+
+    const loop = (currentTime) => {
+      const alpha = fixedLoop.tick(currentTime, step);
+      modeSupervisor.render(alpha);
       world.render();
 
       requestAnimationFrame(loop);
@@ -168,15 +272,241 @@ const AviatorEndlessGame = {
     requestAnimationFrame(loop);
 
     logger.info('Clean architecture initialized successfully');
+  },
+
+  bindPauseControls(input, modeSupervisor, endlessMode) {
+    let pausedByMenu = false;
+
+    input.onAction('PAUSE', () => {
+      if (this.controlsMenu.isOpen) return; // Menu owns the pause while open
+      endlessMode.isPaused ? modeSupervisor.resume() : modeSupervisor.pause();
+    });
+
+    // Tap to start: RESTART (a tap, Space, gamepad A) also resumes a paused run
+    input.onAction('RESTART', () => {
+      if (endlessMode.isPaused && !this.controlsMenu.isOpen) modeSupervisor.resume();
+    });
+
+    this.controlsMenu = new ControlsMenuSystem(
+      input.actionMap,
+      () => {
+        pausedByMenu = !endlessMode.isPaused;
+        if (pausedByMenu) modeSupervisor.pause();
+      },
+      () => {
+        if (pausedByMenu) modeSupervisor.resume();
+        pausedByMenu = false;
+      },
+      {
+        get: () => endlessMode.getControlScheme(),
+        set: (scheme) => {
+          endlessMode.setControlScheme(scheme);
+          this.saveControlScheme(scheme);
+        }
+      }
+    );
+  },
+
+  // ?controls=pointer|keyboard, else the last scheme picked in the controls menu
+  loadControlScheme() {
+    const schemes = ['keyboard', 'pointer'];
+    const param = new URLSearchParams(window.location.search).get('controls');
+    if (schemes.includes(param)) {
+      return param;
+    }
+
+    try {
+      const stored = window.localStorage.getItem(CONTROL_SCHEME_STORAGE_KEY);
+      return schemes.includes(stored) ? stored : 'keyboard';
+    } catch (error) {
+      return 'keyboard'; // Storage blocked
+    }
+  },
+
+  saveControlScheme(scheme) {
+    try {
+      window.localStorage.setItem(CONTROL_SCHEME_STORAGE_KEY, scheme);
+    } catch (error) {
+      // Storage blocked - scheme lasts for this session only
+    }
+  },
+
+  // ?touchButtons=on|off overrides the default (shown on touch-first devices)
+  bindTouchControls(input, world) {
+    const touchSource = new window.TouchSource(world.renderer.domElement);
+    input.addSource(touchSource);
+
+    const buttonsParam = new URLSearchParams(window.location.search).get('touchButtons');
+    const isTouchFirst = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    const showButtons = buttonsParam ? buttonsParam === 'on' : isTouchFirst;
+
+    const container = document.getElementById('touchControls');
+    if (!container || !showButtons) return;
+
+    for (const button of container.querySelectorAll('[data-action]')) {
+      touchSource.bindButton(button, button.dataset.action);
+    }
+    container.classList.add('visible');
+    logger.info('[TouchControls] On-screen buttons shown');
+  },
+
+  bindReplayControls(endlessMode) {
+    window.addEventListener('keydown', (event) => {
+      if (event.code === 'F8') {
+        event.preventDefault();
+        this.downloadReplay(endlessMode);
+      }
+    });
+
+    window.addEventListener('dragover', (event) => event.preventDefault());
+    window.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer && event.dataTransfer.files[0];
+      if (!file) return;
+
+      file.text().then(text => {
+        if (!this.parseReplay(text)) return;
+
+        // Seed is fixed at init, so playback starts from a fresh page
+        sessionStorage.setItem(REPLAY_SESSION_KEY, text);
+        window.location.search = '?replay=session';
+      });
+    });
+  },
+
+  downloadReplay(endlessMode) {
+    const replay = endlessMode.getReplay();
+    if (!replay) {
+      logger.warn('[Replay] No recording available (playback runs are not re-recorded)');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `rugflight-replay-${replay.seed}-${replay.frameCount}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    logger.info(`[Replay] Downloaded replay (seed ${replay.seed}, ${replay.frameCount} frames)`);
+  },
+
+  // Check a designer chunk document before handing it to a run, returns { valid, errors }
+  validateChunks(document) {
+    return window.SpawnChunkLibrary.validate(document);
+  },
+
+  // Build an Endless run with no DOM, WebGL, camera or presentation systems
+  // Returns a handle whose step() advances gameplay by one frame of synthetic input
+  createHeadlessRun(options = {}) {
+    const gameState = {
+      status: 'playing',
+      speed: 0,
+      time: 0
+    };
+
+    const input = new ScriptedInput();
+    const world = new NullWorld();
+    const viewProfileSystem = new ViewProfileSystem();
+    const endlessMode = new EndlessMode();
+
+    world.init();
+    endlessMode.init(gameState, world, input, null, viewProfileSystem, { headless: true, ...options });
+    endlessMode.start();
+
+    let frames = 0;
+
+    return {
+      mode: endlessMode,
+      input: input,
+
+      // Advance one frame; keys (optional) replaces the held key set for this frame
+      // During playback deltaTime and keys are ignored in favour of the recording
+      step(deltaTime, keys) {
+        // Recorded runs also own the frame clock (until a restart drops the recording)
+        const playback = endlessMode.getPlayback();
+        if (playback) {
+          deltaTime = playback.peekDeltaTime();
+          if (deltaTime === null) {
+            return endlessMode.getCurrentPhase();
+          }
+        }
+        if (keys) {
+          input.setKeys(keys);
+        }
+        endlessMode.update(deltaTime);
+        frames++;
+        return endlessMode.getCurrentPhase();
+      },
+
+      isPlaybackFinished() {
+        const playback = endlessMode.getPlayback();
+        return !!playback && !playback.hasNext();
+      },
+
+      // Same path as clicking the game-over screen, without the input delay
+      restart() {
+        endlessMode.restart();
+        frames = 0;
+      },
+
+      getReplay() {
+        return endlessMode.getReplay();
+      },
+
+      getResult() {
+        return { ...endlessMode.getRunResult(), frames: frames };
+      },
+
+      destroy() {
+        endlessMode.destroy();
+        input.destroy();
+      }
+    };
+  },
+
+  // Run a headless Endless session to completion and return the run result
+  // options.inputScript(frame, run) may return an array of held key codes per frame
+  runHeadless(options = {}) {
+    const deltaTime = options.deltaTime || FIXED_TIMESTEP;
+    const maxFrames = options.maxFrames || 60 * 60 * 5; // 5 simulated minutes
+    const stopOnGameOver = options.stopOnGameOver !== false;
+
+    const run = this.createHeadlessRun(options.modeOptions);
+
+    for (let frame = 0; frame < maxFrames; frame++) {
+      const keys = options.inputScript ? options.inputScript(frame, run) : null;
+      const phase = run.step(deltaTime, keys);
+
+      if (stopOnGameOver && phase === GAME_PHASES.GAME_OVER) {
+        break;
+      }
+      if (run.isPlaybackFinished()) {
+        break;
+      }
+    }
+
+    const result = run.getResult();
+    run.destroy();
+    return result;
   }
 };
 
-// Input class - tracks normalized mouse position (-1 to 1)
+// Input class - tracks normalized mouse position (-1 to 1), held keys read through an action map,
+// and polled sources (gamepads, touch) reporting the same actions
 class Input {
-  constructor() {
+  constructor(actionMap) {
     this.mouse = { x: 0, y: 0 }; // Normalized -1 to 1
     this.windowSize = { width: window.innerWidth, height: window.innerHeight };
     this.keys = {}; // Track pressed keys
+    this.keysPressedSincePoll = new Set(); // Taps shorter than a step still count for one step
+    this.latchedKeys = new Set();
+    this.actionMap = actionMap || new window.InputActionMap(); // Key bindings (persisted)
+    this.actionListeners = new Map(); // action -> callbacks fired on press
+
+    // Polled sources report { held, pressed } actions once per simulation step (poll())
+    this.sources = [new window.GamepadSource()];
+    this.polledActions = new Set(); // Actions the sources hold this step
 
     // Bind event handlers
     this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -203,8 +533,51 @@ class Input {
   }
 
   handleKeyDown(event) {
+    const action = this.actionMap.getActionForCode(event.code);
+    if (action) {
+      event.preventDefault(); // Bound keys (arrows, Space) must not scroll the page
+    }
+
+    const wasDown = this.keys[event.code];
     this.keys[event.code] = true;
     logger.info('[INPUT] keydown', event.code);
+
+    // Press callbacks fire once per press, not on key auto-repeat
+    if (action && !wasDown) {
+      this.keysPressedSincePoll.add(event.code);
+      this.emitAction(action);
+    }
+  }
+
+  emitAction(action) {
+    if (!this.actionListeners.has(action)) return;
+
+    for (const callback of this.actionListeners.get(action).slice()) {
+      callback(action);
+    }
+  }
+
+  // Add a polled source (TouchSource once the canvas exists)
+  addSource(source) {
+    this.sources.push(source);
+  }
+
+  // Sample every source for the coming simulation step and fire their press callbacks
+  poll() {
+    // Keys pressed since the last step read as down for this step even if already released
+    this.latchedKeys = this.keysPressedSincePoll;
+    this.keysPressedSincePoll = new Set();
+
+    this.polledActions = new Set();
+    for (const source of this.sources) {
+      const sample = source.poll();
+      for (const action of sample.held) {
+        this.polledActions.add(action);
+      }
+      for (const action of sample.pressed) {
+        this.emitAction(action);
+      }
+    }
   }
 
   handleKeyUp(event) {
@@ -216,10 +589,35 @@ class Input {
   }
 
   isKeyDown(code) {
-    return !!this.keys[code];
+    return !!this.keys[code] || this.latchedKeys.has(code);
+  }
+
+  // Held state of a named action (any of its bound keys, or a polled source)
+  isActionDown(action) {
+    return this.polledActions.has(action) || this.actionMap.isActionDown(action, this);
+  }
+
+  // Call back whenever a key bound to the action is pressed
+  onAction(action, callback) {
+    if (!this.actionListeners.has(action)) {
+      this.actionListeners.set(action, []);
+    }
+    this.actionListeners.get(action).push(callback);
+  }
+
+  offAction(action, callback) {
+    const callbacks = this.actionListeners.get(action);
+    if (callbacks && callbacks.includes(callback)) {
+      callbacks.splice(callbacks.indexOf(callback), 1);
+    }
   }
 
   destroy() {
+    this.actionListeners.clear();
+    for (const source of this.sources) {
+      source.destroy();
+    }
+    this.sources = [];
     window.removeEventListener('mousemove', this.handleMouseMove);
     window.removeEventListener('resize', this.handleResize);
     window.removeEventListener('keydown', this.handleKeyDown);
@@ -227,6 +625,53 @@ class Input {
   }
 }
 
+// ScriptedInput class - synthetic input source for headless runs
+// Same read interface as Input (isKeyDown/getMouse) but never touches window
+class ScriptedInput {
+  constructor() {
+    this.mouse = { x: 0, y: 0 };
+    this.keys = {};
+    this.actionMap = new window.InputActionMap({ storage: null }); // Default bindings, never persisted
+  }
+
+  // Replace the full set of held keys for the next step
+  setKeys(codes) {
+    this.keys = {};
+    for (const code of codes || []) {
+      this.keys[code] = true;
+    }
+  }
+
+  press(code) {
+    this.keys[code] = true;
+  }
+
+  release(code) {
+    this.keys[code] = false;
+  }
+
+  setMouse(x, y) {
+    this.mouse.x = x;
+    this.mouse.y = y;
+  }
+
+  getMouse() {
+    return { ...this.mouse };
+  }
+
+  isKeyDown(code) {
+    return !!this.keys[code];
+  }
+
+  isActionDown(action) {
+    return this.actionMap.isActionDown(action, this);
+  }
+
+  destroy() {
+    this.keys = {};
+  }
+}
+
 // World class - owns scene, camera, renderer
 class World {
   constructor() {
@@ -266,6 +711,8 @@ class World {
       this.renderer.domElement.style.width = '100%';
       this.renderer.domElement.style.height = '100%';
       this.renderer.domElement.style.display = 'block';
+      // Touch gestures steer the plane - the page must not pan or zoom under them
+      this.renderer.domElement.style.touchAction = 'none';
       container.appendChild(this.renderer.domElement);
 
       // Force keyboard focus on canvas
@@ -360,6 +807,32 @@ class World {
   }
 }
 
+// NullWorld class - World stand-in for headless runs (no scene, camera or renderer)
+// Meshes handed to add() are simply not attached anywhere
+class NullWorld {
+  constructor() {
+    this.scene = null;
+    this.camera = null;
+    this.renderer = null;
+    this.lights = [];
+    this.hasInitialized = false;
+  }
+
+  init() {
+    this.hasInitialized = true;
+  }
+
+  add(object) {}
+
+  remove(object) {}
+
+  render() {}
+
+  destroy() {
+    logger.info('[NullWorld] Destroyed');
+  }
+}
+
 // View profiles for different game genres
 const VIEW_PROFILES = {
   SIDE_SCROLLER: {
@@ -406,7 +879,8 @@ class CameraRig {
     logger.info('[CameraRig] Now following entity - Z axis locked');
   }
 
-  update() {
+  // followPosition (optional) overrides the entity's simulated position, e.g. an interpolated mesh
+  update(followPosition) {
     if (!this.targetEntity || !this.viewProfileSystem) return;
 
     const profile = this.viewProfileSystem.getProfile();
@@ -417,7 +891,7 @@ class CameraRig {
       this._initialCameraZ = this.world.camera.position.z;
     }
 
-    const entityPos = this.targetEntity.getPosition();
+    const entityPos = followPosition || this.targetEntity.getPosition();
 
     // Apply profile-based camera behavior
     if (profile.cameraOffset) {
@@ -579,19 +1053,23 @@ class GroundSegmentSystem {
 class DistanceSystem {
   constructor() {
     this.distance = 0;
-    this.speed = 0.02; // Base speed for distance accumulation
+    this.speed = 0; // Forward speed of the last update (units per second, from WorldAxisSystem)
+    this.cruiseSpeed = 0; // The same without slow-mo
     this.lastDelta = 0;
   }
 
   reset() {
     this.distance = 0;
+    this.speed = 0;
+    this.cruiseSpeed = 0;
     this.lastDelta = 0;
   }
 
-  update(deltaTime) {
-    // Forward velocity: 60 units per second for proper motion scaling
-    const SPEED = 60;
-    this.lastDelta = SPEED * deltaTime;
+  // Accumulate the forward motion WorldAxisSystem applied this step
+  update(deltaTime, speed, cruiseSpeed = speed) {
+    this.speed = speed;
+    this.cruiseSpeed = cruiseSpeed;
+    this.lastDelta = speed * deltaTime;
     // World scrolls backward, so distance decreases
     this.distance -= this.lastDelta;
 
@@ -606,9 +1084,24 @@ class DistanceSystem {
     return this.distance;
   }
 
+  // Positive distance covered this run (getDistance() is negative by design)
+  getDistanceTravelled() {
+    return -this.distance;
+  }
+
   getDelta() {
     return this.lastDelta;
   }
+
+  // Forward speed in units per second
+  getSpeed() {
+    return this.speed;
+  }
+
+  // Forward speed once slow-mo ends - what layouts spawned now are met at
+  getCruiseSpeed() {
+    return this.cruiseSpeed;
+  }
 }
 
 // DifficultyCurveSystem class - centralizes difficulty progression based on distance
@@ -622,6 +1115,7 @@ class DifficultyCurveSystem {
     this.difficultyScalar = 1.0; // Base difficulty multiplier
     this.lastDistanceCheckpoint = 0;
     this.distancePerLevel = 500; // Distance units needed for level increase
+    this.levelProgress = 0; // Progress through the current level [0, 1]
 
     logger.info('[DifficultyCurve] Centralized difficulty progression established');
   }
@@ -643,11 +1137,23 @@ class DifficultyCurveSystem {
     // Calculate smooth difficulty scalar within current level
     const progressInLevel = distance - this.lastDistanceCheckpoint;
     const levelProgressRatio = Math.min(progressInLevel / this.distancePerLevel, 1.0);
+    this.levelProgress = levelProgressRatio;
 
     // Smooth difficulty increase: base 1.0, increases by 0.1 per level, smoothed within level
     this.difficultyScalar = 1.0 + ((this.currentLevel - 1) * 0.1) + (levelProgressRatio * 0.1);
   }
 
+  // Speed multiplier the curve will give at a distance - lets layout validation look ahead along the ramp
+  getSpeedMultiplierAt(distance) {
+    const level = Math.floor(distance / this.distancePerLevel) + 1;
+    const levelProgressRatio = Math.min((distance - (level - 1) * this.distancePerLevel) / this.distancePerLevel, 1.0);
+    return DifficultyCurveSystem.getSpeedMultiplier(1.0 + ((level - 1) * 0.1) + (levelProgressRatio * 0.1));
+  }
+
+  static getSpeedMultiplier(difficultyScalar) {
+    return Math.min(1.0 + (difficultyScalar - 1.0) * 0.2, 1.8); // Max 1.8x speed
+  }
+
   // Get current difficulty state - read-only interface for other systems
   getDifficultyState() {
     return {
@@ -656,7 +1162,7 @@ class DifficultyCurveSystem {
 
       // Conservative multipliers for gameplay balance
       spawnRateMultiplier: Math.min(1.0 + (this.difficultyScalar - 1.0) * 0.3, 2.0), // Max 2x spawn rate
-      speedMultiplier: Math.min(1.0 + (this.difficultyScalar - 1.0) * 0.2, 1.8),     // Max 1.8x speed
+      speedMultiplier: DifficultyCurveSystem.getSpeedMultiplier(this.difficultyScalar),
       coinDensity: Math.max(1.0 - (this.difficultyScalar - 1.0) * 0.1, 0.5),       // Min 0.5x coin density
       collisionSeverityMultiplier: 1.0 + (this.difficultyScalar - 1.0) * 0.2        // Gradual increase
     };
@@ -667,6 +1173,7 @@ class DifficultyCurveSystem {
     this.currentLevel = 1;
     this.difficultyScalar = 1.0;
     this.lastDistanceCheckpoint = 0;
+    this.levelProgress = 0;
     logger.info('[DifficultyCurve] Difficulty reset for new game');
   }
 
@@ -675,6 +1182,11 @@ class DifficultyCurveSystem {
     return this.currentLevel;
   }
 
+  // Get progress through the current level [0, 1]
+  getLevelProgress() {
+    return this.levelProgress;
+  }
+
   // Get difficulty scalar
   getDifficultyScalar() {
     return this.difficultyScalar;
@@ -829,6 +1341,16 @@ class WorldScrollerSystem {
   getZoneZ(zoneName) {
     return this.scrollOffsets[zoneName] || 0;
   }
+
+  // Reset all zone offsets for a new run
+  reset() {
+    for (const zoneName in this.scrollOffsets) {
+      this.scrollOffsets[zoneName] = 0;
+    }
+    this._logTimer = 0;
+    this._lastLoggedGround = 0;
+    this._lastLoggedSky = 0;
+  }
 }
 
 // LaneSystem class - defines discrete lateral gameplay space
@@ -886,25 +1408,57 @@ class PlayerIntentSystem {
 
     this.currentIntent = null;
 
+    // Optional recorded intent stream (RunPlayback) - replaces live input when set
+    this.intentSource = null;
+
+    // 'keyboard' reads actions (keys, gamepad, touch); 'pointer' asks pointerIntentProvider(input)
+    this.controlScheme = 'keyboard';
+    this.pointerIntentProvider = null;
+
     logger.info('[PlayerIntent] Semantic intent interpretation established');
   }
 
+  // Feed intents from a recording instead of live input (null restores live input)
+  setIntentSource(intentSource) {
+    this.intentSource = intentSource;
+  }
+
+  // Switch live control scheme; pointer needs a provider returning { horizontal, vertical }
+  setControlScheme(scheme, pointerIntentProvider = null) {
+    console.assert(scheme !== 'pointer' || pointerIntentProvider, '[PlayerIntent] ERROR: pointer scheme needs an intent provider');
+    this.controlScheme = scheme;
+    this.pointerIntentProvider = pointerIntentProvider;
+  }
+
   // Convert raw input into axis-based gameplay intent
   update(input, deltaTime) {
     let horizontal = 0;
     let vertical = 0;
-
-    if (input) {
-      // Keyboard-only logic for Endless mode (no mouse support)
-    if (input.isKeyDown('ArrowLeft')) {
+    let direct = false; // horizontal points at the wanted lane every step (pointer) rather than being held like a key
+
+    if (this.intentSource) {
+      const recorded = this.intentSource.nextIntent();
+      if (recorded) {
+        horizontal = recorded.horizontal;
+        vertical = recorded.vertical;
+        direct = recorded.direct;
+      }
+    } else if (input && this.controlScheme === 'pointer') {
+      const pointerIntent = this.pointerIntentProvider(input);
+      horizontal = pointerIntent.horizontal;
+      vertical = pointerIntent.vertical;
+      direct = true;
+    } else if (input) {
+      // Keyboard scheme - keys come from the action map (gamepad and touch report the same actions)
+      if (input.isActionDown('MOVE_LEFT')) {
         horizontal = -1;
-    } else if (input.isKeyDown('ArrowRight')) {
+      } else if (input.isActionDown('MOVE_RIGHT')) {
         horizontal = 1;
       }
 
-      if (input.isKeyDown('ArrowUp')) {
+      if (input.isActionDown('CLIMB')) {
         vertical = 1;
-      } else if (input.isKeyDown('ArrowDown')) {
+      } else if (input.isActionDown('DIVE')) {
         vertical = -1;
       }
     }
@@ -913,6 +1467,7 @@ class PlayerIntentSystem {
     this.currentIntent = {
       horizontal: horizontal,
       vertical: vertical,
+      direct: direct,
       timestamp: performance.now()
     };
   }
@@ -1369,6 +1924,12 @@ class SpawnBandSystem {
   getWorldProgress() {
     return this.worldProgress;
   }
+
+  // Reset world progress for a new run
+  reset() {
+    this.worldProgress = 0;
+    this.lastBandCrossings = {};
+  }
 }
 
 // EntityRegistrySystem class - authoritative source of truth for world entities
@@ -1552,872 +2113,864 @@ class EntityRegistrySystem {
   }
 }
 
-// CollisionIntentSystem class - deterministic collision detection layer
-class CollisionIntentSystem {
-  constructor() {
-    this.currentFrameIntents = []; // Intents for current frame only
-
-    // Collision grace period - no collisions during initial game phase
-    this.gracePeriodWorldUnits = 100; // First 100 world units
-    this.gracePeriodSeconds = 2.0; // First 2 seconds
-    this.elapsedTime = 0; // Track total elapsed time
+// CollisionConsumptionSystem class - processes collision intents into domain events
+class CollisionConsumptionSystem {
+  constructor(entityRegistry) {
+    this.entityRegistry = entityRegistry;
+    this.domainEvents = []; // Domain events for current frame
 
-    if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-      logger.info('[CollisionIntent] Deterministic collision detection layer established');
-      logger.info(`[CollisionIntent] Grace period: ${this.gracePeriodWorldUnits} world units OR ${this.gracePeriodSeconds}s`);
-    }
+    logger.info('[CollisionConsumption] Intent consumption system established');
   }
 
-  // Process collision detection for current frame
-  process(planeEntity, entityRegistry, spawnBandSystem, playerMovementPipeline, deltaTime) {
-    console.assert(planeEntity, '[CollisionIntent] ERROR: planeEntity required');
-    console.assert(entityRegistry, '[CollisionIntent] ERROR: entityRegistry required');
-    console.assert(spawnBandSystem, '[CollisionIntent] ERROR: spawnBandSystem required');
-    console.assert(playerMovementPipeline, '[CollisionIntent] ERROR: playerMovementPipeline required');
-
-    // Update elapsed time for grace period tracking
-    this.elapsedTime += deltaTime;
+  // Process collision intents and emit domain events
+  process(intents) {
+    console.assert(Array.isArray(intents), '[CollisionConsumption] ERROR: intents must be an array');
 
-    // Check collision grace period - no collisions during initial game phase
-    const worldProgress = spawnBandSystem.getWorldProgress();
-    const inGracePeriod = worldProgress < this.gracePeriodWorldUnits || this.elapsedTime < this.gracePeriodSeconds;
+    // Clear previous frame's domain events
+    this.domainEvents = [];
 
-    if (inGracePeriod) {
-      // Clear intents and skip collision detection during grace period
-      this.currentFrameIntents = [];
-      return this.currentFrameIntents;
+    // Process each collision intent (PASSED: a hazard the player dodged)
+    for (const intent of intents) {
+      if (intent.type === 'COLLISION') {
+        this.processCollisionIntent(intent);
+      } else if (intent.type === 'PASSED') {
+        this.processHazardPassed(intent.target, intent.laneIndex);
+      }
     }
 
-    // Clear previous frame's intents
-    this.currentFrameIntents = [];
-
-    // Only check entities in ACTIVE_WINDOW band (near player)
-    const activeEntities = entityRegistry.getByBand(spawnBandSystem, 'ACTIVE_WINDOW');
-
-    // Get plane's current lane (from PlayerMovementPipelineSystem)
-    const planeLaneIndex = playerMovementPipeline.getCurrentLane();
-    const planeZ = planeEntity.position.z; // Always 0 for plane
-
-    // Get collision profile from player entity
-    const collisionProfile = planeEntity.getCollisionProfile();
+    return this.domainEvents;
+  }
 
-    // Check each active entity for collision
-    for (const entity of activeEntities) {
-      // Skip if entity doesn't have laneIndex (not lane-aware)
-      if (typeof entity.laneIndex !== 'number') continue;
+  processCollisionIntent(intent) {
+    const { target, laneIndex } = intent;
 
-      // Only check entities in the same lane as plane
-      if (entity.laneIndex !== planeLaneIndex) continue;
+    // Handle different entity types (coins and power-ups are collected, hazards hit)
+    if (target.type === 'coin') {
+      this.processCoinCollection(target, laneIndex, intent);
+    } else if (target.type === 'powerup') {
+      this.processPowerUpCollection(target, laneIndex, intent);
+    } else if (target.type === 'OBSTACLE') {
+      this.processObstacleCollision(target, laneIndex, intent);
+    }
+    // Future: Add other entity type handlers here
+  }
 
-      // Calculate Z distance (plane is always at Z=0)
-      const zDistance = Math.abs(entity.z - planeZ);
+  processObstacleCollision(obstacle, laneIndex, intent) {
+    // Emit COLLISION domain event (metadata-rich, reusable across modes)
+    const collisionEvent = {
+      type: 'COLLISION',
+      source: 'OBSTACLE',
+      entityId: obstacle.id,
+      laneIndex: laneIndex,
+      position: { x: obstacle.position?.x || 0, y: obstacle.position?.y || 0, z: obstacle.z || 0 },
+      value: intent.zDistance, // Z distance as collision severity/intensity
+      timestamp: performance.now()
+    };
 
-      // Calculate Y distance (entity.y vs plane Y position)
-      const planeY = planeEntity.position.y;
-      const yDistance = Math.abs(entity.y - planeY);
+    this.domainEvents.push(collisionEvent);
 
-      // Check if within collision thresholds from profile
-      if (zDistance <= collisionProfile.zCollisionThreshold && yDistance <= collisionProfile.collisionHeight) {
-        // Create collision intent
-        const intent = {
-          type: 'COLLISION',
-          source: planeEntity,
-          target: entity,
-          laneIndex: planeLaneIndex,
-          zDistance: zDistance,
-          yDistance: yDistance
-        };
+    // A hazard only hits once - remove it from the world immediately
+    if (this.entityRegistry.unregister(obstacle) && obstacle.destroy) {
+      obstacle.destroy();
+    }
 
-        this.currentFrameIntents.push(intent);
+    logger.info(`[CollisionConsumption] COLLISION: Obstacle ${obstacle.id} in lane ${laneIndex}`);
+  }
 
-        // Log collision intent
-        if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-        logger.info(`[CollisionIntent] COLLISION: Plane vs ${entity.type} entity ${entity.id} (lane ${planeLaneIndex}, Z dist ${zDistance.toFixed(2)})`);
-        }
-      }
-    }
+  // Hazard left behind untouched - emit OBSTACLE_DODGED (ScoreSystem combo), the hazard stays until cleanup
+  processHazardPassed(obstacle, laneIndex) {
+    this.domainEvents.push({
+      type: 'OBSTACLE_DODGED',
+      entityId: obstacle.id,
+      laneIndex: laneIndex,
+      position: { x: obstacle.position?.x || 0, y: obstacle.position?.y || 0, z: obstacle.z || 0 },
+      timestamp: performance.now()
+    });
+  }
+
+  processCoinCollection(coinEntity, laneIndex, intent) {
+    const entityId = coinEntity.id;
+    const { source } = intent; // Plane entity
+
+    // Unregister the coin from the entity registry
+    const unregistered = this.entityRegistry.unregister(coinEntity);
+    if (unregistered) {
+      // Emit standardized COIN_COLLECTED domain event (metadata-rich, reusable)
+      const domainEvent = {
+        type: 'COIN_COLLECTED',
+        value: coinEntity.value, // Coin value (from its tier)
+        tier: coinEntity.tier,
+        entityId: entityId,
+        laneIndex: laneIndex,
+        position: { x: source.position?.x || 0, y: source.position?.y || 0, z: source.position?.z || 0 }, // Plane position
+        timestamp: performance.now()
+      };
+
+      this.domainEvents.push(domainEvent);
 
-    return this.currentFrameIntents;
+      logger.info(`[CollisionConsumption] COIN_COLLECTED: ${coinEntity.tier} entity ${entityId} in lane ${laneIndex}`);
+    } else {
+      logger.warn(`[CollisionConsumption] WARNING: Failed to unregister coin entity ${entityId}`);
+    }
   }
 
-  // Get intents for current frame
-  getCurrentIntents() {
-    return [...this.currentFrameIntents]; // Return copy
+  processPowerUpCollection(powerUp, laneIndex, intent) {
+    const { source } = intent; // Plane entity
+
+    if (this.entityRegistry.unregister(powerUp)) {
+      // PowerUpSystem starts the effect from this event
+      this.domainEvents.push({
+        type: 'POWERUP_COLLECTED',
+        kind: powerUp.kind,
+        entityId: powerUp.id,
+        laneIndex: laneIndex,
+        position: { x: source.position?.x || 0, y: source.position?.y || 0, z: source.position?.z || 0 }, // Plane position
+        timestamp: performance.now()
+      });
+
+      logger.info(`[CollisionConsumption] POWERUP_COLLECTED: ${powerUp.kind} entity ${powerUp.id} in lane ${laneIndex}`);
+    } else {
+      logger.warn(`[CollisionConsumption] WARNING: Failed to unregister power-up entity ${powerUp.id}`);
+    }
   }
 
-  // Get intents filtered by type
-  getIntentsByType(intentType) {
-    return this.currentFrameIntents.filter(intent => intent.type === intentType);
+  // Get domain events for current frame
+  getDomainEvents() {
+    return [...this.domainEvents]; // Return copy
   }
 
-  // Get collision intents specifically
-  getCollisionIntents() {
-    return this.getIntentsByType('COLLISION');
+  // Get domain events filtered by type
+  getDomainEventsByType(eventType) {
+    return this.domainEvents.filter(event => event.type === eventType);
   }
 
-  // Check if plane has any collisions this frame
-  hasCollisions() {
-    return this.currentFrameIntents.length > 0;
+  // Get coin collection events specifically
+  getCoinCollectedEvents() {
+    return this.getDomainEventsByType('COIN_COLLECTED');
   }
 
   // Get statistics for current frame
   getFrameStats() {
     const stats = {
-      totalIntents: this.currentFrameIntents.length,
-      intentsByType: {},
-      collisionCount: 0,
-      averageZDistance: 0
+      totalDomainEvents: this.domainEvents.length,
+      eventsByType: {},
+      coinCollections: 0
     };
 
-    let totalZDistance = 0;
-
-    for (const intent of this.currentFrameIntents) {
+    for (const event of this.domainEvents) {
       // Count by type
-      stats.intentsByType[intent.type] = (stats.intentsByType[intent.type] || 0) + 1;
+      stats.eventsByType[event.type] = (stats.eventsByType[event.type] || 0) + 1;
 
-      // Collision-specific stats
-      if (intent.type === 'COLLISION') {
-        stats.collisionCount++;
-        totalZDistance += intent.zDistance;
+      // Specific counters
+      if (event.type === 'COIN_COLLECTED') {
+        stats.coinCollections++;
       }
     }
 
-    if (stats.collisionCount > 0) {
-      stats.averageZDistance = totalZDistance / stats.collisionCount;
-    }
-
     return stats;
   }
 
-  // Clear intents (called at end of frame)
+  // Clear domain events (called at end of frame)
   clear() {
-    const clearedCount = this.currentFrameIntents.length;
-    this.currentFrameIntents = [];
+    const clearedCount = this.domainEvents.length;
+    this.domainEvents = [];
 
-    if (clearedCount > 0 && DebugConfig.ENABLE_OBSTACLE_LOGS) {
-      logger.info(`[CollisionIntent] Cleared ${clearedCount} intents for next frame`);
+    if (clearedCount > 0) {
+      logger.info(`[CollisionConsumption] Cleared ${clearedCount} domain events for next frame`);
     }
 
     return clearedCount;
   }
-
-  // Configuration methods
-  setZCollisionThreshold(threshold) {
-    console.assert(threshold > 0, '[CollisionIntent] ERROR: Z threshold must be positive');
-    this.zCollisionThreshold = threshold;
-    logger.info(`[CollisionIntent] Z collision threshold updated to ${threshold}`);
-  }
-
-  getZCollisionThreshold() {
-    return this.zCollisionThreshold;
-  }
 }
 
-// CoinEntity class - minimal entity for testing spawn system
-class CoinEntity {
-  constructor(id, laneIndex, z) {
-    this.id = id;
-    this.type = 'coin';
-    this.laneIndex = laneIndex;
-    this.z = z;
-    this.visualOffsetZ = 0; // Default visual offset for coordination between visual systems
+// ScoreSystem class - authoritative scoring state management
+// Points come from distance, coins and dodged hazards, all scaled by a combo multiplier that grows with
+// consecutive pickups and dodges and drops back to x1 on a COLLISION; each multiplier step pays a bonus
+class ScoreSystem {
+  // options: { pointsPerUnit, pointsPerCoinValue, pointsPerDodge, comboStep, maxMultiplier, comboBonus }
+  constructor(powerUpSystem = null, options = {}) {
+    this.powerUpSystem = powerUpSystem; // doubleCoins multiplier source (null = always 1)
 
-    logger.info(`[CoinEntity] Created coin ${id} at lane ${laneIndex}, Z=${z.toFixed(2)}`);
-  }
+    // Points model
+    this.pointsPerUnit = options.pointsPerUnit || 0.1; // Distance points - 1 per 10 units flown
+    this.pointsPerCoinValue = options.pointsPerCoinValue || 10; // A bronze coin is 10 points, a gold one 50
+    this.pointsPerDodge = options.pointsPerDodge || 25; // Hazard left behind without a hit
+    this.comboStep = options.comboStep || 10; // Consecutive pickups/dodges per multiplier step
+    this.maxMultiplier = options.maxMultiplier || 5;
+    this.comboBonus = options.comboBonus || 100; // Bonus per multiplier step reached (x2 pays 100, x3 200...)
 
-  // Optional update method (does nothing for now)
-  update(deltaTime) {
-    // No behavior for minimal coin entity
-  }
+    this.clearRunState();
 
-  // Cleanup method
-  destroy() {
-    logger.info(`[CoinEntity] Destroyed coin ${this.id}`);
+    logger.info('[ScoreSystem] Authoritative scoring system established');
   }
-}
-
-// LaneObstacleEntity class - lane-based obstacle entity
-class LaneObstacleEntity {
-  constructor(id, laneIndex, laneSystem, worldLayoutSystem, worldScrollerSystem, world) {
-    this.id = id;
-    this.type = 'obstacle';
-    this.laneIndex = laneIndex;
-    this.worldScrollerSystem = worldScrollerSystem;
-    this.visualOffsetZ = 0; // Default visual offset for coordination between visual systems
-
-    // Position: X from lane center, Y from baseline, Z far ahead
-    const laneCenterX = laneSystem.getLaneCenter(laneIndex);
-    const midAirZone = worldLayoutSystem.getZone('MID_AIR');
-    const baselineY = midAirZone && midAirZone.baselineY ? midAirZone.baselineY : 100;
-
-    // Store spawn Z position (fixed relative to world)
-    this.spawnZ = 600; // Start 600 units ahead
-
-    this.position = {
-      x: laneCenterX,
-      y: baselineY,
-      z: this.spawnZ // Will be updated by update() method
-    };
-
-    // Create mesh
-    this.createMesh(world);
 
-    logger.info(`[LaneObstacleEntity] Created obstacle ${id} in lane ${laneIndex} at (${laneCenterX.toFixed(1)}, ${baselineY}, 600)`);
+  static emptyTierCounts() {
+    const counts = {};
+    for (const tier of Object.keys(window.CoinEntity.TIERS)) {
+      counts[tier] = 0;
+    }
+    return counts;
   }
 
-  createMesh(world) {
-    // Simple box geometry for obstacle
-    const geometry = new THREE.BoxGeometry(6, 8, 4); // Slightly taller and wider than player
-    const material = new THREE.MeshLambertMaterial({ color: 0x8B4513 }); // Brown/saddle brown color
-    this.mesh = new THREE.Mesh(geometry, material);
+  clearRunState() {
+    this.coinsCollected = 0; // Pickups, whatever their tier
+    this.coinValue = 0; // Sum of collected coin values (bronze 1, silver 3, gold 5)
+    this.coinsByTier = ScoreSystem.emptyTierCounts();
 
-    // Set initial position
-    this.mesh.position.set(this.position.x, this.position.y, this.position.z);
+    this.points = 0; // Unrounded - distance points arrive in fractions
+    this.pointsBySource = { distance: 0, coins: 0, dodges: 0, bonus: 0 };
+    this.dodges = 0;
+    this.combo = 0; // Consecutive pickups and dodges since the last COLLISION
+    this.bestCombo = 0;
+    this.multiplier = 1;
+    this.bonusCount = 0;
+    this.bonusEvents = []; // SCORE_BONUS events of the last consume()
+  }
 
-    // Store base Z position for relative scrolling (includes visual offset)
-    this.baseZ = this.mesh.position.z + this.visualOffsetZ;
+  // Consume domain events and update score state
+  // distanceDelta: distance flown this step (DistanceSystem.getDelta()) for distance points
+  consume(domainEvents, distanceDelta = 0) {
+    console.assert(Array.isArray(domainEvents), '[ScoreSystem] ERROR: domainEvents must be an array');
 
-    // Add to world
-    world.add(this.mesh);
-  }
+    let coinsBefore = this.coinsCollected;
+    let valueBefore = this.coinValue;
+    this.bonusEvents = [];
 
-  update(deltaTime) {
-    if (!this.mesh) return;
+    this.addPoints('distance', distanceDelta * this.pointsPerUnit);
 
-    // Update position based on WorldScrollerSystem - obstacle Z = spawnZ + world Z offset
-    const worldZ = this.worldScrollerSystem.getZoneZ('GROUND_PLANE');
-    this.position.z = this.spawnZ + worldZ;
+    // Process each domain event (SHIELD_ABSORBED is not a COLLISION - a shield keeps the combo)
+    for (const event of domainEvents) {
+      if (event.type === 'COIN_COLLECTED') {
+        this.processCoinCollected(event);
+      } else if (event.type === 'OBSTACLE_DODGED') {
+        this.processObstacleDodged(event);
+      } else if (event.type === 'COLLISION') {
+        this.processCollision(event);
+      }
+    }
 
-    // Update mesh position using baseZ + zoneZ pattern
-    this.mesh.position.z = this.baseZ + worldZ;
+    // Log score changes
+    const coinsGained = this.coinsCollected - coinsBefore;
+    if (coinsGained > 0) {
+      logger.info(`[ScoreSystem] SCORE: +${coinsGained} coins worth ${this.coinValue - valueBefore} (Total: ${this.coinsCollected} coins, value ${this.coinValue}, ${this.getScore()} points)`);
+    }
 
-    // Add some visual rotation for interest
-    this.mesh.rotation.y += deltaTime * 0.8;
+    return coinsGained;
   }
 
-  getPosition() {
-    return { ...this.position };
-  }
+  processCoinCollected(event) {
+    const multiplier = this.powerUpSystem ? this.powerUpSystem.getCoinMultiplier() : 1;
+    const value = event.value * multiplier;
+    this.coinsCollected += 1;
+    this.coinValue += value;
+    if (event.tier in this.coinsByTier) {
+      this.coinsByTier[event.tier] += 1;
+    }
+    this.addPoints('coins', value * this.pointsPerCoinValue);
+    this.extendCombo();
 
-  getBounds() {
-    // Simple AABB bounds for future collision detection
-    const halfWidth = 3; // Half of box width
-    const halfHeight = 4; // Half of box height
-    const halfDepth = 2; // Half of box depth
+    logger.info(`[ScoreSystem] ${event.tier} coin collected in lane ${event.laneIndex} (Entity ${event.entityId}, value ${event.value}${multiplier > 1 ? ` x${multiplier}` : ''})`);
+  }
 
-  return {
-      minX: this.position.x - halfWidth,
-      maxX: this.position.x + halfWidth,
-      minY: this.position.y - halfHeight,
-      maxY: this.position.y + halfHeight,
-      minZ: this.position.z - halfDepth,
-      maxZ: this.position.z + halfDepth
-    };
+  processObstacleDodged(event) {
+    this.dodges += 1;
+    this.addPoints('dodges', this.pointsPerDodge);
+    this.extendCombo();
   }
 
-  destroy() {
-    if (this.mesh && this.mesh.parent) {
-      this.mesh.parent.remove(this.mesh);
-      this.mesh.geometry.dispose();
-      this.mesh.material.dispose();
-      this.mesh = null;
+  processCollision(event) {
+    if (this.combo > 0) {
+      logger.info(`[ScoreSystem] Combo of ${this.combo} broken by ${event.entityId} (multiplier x${this.multiplier} -> x1)`);
     }
-    logger.info(`[LaneObstacleEntity] Destroyed obstacle ${this.id}`);
+    this.combo = 0;
+    this.multiplier = 1;
   }
-}
-
-// LaneObstacleCollisionSystem class - detects player vs lane obstacle collisions
-class LaneObstacleCollisionSystem {
-  constructor(zCollisionThreshold = 10) {
-    // Deterministic collision detection for lane-based obstacles
-    // Observes PlayerEntity and active obstacles, emits domain events
-    // Side-effect free: only detects and reports collisions
 
-    this.zCollisionThreshold = zCollisionThreshold;
-    this.domainEvents = []; // Domain events for current frame
-
-    logger.info(`[LaneObstacleCollision] Lane obstacle collision detection established (Z threshold: ${zCollisionThreshold})`);
+  // Points earned now count at the multiplier before this pickup/dodge extends the combo
+  addPoints(source, basePoints) {
+    const points = basePoints * this.multiplier;
+    this.pointsBySource[source] += points;
+    this.points += points;
   }
 
-  // Process collision detection and emit domain events
-  process(playerEntity, activeObstacles) {
-    console.assert(playerEntity, '[LaneObstacleCollision] ERROR: playerEntity required');
-    console.assert(Array.isArray(activeObstacles), '[LaneObstacleCollision] ERROR: activeObstacles must be an array');
-
-    // Clear previous frame's domain events
-    this.domainEvents = [];
-
-    // Get player's current state
-    const playerLaneIndex = playerEntity.laneIndex;
-    const playerZ = playerEntity.position.z; // Should always be 0
+  // One more pickup/dodge - every comboStep of them raises the multiplier and pays a bonus (not multiplied)
+  extendCombo() {
+    this.combo += 1;
+    this.bestCombo = Math.max(this.bestCombo, this.combo);
 
-    // Check each active obstacle for collision
-    for (const obstacle of activeObstacles) {
-      // Only check obstacles in the same lane as player
-      if (obstacle.laneIndex !== playerLaneIndex) {
-        continue;
-      }
+    const multiplier = Math.min(this.maxMultiplier, 1 + Math.floor(this.combo / this.comboStep));
+    if (multiplier > this.multiplier) {
+      this.multiplier = multiplier;
+      const points = this.comboBonus * (multiplier - 1);
+      this.pointsBySource.bonus += points;
+      this.points += points;
+      this.bonusCount += 1;
+      this.bonusEvents.push({
+        type: 'SCORE_BONUS',
+        reason: 'combo',
+        combo: this.combo,
+        multiplier: multiplier,
+        points: points,
+        timestamp: performance.now()
+      });
 
-      // Calculate Z distance (player is at Z=0, obstacles move toward negative Z)
-      const zDistance = Math.abs(obstacle.position.z - playerZ);
-
-      // Check if within collision threshold
-      if (zDistance <= this.zCollisionThreshold) {
-        // Emit COLLISION domain event for obstacle collision
-        const collisionEvent = {
-          type: 'COLLISION',
-          source: 'OBSTACLE',
-          entityId: obstacle.id,
-          laneIndex: playerLaneIndex,
-          position: {
-            x: obstacle.position.x,
-            y: obstacle.position.y,
-            z: obstacle.position.z
-          },
-          value: zDistance, // Z distance as collision severity
-          timestamp: performance.now()
-        };
-
-        this.domainEvents.push(collisionEvent);
-
-        // Log collision detection (will be consumed by other systems)
-        logger.info(`[LaneObstacleCollision] COLLISION: Player vs obstacle ${obstacle.id} (lane ${playerLaneIndex}, Z dist ${zDistance.toFixed(2)})`);
-      }
+      logger.info(`[ScoreSystem] Combo ${this.combo}: multiplier x${multiplier}, bonus +${points}`);
     }
-
-    return this.domainEvents;
   }
-}
-
-// SimpleObstacleSpawnSystem class - minimal obstacle spawning for playable loop
-class SimpleObstacleSpawnSystem {
-  constructor(laneSystem, worldLayoutSystem, worldScrollerSystem, world) {
-    this.laneSystem = laneSystem;
-    this.worldLayoutSystem = worldLayoutSystem;
-    this.worldScrollerSystem = worldScrollerSystem;
-    this.world = world;
-
-    // Spawn every 2 seconds
-    this.spawnInterval = 2.0;
-    this.lastSpawnTime = 0;
-    this.nextEntityId = 0;
-
-    // Active obstacles
-    this.activeObstacles = [];
 
-    logger.info('[SimpleObstacleSpawn] Minimal obstacle spawning system established');
+  // Get current score state
+  getCoinsCollected() {
+    return this.coinsCollected;
   }
 
-  update(deltaTime) {
-    this.lastSpawnTime += deltaTime;
+  getCoinValue() {
+    return this.coinValue;
+  }
 
-    // Spawn obstacle every 2 seconds
-    if (this.lastSpawnTime >= this.spawnInterval) {
-      this.spawnObstacle();
-      this.lastSpawnTime = 0;
-    }
+  // Whole points
+  getScore() {
+    return Math.floor(this.points);
+  }
 
-    // Update all active obstacles
-    for (let i = this.activeObstacles.length - 1; i >= 0; i--) {
-      const obstacle = this.activeObstacles[i];
+  getMultiplier() {
+    return this.multiplier;
+  }
 
-      // Update obstacle position (uses WorldScrollerSystem)
-      obstacle.update(deltaTime);
+  // SCORE_BONUS events raised by the last consume() (EndlessMode hands them to presentation)
+  getBonusEvents() {
+    return [...this.bonusEvents];
+  }
 
-      // Remove obstacles that have passed behind player
-      if (obstacle.position.z < -100) {
-        obstacle.destroy();
-        this.activeObstacles.splice(i, 1);
-      }
+  // Get complete score state
+  getScoreState() {
+    const pointsBySource = {};
+    for (const source of Object.keys(this.pointsBySource)) {
+      pointsBySource[source] = Math.floor(this.pointsBySource[source]);
     }
+    return {
+      score: this.getScore(),
+      pointsBySource: pointsBySource,
+      multiplier: this.multiplier,
+      combo: this.combo,
+      bestCombo: this.bestCombo,
+      dodges: this.dodges,
+      bonuses: this.bonusCount,
+      coinsCollected: this.coinsCollected,
+      coinValue: this.coinValue,
+      coinsByTier: { ...this.coinsByTier }
+    };
   }
 
-  spawnObstacle() {
-    // Random lane (0-2)
-    const randomLane = Math.floor(Math.random() * 3);
-
-    // Create obstacle entity
-    const entityId = `simple_obstacle_${this.nextEntityId++}`;
-    const obstacle = new LaneObstacleEntity(
-      entityId,
-      randomLane,
-      this.laneSystem,
-      this.worldLayoutSystem,
-      this.worldScrollerSystem,
-      this.world
-    );
+  // Reset score (useful for new game)
+  reset() {
+    const previousScore = this.getScore();
+    this.clearRunState();
 
-    // Add to active obstacles
-    this.activeObstacles.push(obstacle);
+    if (previousScore > 0) {
+      logger.info(`[ScoreSystem] Score reset from ${previousScore} to 0`);
+    }
 
-    logger.info(`[SimpleObstacleSpawn] Spawned obstacle in lane ${randomLane}`);
+    return previousScore;
   }
 
-  getActiveObstacles() {
-    return this.activeObstacles;
+  // Get statistics
+  getStats() {
+    return {
+      coinsCollected: this.coinsCollected,
+      scoreState: this.getScoreState()
+    };
   }
 }
 
-// ObstacleSpawnSystem class - manages lane-based obstacle spawning
-class ObstacleSpawnSystem {
-  constructor(distanceSystem, difficultyCurveSystem, laneSystem, worldLayoutSystem, worldScrollerSystem, world) {
-    // Spawns obstacles based on distance traveled and difficulty
-    // Manages active obstacles and cleans up passed obstacles
-
-    this.distanceSystem = distanceSystem;
-    this.difficultyCurveSystem = difficultyCurveSystem;
-    this.laneSystem = laneSystem;
-    this.worldLayoutSystem = worldLayoutSystem;
-    this.worldScrollerSystem = worldScrollerSystem;
-    this.world = world;
+// HudPresentationSystem class - observer-only HUD (distance, level ring, lives, coins, score and multiplier)
+class HudPresentationSystem {
+  constructor() {
+    // Observer-only system: renders a HUD state snapshot into the existing #game-ui markup
+    // Never mutates game state - each element is only written when its displayed value changes
 
-    // Spawn logic
-    this.baseSpawnDistance = 200; // Distance units between spawns
-    this.lastSpawnDistance = 0;
-    this.nextEntityId = 0;
+    this.distanceRefreshSteps = 6; // Distance text refreshes at most every 6 steps (10Hz)
+    this.ringCircumference = 502; // levelCircleStroke dasharray (r = 80)
+    this.ringResolution = 100; // Ring offset quantized to 1% of a level
 
-    // Active obstacles
-    this.activeObstacles = [];
+    this.elements = null;
+    this.stepsSinceDistance = 0;
+    this.rendered = null; // Last values written to the DOM
 
-    // Lane tracking to avoid blocking all lanes or same-lane spawns
-    this.lastSpawnLane = -1;
+    this.initializeDomReferences();
+    this.resetRenderCache();
 
-    // Debug logging
-    this.lastMultiplier = 1.0; // Track multiplier changes
+    logger.info('[HudPresentation] Observer-only HUD established');
+  }
 
-    logger.info('[ObstacleSpawn] Lane-based obstacle spawning system established');
+  initializeDomReferences() {
+    const lives = document.getElementById('lifes');
+    this.elements = {
+      distance: document.getElementById('distValue'),
+      level: document.getElementById('levelValue'),
+      levelRing: document.getElementById('levelCircleStroke'),
+      coins: document.getElementById('secondaryValue'),
+      score: document.getElementById('scoreValue'),
+      multiplier: document.getElementById('multiplierValue'),
+      hearts: lives ? Array.from(lives.querySelectorAll('.heart')) : [],
+      powerUps: document.getElementById('powerUps')
+    };
+    this.powerUpChips = new Map(); // kind -> { chip, time, fill }
   }
 
-  update() {
-    const currentDistance = this.distanceSystem.getDistance();
-    const difficultyState = this.difficultyCurveSystem.getDifficultyState();
+  resetRenderCache() {
+    this.rendered = { distance: -1, level: -1, ringStep: -1, lives: -1, coins: -1, score: -1, multiplier: -1, powerUps: null };
+    this.stepsSinceDistance = this.distanceRefreshSteps; // First update always writes
+  }
 
-    // Calculate spawn interval based on difficulty
-    const spawnInterval = this.baseSpawnDistance / (1 + difficultyState.speedMultiplier * 0.5);
+  // Observer-only update - hudState from EndlessMode.getHudState()
+  update(hudState) {
+    if (!hudState) return;
 
-    // Check if we should spawn
-    if (currentDistance - this.lastSpawnDistance >= spawnInterval) {
-      this.spawnObstacle();
-      this.lastSpawnDistance = currentDistance;
+    this.stepsSinceDistance++;
+    const distance = Math.floor(hudState.distance);
+    const restarted = distance < this.rendered.distance;
+    if (distance !== this.rendered.distance && (restarted || this.stepsSinceDistance >= this.distanceRefreshSteps)) {
+      this.setText(this.elements.distance, distance);
+      this.rendered.distance = distance;
+      this.stepsSinceDistance = 0;
     }
 
-    // Update all active obstacles
-    // Log multiplier only when it changes
-    if (DebugConfig.ENABLE_OBSTACLE_LOGS && difficultyState.speedMultiplier !== this.lastMultiplier) {
-      logger.info(`[ObstacleSpeed] multiplier changed: ${this.lastMultiplier} → ${difficultyState.speedMultiplier}`);
-      this.lastMultiplier = difficultyState.speedMultiplier;
+    if (hudState.level !== this.rendered.level) {
+      this.setText(this.elements.level, hudState.level);
+      if (hudState.level > this.rendered.level && this.rendered.level !== -1) {
+        this.playAnimation(this.elements.level, 'score__value--bump');
+      }
+      this.rendered.level = hudState.level;
     }
 
-    for (let i = this.activeObstacles.length - 1; i >= 0; i--) {
-      const obstacle = this.activeObstacles[i];
+    const ringStep = Math.floor(hudState.levelProgress * this.ringResolution);
+    if (ringStep !== this.rendered.ringStep) {
+      this.updateLevelRing(ringStep / this.ringResolution);
+      this.rendered.ringStep = ringStep;
+    }
 
-      // Update obstacle position (now uses WorldScrollerSystem)
-      obstacle.update(0);
+    if (hudState.lives !== this.rendered.lives) {
+      this.updateHearts(hudState.lives, this.rendered.lives);
+      this.rendered.lives = hudState.lives;
+    }
 
-      // Check if obstacle has passed behind player (Z < -50)
-      if (obstacle.position.z < -50) {
-        obstacle.destroy();
-        this.activeObstacles.splice(i, 1);
+    if (hudState.coins !== this.rendered.coins) {
+      this.setText(this.elements.coins, hudState.coins);
+      if (hudState.coins > this.rendered.coins && this.rendered.coins !== -1) {
+        this.playAnimation(this.elements.coins, 'score__value--bump');
       }
+      this.rendered.coins = hudState.coins;
     }
-  }
-
-  spawnObstacle() {
-    // Choose a lane randomly, but avoid problematic patterns
-    let chosenLane = this.selectLane();
-
-    // Create obstacle entity
-    const entityId = `obstacle_${this.nextEntityId++}`;
-    const obstacle = new LaneObstacleEntity(
-      entityId,
-      chosenLane,
-      this.laneSystem,
-      this.worldLayoutSystem,
-      this.worldScrollerSystem,
-      this.world
-    );
-
-    // Add to active obstacles
-    this.activeObstacles.push(obstacle);
-
-    // Track last spawn lane
-    this.lastSpawnLane = chosenLane;
-
-    logger.info(`[ObstacleSpawn] Spawned obstacle in lane ${chosenLane} at distance ${this.distanceSystem.getDistance().toFixed(0)}`);
-  }
-
-  selectLane() {
-    const laneCount = this.laneSystem.getLaneCount();
-    let availableLanes = [];
 
-    // Build list of available lanes
-    for (let i = 0; i < laneCount; i++) {
-      // Always include lanes (we'll handle blocking logic in collision later)
-      availableLanes.push(i);
+    if (hudState.score !== this.rendered.score) {
+      this.setText(this.elements.score, hudState.score);
+      this.rendered.score = hudState.score;
     }
 
-    // Prefer different lane than last spawn
-    if (this.lastSpawnLane !== -1) {
-      // Filter out the last spawn lane if there are alternatives
-      const alternatives = availableLanes.filter(lane => lane !== this.lastSpawnLane);
-      if (alternatives.length > 0) {
-        availableLanes = alternatives;
+    // Multiplier only shows once a combo has raised it
+    if (hudState.multiplier !== this.rendered.multiplier) {
+      if (this.elements.multiplier) {
+        this.setText(this.elements.multiplier, `x${hudState.multiplier}`);
+        this.elements.multiplier.classList.toggle('score__multiplier--active', hudState.multiplier > 1);
+        if (hudState.multiplier > this.rendered.multiplier && this.rendered.multiplier !== -1) {
+          this.playAnimation(this.elements.multiplier, 'score__value--bump');
+        }
       }
+      this.rendered.multiplier = hudState.multiplier;
     }
 
-    // Random selection from available lanes
-    const randomIndex = Math.floor(Math.random() * availableLanes.length);
-    return availableLanes[randomIndex];
-  }
-
-  getActiveObstacles() {
-    return this.activeObstacles;
-  }
-
-  // Remove obstacle by ID (called by collision consumption system)
-  removeObstacle(obstacleId) {
-    const index = this.activeObstacles.findIndex(obstacle => obstacle.id === obstacleId);
-    if (index !== -1) {
-      const obstacle = this.activeObstacles[index];
-      obstacle.destroy();
-      this.activeObstacles.splice(index, 1);
-      return true;
+    // Timers shown in tenths of a second - chips are only touched when one of them ticks
+    const powerUps = hudState.powerUps || [];
+    const powerUpKey = powerUps.map(powerUp => `${powerUp.kind}:${Math.ceil(powerUp.remaining * 10)}`).join(',');
+    if (powerUpKey !== this.rendered.powerUps) {
+      this.updatePowerUps(powerUps);
+      this.rendered.powerUps = powerUpKey;
     }
-    return false;
   }
 
-  // Process domain events and remove collided obstacles
-  processCollisionEvents(domainEvents) {
-    if (!domainEvents || !Array.isArray(domainEvents)) {
-      return;
-    }
+  // One chip per running power-up: label, seconds left and a draining bar
+  updatePowerUps(powerUps) {
+    if (!this.elements.powerUps) return;
 
-    // Find COLLISION events with source 'OBSTACLE'
-    const obstacleCollisionEvents = domainEvents.filter(event =>
-      event.type === 'COLLISION' && event.source === 'OBSTACLE'
-    );
+    const running = new Set(powerUps.map(powerUp => powerUp.kind));
+    for (const [kind, chip] of this.powerUpChips) {
+      if (!running.has(kind)) {
+        chip.chip.remove();
+        this.powerUpChips.delete(kind);
+      }
+    }
 
-    // Remove collided obstacles
-    for (const event of obstacleCollisionEvents) {
-      const removed = this.removeObstacle(event.entityId);
-      if (removed) {
-        logger.info(`[ObstacleSpawn] Removed collided obstacle ${event.entityId}`);
+    for (const powerUp of powerUps) {
+      if (!this.powerUpChips.has(powerUp.kind)) {
+        this.powerUpChips.set(powerUp.kind, this.createPowerUpChip(powerUp));
       }
+      const chip = this.powerUpChips.get(powerUp.kind);
+      this.setText(chip.time, (Math.ceil(powerUp.remaining * 10) / 10).toFixed(1));
+      chip.fill.style.width = `${Math.max(0, powerUp.remaining / powerUp.duration) * 100}%`;
     }
   }
-}
 
-// SpawnSystem class - rule-driven world population
-class SpawnSystem {
-  constructor(spawnBandSystem, entityRegistry, laneSystem, spawnInterval = 50) {
-    this.spawnBandSystem = spawnBandSystem;
-    this.entityRegistry = entityRegistry;
-    this.laneSystem = laneSystem;
-    this.spawnInterval = spawnInterval; // World units between spawns
+  createPowerUpChip(powerUp) {
+    const color = `#${window.PowerUpSystem.KINDS[powerUp.kind].color.toString(16).padStart(6, '0')}`;
+    const chip = document.createElement('div');
+    chip.className = 'power-up';
+    chip.style.borderColor = color;
 
-    this.lastSpawnProgress = 0;
+    const label = document.createElement('span');
+    label.className = 'power-up__label';
+    label.textContent = powerUp.label;
+    const time = document.createElement('span');
+    time.className = 'power-up__time';
+    const bar = document.createElement('div');
+    bar.className = 'power-up__bar';
+    const fill = document.createElement('div');
+    fill.className = 'power-up__fill';
+    fill.style.backgroundColor = color;
+    bar.appendChild(fill);
 
-    logger.info(`[SpawnSystem] Rule-driven spawning established (interval: ${spawnInterval} world units)`);
+    chip.append(label, time, bar);
+    this.elements.powerUps.appendChild(chip);
+    return { chip: chip, time: time, fill: fill };
   }
 
-  update() {
-    const currentProgress = this.spawnBandSystem.getWorldProgress();
-
-    // Check if we've moved far enough to spawn something new
-    if (currentProgress - this.lastSpawnProgress >= this.spawnInterval) {
-      this.spawnEntity();
-      this.lastSpawnProgress = currentProgress;
+  setText(element, value) {
+    if (element) {
+      element.textContent = value.toString();
     }
   }
 
-  spawnEntity() {
-    // Choose random lane
-    const laneIndex = Math.floor(Math.random() * this.laneSystem.getLaneCount());
-
-    // Get spawn Z from spawn band system
-    const spawnZ = this.spawnBandSystem.getSpawnZ('AHEAD_SPAWN');
+  // Ring fills clockwise with progress through the current level
+  updateLevelRing(progress) {
+    if (this.elements.levelRing) {
+      this.elements.levelRing.style.strokeDashoffset = (this.ringCircumference * (1 - progress)).toFixed(1);
+    }
+  }
 
-    // Generate unique ID
-    const entityId = this.entityRegistry.generateId();
+  // One heart per life - lost hearts fade out, regained hearts pop back in
+  updateHearts(lives, previousLives) {
+    this.elements.hearts.forEach((heart, index) => {
+      const visible = index < lives;
+      if (visible === heart.classList.contains('visible')) return;
 
-    // Create coin entity
-    const coinEntity = new CoinEntity(entityId, laneIndex, spawnZ);
+      heart.classList.toggle('visible', visible);
+      if (previousLives !== -1) {
+        this.playAnimation(heart, visible ? 'heart--gained' : 'heart--lost');
+      }
+    });
+  }
 
-    // Register with entity registry
-    this.entityRegistry.register(coinEntity);
+  // Restart a one-shot CSS animation (only on value changes)
+  playAnimation(element, className) {
+    if (!element) return;
 
-    logger.info(`[SpawnSystem] SPAWNED: Coin ${entityId} in lane ${laneIndex} at Z=${spawnZ.toFixed(2)} (progress: ${this.spawnBandSystem.getWorldProgress().toFixed(0)})`);
+    element.classList.remove('score__value--bump', 'heart--lost', 'heart--gained');
+    void element.offsetWidth; // Reflow so re-adding the class restarts the animation
+    element.classList.add(className);
   }
 
-  // Configuration methods
-  setSpawnInterval(interval) {
-    console.assert(interval > 0, '[SpawnSystem] ERROR: Spawn interval must be positive');
-    this.spawnInterval = interval;
-    logger.info(`[SpawnSystem] Spawn interval updated to ${interval} world units`);
+  // Optional cleanup method
+  cleanup() {
+    this.elements = null;
+    this.rendered = null;
   }
+}
 
-  getSpawnInterval() {
-    return this.spawnInterval;
-  }
+// GameOverScreenSystem class - game-over message and restart trigger for Endless mode
+class GameOverScreenSystem {
+  constructor(onRestart, input) {
+    // Presentation + input only: shows the replay message while GAME_OVER and
+    // asks the mode to restart on click or the RESTART action (Space/Enter, gamepad A)
 
-  getLastSpawnProgress() {
-    return this.lastSpawnProgress;
-  }
+    this.onRestart = onRestart;
+    this.input = input;
+    this.isVisible = false;
+    this.isArmed = false;
 
-  getEntitiesSpawned() {
-    // Count entities created by this spawn system (simple approximation)
-    return Math.floor(this.lastSpawnProgress / this.spawnInterval);
-  }
-}
+    // Ignore input briefly so keys held at the moment of death don't skip the screen
+    this.inputDelayMs = 800;
 
-// CollisionConsumptionSystem class - processes collision intents into domain events
-class CollisionConsumptionSystem {
-  constructor(entityRegistry, obstacleSpawnSystem = null) {
-    this.entityRegistry = entityRegistry;
-    this.obstacleSpawnSystem = obstacleSpawnSystem;
-    this.domainEvents = []; // Domain events for current frame
+    this.messageElement = document.getElementById('replayMessage-toprug1');
+    this.summaryElement = document.getElementById('runSummary');
 
-    logger.info('[CollisionConsumption] Intent consumption system established');
-  }
+    this.handleClick = () => this.requestRestart();
+    this.handleRestartAction = () => this.requestRestart();
 
-  // Process collision intents and emit domain events
-  process(intents) {
-    console.assert(Array.isArray(intents), '[CollisionConsumption] ERROR: intents must be an array');
+    window.addEventListener('click', this.handleClick);
+    this.input.onAction('RESTART', this.handleRestartAction);
 
-    // Clear previous frame's domain events
-    this.domainEvents = [];
+    logger.info('[GameOverScreen] Restart flow established');
+  }
 
-    // Process each collision intent
-    for (const intent of intents) {
-      if (intent.type === 'COLLISION') {
-        this.processCollisionIntent(intent);
+  // Observer-only update: DOM touched only when visibility changes
+  // scoreState: ScoreSystem.getScoreState() - summarized when the screen appears
+  update(isGameOver, phaseElapsedMs, scoreState = null) {
+    if (isGameOver !== this.isVisible) {
+      this.isVisible = isGameOver;
+      if (this.messageElement) {
+        this.messageElement.style.display = isGameOver ? 'block' : 'none';
+      }
+      if (this.summaryElement) {
+        if (isGameOver && scoreState) this.renderSummary(scoreState);
+        this.summaryElement.style.display = isGameOver ? 'block' : 'none';
       }
     }
 
-    return this.domainEvents;
+    this.isArmed = isGameOver && phaseElapsedMs >= this.inputDelayMs;
   }
 
-  processCollisionIntent(intent) {
-    const { source, target, laneIndex, zDistance } = intent;
-
-    // Emit COLLISION domain event (metadata-rich, reusable across modes)
-    const collisionEvent = {
-      type: 'COLLISION',
-      entityId: target.id,
-      laneIndex: laneIndex,
-      position: { x: target.position?.x || 0, y: target.position?.y || 0, z: target.z || 0 },
-      value: zDistance, // Z distance as collision severity/intensity
-      timestamp: performance.now()
-    };
-
-    this.domainEvents.push(collisionEvent);
+  // End-of-run summary: score, where the points came from and the best combo
+  renderSummary(scoreState) {
+    const points = scoreState.pointsBySource;
+    const lines = [
+      { className: 'run-summary__score', text: `${scoreState.score} points` },
+      { text: `distance ${points.distance} · coins ${points.coins} · dodges ${points.dodges} · bonus ${points.bonus}` },
+      { text: `best combo ${scoreState.bestCombo} · ${scoreState.dodges} dodged · ${scoreState.coinsCollected} coins` }
+    ];
 
-    // Handle different entity types
-    if (target.type === 'coin') {
-      this.processCoinCollection(target, laneIndex, intent);
-    } else if (target.type === 'obstacle') {
-      this.processObstacleCollision(target, laneIndex, intent);
+    this.summaryElement.textContent = '';
+    for (const line of lines) {
+      const element = document.createElement('p');
+      element.className = line.className || 'run-summary__line';
+      element.textContent = line.text;
+      this.summaryElement.appendChild(element);
     }
-    // Future: Add other entity type handlers here
   }
 
-  processCoinCollection(coinEntity, laneIndex, intent) {
-    const entityId = coinEntity.id;
-    const { source } = intent; // Plane entity
+  requestRestart() {
+    if (!this.isArmed) return;
 
-    // Unregister the coin from the entity registry
-    const unregistered = this.entityRegistry.unregister(coinEntity);
-    if (unregistered) {
-      // Emit standardized COIN_COLLECTED domain event (metadata-rich, reusable)
-      const domainEvent = {
-        type: 'COIN_COLLECTED',
-        value: 1, // Coin value
-        entityId: entityId,
-        laneIndex: laneIndex,
-        position: { x: source.position?.x || 0, y: source.position?.y || 0, z: source.position?.z || 0 }, // Plane position
-        timestamp: performance.now()
-      };
-
-      this.domainEvents.push(domainEvent);
-
-      logger.info(`[CollisionConsumption] COIN_COLLECTED: Entity ${entityId} in lane ${laneIndex}`);
-    } else {
-      logger.warn(`[CollisionConsumption] WARNING: Failed to unregister coin entity ${entityId}`);
-    }
+    this.isArmed = false;
+    this.onRestart();
   }
 
-  // Get domain events for current frame
-  getDomainEvents() {
-    return [...this.domainEvents]; // Return copy
-  }
-
-  // Get domain events filtered by type
-  getDomainEventsByType(eventType) {
-    return this.domainEvents.filter(event => event.type === eventType);
-  }
+  destroy() {
+    window.removeEventListener('click', this.handleClick);
+    this.input.offAction('RESTART', this.handleRestartAction);
 
-  // Get coin collection events specifically
-  getCoinCollectedEvents() {
-    return this.getDomainEventsByType('COIN_COLLECTED');
+    if (this.messageElement) {
+      this.messageElement.style.display = 'none';
+    }
+    if (this.summaryElement) {
+      this.summaryElement.style.display = 'none';
+    }
+    this.messageElement = null;
+    this.summaryElement = null;
+    this.isVisible = false;
+    this.isArmed = false;
   }
+}
 
-  // Get statistics for current frame
-  getFrameStats() {
-    const stats = {
-      totalDomainEvents: this.domainEvents.length,
-      eventsByType: {},
-      coinCollections: 0
+// ControlsMenuSystem class - rebinding UI for the input action map
+class ControlsMenuSystem {
+  constructor(actionMap, onOpen, onClose, controlScheme) {
+    // Shell-level UI: picks the steering scheme, lists every action with two key slots,
+    // captures the next key press for a clicked slot and reports conflicts before swapping bindings
+
+    this.actionMap = actionMap;
+    this.onOpen = onOpen; // Called when the menu opens (pauses the run)
+    this.onClose = onClose;
+    this.controlScheme = controlScheme; // { get(), set(scheme) }
+    this.isOpen = false;
+
+    this.listening = null; // { action, slot } waiting for a key
+    this.pendingSwap = null; // { action, slot, code } refused once for a conflict
+
+    this.menuElement = document.getElementById('controlsMenu');
+    this.listElement = document.getElementById('controlsList');
+    this.statusElement = document.getElementById('controlsStatus');
+    this.toggleButton = document.getElementById('controlsButton');
+    this.resetButton = document.getElementById('controlsReset');
+    this.closeButton = document.getElementById('controlsClose');
+
+    this.handleToggle = (event) => {
+      event.stopPropagation();
+      this.isOpen ? this.close() : this.open();
     };
+    this.handleReset = () => {
+      this.actionMap.resetToDefaults();
+      this.cancelListening();
+      this.setStatus('Controls reset to defaults');
+      this.render();
+    };
+    this.handleClose = () => this.close();
+    // Clicks inside the menu must not reach window listeners (game-over restart)
+    this.handleMenuClick = (event) => event.stopPropagation();
+    // Capture phase: while open, keys never reach the game or other shortcuts
+    this.handleKeyDown = (event) => this.onKeyDown(event);
 
-    for (const event of this.domainEvents) {
-      // Count by type
-      stats.eventsByType[event.type] = (stats.eventsByType[event.type] || 0) + 1;
-
-      // Specific counters
-      if (event.type === 'COIN_COLLECTED') {
-        stats.coinCollections++;
-      }
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', this.handleToggle);
+      this.toggleButton.style.display = 'block';
     }
+    if (this.resetButton) this.resetButton.addEventListener('click', this.handleReset);
+    if (this.closeButton) this.closeButton.addEventListener('click', this.handleClose);
+    if (this.menuElement) this.menuElement.addEventListener('click', this.handleMenuClick);
+    window.addEventListener('keydown', this.handleKeyDown, true);
 
-    return stats;
+    logger.info('[ControlsMenu] Rebinding menu established');
   }
 
-  // Clear domain events (called at end of frame)
-  clear() {
-    const clearedCount = this.domainEvents.length;
-    this.domainEvents = [];
-
-    if (clearedCount > 0) {
-      logger.info(`[CollisionConsumption] Cleared ${clearedCount} domain events for next frame`);
-    }
+  open() {
+    if (this.isOpen || !this.menuElement) return;
 
-    return clearedCount;
+    this.isOpen = true;
+    this.menuElement.classList.add('visible');
+    this.setStatus('Click a key to change it');
+    this.render();
+    this.onOpen();
   }
-}
 
-// ScoreSystem class - authoritative scoring state management
-class ScoreSystem {
-  constructor() {
-    this.coinsCollected = 0;
+  close() {
+    if (!this.isOpen) return;
 
-    logger.info('[ScoreSystem] Authoritative scoring system established');
+    this.isOpen = false;
+    this.cancelListening();
+    this.menuElement.classList.remove('visible');
+    this.onClose();
   }
 
-  // Consume domain events and update score state
-  consume(domainEvents) {
-    console.assert(Array.isArray(domainEvents), '[ScoreSystem] ERROR: domainEvents must be an array');
+  onKeyDown(event) {
+    if (!this.isOpen) return;
 
-    let coinsBefore = this.coinsCollected;
+    event.preventDefault();
+    event.stopImmediatePropagation();
 
-    // Process each domain event
-    for (const event of domainEvents) {
-      if (event.type === 'COIN_COLLECTED') {
-        this.processCoinCollected(event);
+    if (!this.listening) {
+      if (event.code === 'Escape') {
+        this.close();
       }
-      // Future: Add other event type handlers here
+      return;
     }
 
-    // Log score changes
-    const coinsGained = this.coinsCollected - coinsBefore;
-    if (coinsGained > 0) {
-      logger.info(`[ScoreSystem] SCORE: +${coinsGained} coins (Total: ${this.coinsCollected})`);
+    const { action, slot } = this.listening;
+    if (event.code === 'Delete') {
+      this.actionMap.unbind(action, slot);
+      this.setStatus(`${this.actionMap.getLabel(action)} slot cleared`);
+      this.cancelListening();
+      this.render();
+      return;
     }
 
-    return coinsGained;
-  }
-
-  processCoinCollected(event) {
-    // Increment coins collected
-    this.coinsCollected += 1;
-
-    logger.info(`[ScoreSystem] Coin collected in lane ${event.laneIndex} (Entity ${event.entityId})`);
-  }
-
-  // Get current score state
-  getCoinsCollected() {
-    return this.coinsCollected;
-  }
-
-  // Get complete score state
-  getScoreState() {
-    return {
-      coinsCollected: this.coinsCollected,
-      // Future: Add more score metrics here
-    };
-  }
-
-  // Reset score (useful for new game)
-  reset() {
-    const previousScore = this.coinsCollected;
-    this.coinsCollected = 0;
-
-    if (previousScore > 0) {
-      logger.info(`[ScoreSystem] Score reset from ${previousScore} to 0`);
+    // Second press of a conflicting key confirms the swap
+    const swap = !!this.pendingSwap && this.pendingSwap.code === event.code;
+    const result = this.actionMap.rebind(action, slot, event.code, { swap: swap });
+    if (!result.bound) {
+      this.pendingSwap = { action: action, slot: slot, code: event.code };
+      this.setStatus(`${ControlsMenuSystem.formatCode(event.code)} is used by ${this.actionMap.getLabel(result.conflict.action)} - press it again to swap`);
+      return;
     }
 
-    return previousScore;
+    this.setStatus(result.conflict
+      ? `Swapped with ${this.actionMap.getLabel(result.conflict.action)}`
+      : `${this.actionMap.getLabel(action)} bound to ${ControlsMenuSystem.formatCode(event.code)}`);
+    this.cancelListening();
+    this.render();
   }
 
-  // Get statistics
-  getStats() {
-    return {
-      coinsCollected: this.coinsCollected,
-      scoreState: this.getScoreState()
-    };
+  startListening(action, slot) {
+    this.listening = { action: action, slot: slot };
+    this.pendingSwap = null;
+    this.setStatus(`Press a key for ${this.actionMap.getLabel(action)} - Delete clears, click again to cancel`);
+    this.render();
   }
-}
 
-// PresentationSystem class - observer-only DOM updates for Endless mode
-class PresentationSystem {
-  constructor() {
-    this.lastRenderedCoins = -1; // Cache to avoid unnecessary DOM updates
-    this.coinsElement = null;
-
-    // Cache DOM element reference
-    this.initializeDomReferences();
-
-    logger.info('[PresentationSystem] Observer-only presentation system established');
-  }
-
-  initializeDomReferences() {
-    // Target the existing element for Endless mode
-    this.coinsElement = document.getElementById('coinsValue-toprug1');
+  cancelListening() {
+    this.listening = null;
+    this.pendingSwap = null;
   }
 
-  // Observer-only update method
-  update(scoreSystem, domainEvents) {
-    if (!scoreSystem) return;
-
-    // Get current coin count
-    const currentCoins = scoreSystem.getCoinsCollected();
+  // Rebuild the action rows (only on open and after a change)
+  render() {
+    if (!this.listElement) return;
+
+    this.listElement.innerHTML = '';
+    this.listElement.appendChild(this.renderSchemeRow());
+
+    for (const action of this.actionMap.getActions()) {
+      const row = document.createElement('div');
+      row.className = 'controls-menu__row';
+
+      const label = document.createElement('span');
+      label.className = 'controls-menu__action';
+      label.textContent = this.actionMap.getLabel(action);
+      row.appendChild(label);
+
+      this.actionMap.getSlots(action).forEach((code, slot) => {
+        const isListening = this.listening && this.listening.action === action && this.listening.slot === slot;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'controls-menu__key' + (isListening ? ' controls-menu__key--listening' : '');
+        button.textContent = isListening ? '...' : (code ? ControlsMenuSystem.formatCode(code) : '-');
+        button.addEventListener('click', () => {
+          if (isListening) {
+            this.cancelListening();
+            this.setStatus('Click a key to change it');
+            this.render();
+          } else {
+            this.startListening(action, slot);
+          }
+        });
+        row.appendChild(button);
+      });
 
-    // Update DOM only if value changed
-    if (currentCoins !== this.lastRenderedCoins) {
-      this.updateCoinsDisplay(currentCoins);
-      this.lastRenderedCoins = currentCoins;
+      this.listElement.appendChild(row);
+    }
+  }
+
+  // Steering scheme picker: keys (also gamepad/touch) or pointer
+  renderSchemeRow() {
+    const row = document.createElement('div');
+    row.className = 'controls-menu__row';
+
+    const label = document.createElement('span');
+    label.className = 'controls-menu__action';
+    label.textContent = 'Steering';
+    row.appendChild(label);
+
+    const schemes = [{ scheme: 'keyboard', label: 'Keys' }, { scheme: 'pointer', label: 'Pointer' }];
+    for (const option of schemes) {
+      const isActive = this.controlScheme.get() === option.scheme;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'controls-menu__key' + (isActive ? ' controls-menu__key--active' : '');
+      button.textContent = option.label;
+      button.addEventListener('click', () => {
+        this.controlScheme.set(option.scheme);
+        this.setStatus(option.scheme === 'pointer'
+          ? 'Pointer steering: move across the screen to pick a lane, up and down for altitude'
+          : 'Key steering: keys, gamepad and touch');
+        this.render();
+      });
+      row.appendChild(button);
     }
-
-    // Observe domain events for potential future enhancements
-    // Currently not used but available for animations, sounds, etc.
-    this.observeDomainEvents(domainEvents);
+    return row;
   }
 
-  updateCoinsDisplay(coins) {
-    if (this.coinsElement) {
-      this.coinsElement.textContent = coins.toString();
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
     }
   }
 
-  observeDomainEvents(domainEvents) {
-    // Observer-only: just observe events, don't process them
-    // Future: Could trigger animations, sounds, etc. based on events
-    // For now, this method exists for architectural completeness
+  // Readable key name for a KeyboardEvent.code
+  static formatCode(code) {
+    const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+    if (arrows[code]) return arrows[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+    return code;
   }
 
-  // Optional cleanup method
-  cleanup() {
-    this.coinsElement = null;
-    this.lastRenderedCoins = -1;
+  destroy() {
+    this.close();
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.handleToggle);
+      this.toggleButton.style.display = 'none';
+    }
+    if (this.resetButton) this.resetButton.removeEventListener('click', this.handleReset);
+    if (this.closeButton) this.closeButton.removeEventListener('click', this.handleClose);
+    if (this.menuElement) this.menuElement.removeEventListener('click', this.handleMenuClick);
+    window.removeEventListener('keydown', this.handleKeyDown, true);
   }
 }
 
@@ -2571,159 +3124,6 @@ class PlayerVerticalConstraintSystem {
   }
 }
 
-// LaneEntitySpawnSystem class - gameplay system for spawning lane-based entities
-class LaneEntitySpawnSystem {
-  constructor(laneSystem, worldLayoutSystem, difficultyCurveSystem, entityRegistrySystem, world, distanceSystem) {
-    // Gameplay system: spawns entities that participate in game logic
-    // Uses difficulty scaling and lane system for placement
-    // Registers entities for collision detection and other systems
-
-    this.laneSystem = laneSystem;
-    this.worldLayoutSystem = worldLayoutSystem;
-    this.difficultyCurveSystem = difficultyCurveSystem;
-    this.entityRegistrySystem = entityRegistrySystem;
-    this.world = world;
-    this.distanceSystem = distanceSystem;
-
-    // Spawn timing
-    this.baseSpawnInterval = 2000; // Base 2 seconds between spawns
-    this.lastSpawnTime = 0;
-
-    logger.info('[LaneEntitySpawn] Lane-based entity spawning system established');
-  }
-
-  update(currentTime) {
-    // Defensive guard - exit if required dependencies are missing
-    if (!this.difficultyCurveSystem) {
-      logger.warn('[LaneEntitySpawn] WARNING: difficultyCurveSystem missing, skipping update');
-      return;
-    }
-
-    // Check if it's time to spawn a new entity
-    let difficultyState;
-    try {
-      difficultyState = this.difficultyCurveSystem.getDifficultyState();
-      if (!difficultyState || typeof difficultyState.spawnRateMultiplier !== 'number') {
-        logger.warn('[LaneEntitySpawn] WARNING: Invalid difficulty state, skipping spawn check');
-        return;
-      }
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to get difficulty state, skipping update');
-      return;
-    }
-
-    const adjustedInterval = this.baseSpawnInterval / difficultyState.spawnRateMultiplier;
-
-    if (currentTime - this.lastSpawnTime >= adjustedInterval) {
-      this.spawnEntity();
-      this.lastSpawnTime = currentTime;
-    }
-  }
-
-  spawnEntity() {
-    // Defensive guards - exit early if required dependencies are missing
-    if (!this.laneSystem || !this.worldLayoutSystem || !this.entityRegistrySystem || !this.world) {
-      logger.warn('[LaneEntitySpawn] WARNING: Missing required dependencies, skipping spawn');
-      return;
-    }
-
-    // Choose random lane
-    let laneIndex;
-    try {
-      const laneCount = this.laneSystem.getLaneCount();
-      if (typeof laneCount !== 'number' || laneCount <= 0) {
-        logger.warn('[LaneEntitySpawn] WARNING: Invalid lane count, skipping spawn');
-        return;
-      }
-      laneIndex = Math.floor(Math.random() * laneCount);
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to get lane count, skipping spawn');
-      return;
-    }
-
-    // Get lane center X position
-    let laneCenterX;
-    try {
-      laneCenterX = this.laneSystem.getLaneCenter(laneIndex);
-      if (typeof laneCenterX !== 'number') {
-        logger.warn('[LaneEntitySpawn] WARNING: Invalid lane center X, skipping spawn');
-        return;
-      }
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to get lane center, skipping spawn');
-      return;
-    }
-
-    // Get MID_AIR baseline Y position
-    let spawnY;
-    try {
-      const midAirZone = this.worldLayoutSystem.getZone('MID_AIR');
-      if (!midAirZone || typeof midAirZone.baselineY !== 'number') {
-        logger.warn('[LaneEntitySpawn] WARNING: Invalid MID_AIR zone or baselineY, skipping spawn');
-        return;
-      }
-      spawnY = midAirZone.baselineY;
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to get MID_AIR zone, skipping spawn');
-      return;
-    }
-
-    // Spawn ahead of player (positive Z)
-    const spawnDistance = 200; // Units ahead of player
-    const spawnZ = spawnDistance;
-
-    // Create entity data
-    let entityId;
-    try {
-      entityId = this.entityRegistrySystem.generateId();
-      if (typeof entityId !== 'number') {
-        logger.warn('[LaneEntitySpawn] WARNING: Invalid entity ID generated, skipping spawn');
-        return;
-      }
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to generate entity ID, skipping spawn');
-      return;
-    }
-
-    const coinEntity = new CoinEntity(entityId, laneIndex, spawnZ);
-
-    // TEMPORARY: Override spawnDistance to make coins visible immediately for debugging
-    coinEntity.spawnDistance = this.distanceSystem.getDistance() + 150;
-
-    // Set position
-    coinEntity.position = { x: laneCenterX, y: spawnY, z: spawnZ };
-
-    // Create simple visual mesh (placeholder)
-    try {
-      const geometry = new THREE.SphereGeometry(3, 8, 6);
-      const material = new THREE.MeshLambertMaterial({ color: 0xffd700 }); // Gold color
-      const mesh = new THREE.Mesh(geometry, material);
-      mesh.position.set(laneCenterX, spawnY, spawnZ);
-      this.world.add(mesh);
-
-      // Store mesh reference for cleanup
-      coinEntity.mesh = mesh;
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to create visual mesh, continuing without visuals');
-      // Continue without mesh - entity can still participate in collisions
-    }
-
-    // Register entity for collision detection and other systems
-    try {
-      this.entityRegistrySystem.register(coinEntity);
-    } catch (error) {
-      logger.warn('[LaneEntitySpawn] WARNING: Failed to register entity, skipping spawn');
-      return;
-    }
-
-    // Safe logging with defensive .toFixed() calls
-    const laneCenterXStr = (typeof laneCenterX === 'number') ? laneCenterX.toFixed(1) : 'undefined';
-    const spawnYStr = (typeof spawnY === 'number') ? spawnY.toFixed(1) : 'undefined';
-
-    logger.info(`[LaneEntitySpawn] SPAWNED: Coin ${entityId} in lane ${laneIndex} at (${laneCenterXStr}, ${spawnYStr}, ${spawnZ})`);
-  }
-}
-
 // LaneEntityVisualSystem class - presentation-only visual management for lane entities
 class LaneEntityVisualSystem {
   constructor(entityRegistrySystem, laneSystem, worldLayoutSystem, world) {
@@ -2739,9 +3139,6 @@ class LaneEntityVisualSystem {
     // Track which entities we've created visuals for
     this.visualEntities = new Map(); // entityId -> { entity, mesh }
 
-    // Debug sphere for testing visual system
-    this.debugSphereCreated = false;
-
     logger.info('[LaneEntityVisual] Lane entity visual system established');
   }
 
@@ -2750,21 +3147,6 @@ class LaneEntityVisualSystem {
       return; // Safety check
     }
 
-    // TEMPORARY DEBUG: Create a test sphere to verify visual system works
-    if (!this.debugSphereCreated) {
-      try {
-        const geometry = new THREE.SphereGeometry(10, 16, 12);
-        const material = new THREE.MeshLambertMaterial({ color: 0xff00ff }); // Bright magenta
-        const debugSphere = new THREE.Mesh(geometry, material);
-        debugSphere.position.set(0, 100, -200); // In front of plane
-        this.world.add(debugSphere);
-        this.debugSphereCreated = true;
-        logger.info('[LaneEntityVisual] DEBUG: Magenta test sphere created at (0, 100, -200)');
-      } catch (error) {
-        logger.warn('[LaneEntityVisual] WARNING: Failed to create debug sphere');
-      }
-    }
-
     // Get all current entities
     const currentEntities = this.entityRegistrySystem.getAll();
 
@@ -2773,7 +3155,7 @@ class LaneEntityVisualSystem {
 
     // Update or create visuals for current entities
     for (const entity of currentEntities) {
-      if (entity.type === 'coin') { // Only handle coin entities for now
+      if (entity.type === 'coin' || entity.type === 'powerup') { // Pickups - obstacles have their own visuals
         currentEntityIds.add(entity.id);
         this.ensureVisualForEntity(entity);
         this.updateVisualPosition(entity);
@@ -2795,9 +3177,7 @@ class LaneEntityVisualSystem {
 
     // Create visual mesh for entity
     try {
-      const geometry = new THREE.SphereGeometry(3, 8, 6);
-      const material = new THREE.MeshLambertMaterial({ color: 0xffd700 }); // Gold color
-      const mesh = new THREE.Mesh(geometry, material);
+      const mesh = entity.type === 'powerup' ? this.createPowerUpMesh(entity) : this.createCoinMesh(entity);
 
       // Add to world
       this.world.add(mesh);
@@ -2813,29 +3193,29 @@ class LaneEntityVisualSystem {
     }
   }
 
+  createCoinMesh(entity) {
+    const geometry = new THREE.SphereGeometry(entity.radius, 8, 6); // Same size as the pickup bounds
+    const tier = window.CoinEntity.TIERS[entity.tier] || window.CoinEntity.TIERS.bronze;
+    const material = new THREE.MeshLambertMaterial({ color: tier.color }); // Bronze, silver or gold
+    return new THREE.Mesh(geometry, material);
+  }
+
+  // Diamond in the power-up's color, so it reads apart from the round coins
+  createPowerUpMesh(entity) {
+    const geometry = new THREE.OctahedronGeometry(entity.radius); // Same size as the pickup bounds
+    const material = new THREE.MeshLambertMaterial({ color: window.PowerUpSystem.KINDS[entity.kind].color });
+    return new THREE.Mesh(geometry, material);
+  }
+
   updateVisualPosition(entity) {
     const visualData = this.visualEntities.get(entity.id);
     if (!visualData || !visualData.mesh) {
       return;
     }
 
-    const mesh = visualData.mesh;
-
-    // Update position based on entity data with visual offset coordination
-    if (entity.position) {
-      const baseZ = entity.position.z || 0;
-      const offsetZ = entity.visualOffsetZ || 0;
-
-      // Explicitly set Y position using world layout system for MID_AIR zone
-      const midAirZone = this.worldLayoutSystem.getZone('MID_AIR');
-      const yPosition = midAirZone && midAirZone.baselineY ? midAirZone.baselineY : (entity.position.y || 0);
-
-      mesh.position.set(
-        entity.position.x || 0,
-        yPosition,
-        baseZ + offsetZ
-      );
-    }
+    // Render exactly the simulated position collision tests
+    const { x, y, z } = entity.position;
+    visualData.mesh.position.set(x, y, z);
   }
 
   removeVisualForEntity(entityId, visualData) {
@@ -2873,90 +3253,278 @@ class LaneEntityVisualSystem {
   }
 }
 
-// LaneEntityApproachSystem class - presentation-only visual approach effect
-class LaneEntityApproachSystem {
-  constructor(entityRegistrySystem, distanceSystem, worldLayoutSystem, laneEntityVisualSystem) {
-    // Presentation-only system: creates illusion of entities approaching player
-    // Never mutates game state, entities, or influences gameplay
-    // Only modifies mesh Z positions for visual approach effect
+// AudioPresentationSystem class - observer-only audio feedback system
+class AudioPresentationSystem {
+  constructor(random, playerMovementPipeline, entityRegistrySystem, actionMap) {
+    // Observer-only system: never mutates game state or influences gameplay
+    // Listens to domain events to provide audio feedback
+    // Must never mutate state - only observes and plays sounds
 
-    this.entityRegistrySystem = entityRegistrySystem;
-    this.distanceSystem = distanceSystem;
-    this.worldLayoutSystem = worldLayoutSystem;
-    this.laneEntityVisualSystem = laneEntityVisualSystem;
+    this.random = random; // Forked stream - variation picks never advance the gameplay sequence
+    this.playerMovementPipeline = playerMovementPipeline; // Listener lane
+    this.entityRegistrySystem = entityRegistrySystem; // Upcoming obstacles for the approach cue
+    this.actionMap = actionMap; // MUTE binding
+
+    // Spatial tuning - sounds sit in stereo by lane relative to the player
+    this.panPerLane = 0.6; // Pan offset for each lane away from the player's lane
+    this.volumeFalloffPerLane = 0.2; // Volume lost for each lane away
+    this.referenceDistance = 60; // Z at which attenuation halves the volume
+
+    // Approach cue - pings per obstacle that speed up and rise in pitch as it closes in
+    this.approachCueRange = 240; // Z at which an obstacle first pings
+    this.minPingSpacing = 12; // Z travelled between pings at the closest range
+    this.nextPingZ = new Map(); // obstacle id -> Z at which it pings next
+
+    // Soundscape - propeller and ocean loops, running between startSoundscape() and stopSoundscape()
+    this.isSoundscapeActive = false;
+    this.propellerVoice = null;
+    this.oceanVoice = null;
+    this.isGameOverMix = false;
+    this.lastPropeller = { playbackRate: 0, volume: 0 }; // Last glide targets - small changes are skipped
+    this.oceanVolume = 0.6; // Bed level in flight
+    this.oceanGameOverVolume = 1.0; // Bed level once the engine has cut out
+    this.oceanDuckVolume = 0.15; // Bed level under a collision
+
+    // Adaptive music - layers follow level and danger, stings on level up and game over
+    this.lastMusicLevel = 1;
+    this.wasGameOver = false;
 
-    // Player plane is always at Z = 0
-    this.PLAYER_PLANE_Z = 0;
+    this.initializeAudio();
+
+    // Browsers keep audio suspended until a user gesture
+    this.handleGesture = () => this.audioEngine.unlock();
+    this.handleKeyDown = (event) => {
+      this.audioEngine.unlock();
+      if (this.actionMap.getActionForCode(event.code) === 'MUTE') {
+        const muted = this.audioEngine.toggleMute();
+        logger.info(`[AudioPresentation] Audio ${muted ? 'muted' : 'unmuted'}`);
+      }
+    };
+    window.addEventListener('pointerdown', this.handleGesture);
+    window.addEventListener('keydown', this.handleKeyDown);
 
-    logger.info('[LaneEntityApproach] Visual approach effect system established');
+    logger.info('[AudioPresentation] Observer-only audio feedback system established');
   }
 
-  update() {
-    if (!this.entityRegistrySystem || !this.distanceSystem || !this.laneEntityVisualSystem) {
+  initializeAudio() {
+    this.audioEngine = new window.AudioEngine({
+      basePath: 'games/top-rug/assets/audio/',
+      random: this.random
+    });
+
+    // Sound name -> variations; one is picked per event
+    this.audioEngine.register('coin', {
+      files: ['coin.mp3', 'coin-1.mp3', 'coin-2.mp3', 'coin-3.mp3'],
+      bus: 'sfx',
+      volume: 0.6,
+      maxVoices: 4
+    });
+    this.audioEngine.register('crash', {
+      files: ['airplane-crash-1.mp3', 'airplane-crash-2.mp3', 'airplane-crash-3.mp3', 'airplane-crash-4.mp3'],
+      bus: 'sfx',
+      volume: 0.9,
+      maxVoices: 2
+    });
+    this.audioEngine.register('impact', {
+      files: ['jar-1.mp3', 'jar-2.mp3', 'jar-3.mp3', 'jar-4.mp3', 'jar-5.mp3', 'jar-6.mp3', 'jar-7.mp3'],
+      bus: 'sfx',
+      volume: 0.5,
+      maxVoices: 2
+    });
+    this.audioEngine.register('approach', {
+      files: ['bubble.mp3'],
+      bus: 'sfx',
+      volume: 0.35,
+      maxVoices: 3
+    });
+    this.audioEngine.register('propeller', {
+      files: ['propeller.mp3'],
+      bus: 'sfx',
+      volume: 0.5,
+      maxVoices: 1
+    });
+    this.audioEngine.register('ocean', {
+      files: ['ocean.mp3'],
+      bus: 'ambience',
+      volume: 1.0,
+      maxVoices: 1
+    });
+    this.audioEngine.register('splash', {
+      files: ['water-splash.mp3'],
+      bus: 'sfx',
+      volume: 0.8,
+      maxVoices: 1
+    });
+
+    this.audioEngine.preload();
+
+    // Synthesized in place - no music assets to load
+    this.musicSequencer = new window.MusicSequencer(this.audioEngine, { random: this.random });
+  }
+
+  // Observer-only update method - reads domain events and flight state, plays sounds
+  // audioState: { speed, baseSpeed, vertical, level, lives, isGameOver } (EndlessMode.getAudioState)
+  update(domainEvents, audioState) {
+    if (!domainEvents || !Array.isArray(domainEvents)) {
       return; // Safety check
     }
 
-    // Get current distance traveled
-    const currentDistance = this.distanceSystem.getDistance();
+    // Process each domain event
+    for (const event of domainEvents) {
+      this.processDomainEvent(event);
+    }
 
-    // Get all coin entities
-    const coinEntities = this.entityRegistrySystem.getByType('coin');
+    this.updateApproachCues();
 
-    // Process each entity
-    for (const entity of coinEntities) {
-      if (!entity.spawnDistance) {
-        // Entity doesn't have spawn distance recorded, skip
-        continue;
-      }
+    if (audioState) {
+      this.updateSoundscape(audioState);
+      this.updateMusic(audioState);
+    }
+  }
+
+  // ===== Soundscape (propeller + ocean loops) =====
+
+  startSoundscape() {
+    this.isSoundscapeActive = true;
+    this.ensureLoops(); // Retried every update until the loops have decoded
+    this.musicSequencer.start();
+  }
+
+  stopSoundscape(fadeSeconds = 0.3) {
+    this.isSoundscapeActive = false;
+    this.musicSequencer.stop(fadeSeconds);
+    this.audioEngine.fadeOutVoice(this.propellerVoice, fadeSeconds);
+    this.audioEngine.fadeOutVoice(this.oceanVoice, fadeSeconds);
+    this.propellerVoice = null;
+    this.oceanVoice = null;
+  }
+
+  // Start whichever loop is missing, fading in from silence
+  ensureLoops() {
+    if (!this.isSoundscapeActive) return;
 
-      // Calculate approach Z position
-      // As distance increases, entities appear to move toward player
-      const approachZ = -(currentDistance - entity.spawnDistance);
+    if (!this.oceanVoice) {
+      this.oceanVoice = this.audioEngine.play('ocean', { loop: true, volume: 0 });
+      this.audioEngine.rampVoice(this.oceanVoice, { volume: this.getOceanVolume() }, 0.5);
+    }
+    if (!this.propellerVoice && !this.isGameOverMix) {
+      this.propellerVoice = this.audioEngine.play('propeller', { loop: true, volume: 0 });
+      this.lastPropeller = { playbackRate: 0, volume: 0 };
+    }
+  }
+
+  getOceanVolume() {
+    return this.isGameOverMix ? this.oceanGameOverVolume : this.oceanVolume;
+  }
 
-      // Set visual offset for coordination with LaneEntityVisualSystem
-      entity.visualOffsetZ = approachZ;
+  updateSoundscape(state) {
+    if (!this.isSoundscapeActive) return;
 
-      // Check if entity has crossed the player plane
-      if (approachZ > this.PLAYER_PLANE_Z + 10) {
-        // Entity has passed the player, unregister it
-        logger.info('[Approach] Entity crossed player plane');
-        this.entityRegistrySystem.unregister(entity);
+    // Game over crossfade: engine winds down into the splash, ocean swells; reversed on restart
+    if (state.isGameOver !== this.isGameOverMix) {
+      this.isGameOverMix = state.isGameOver;
+      if (this.isGameOverMix) {
+        this.audioEngine.rampVoice(this.propellerVoice, { playbackRate: 0.4 }, 0.4);
+        this.audioEngine.fadeOutVoice(this.propellerVoice, 1.5);
+        this.propellerVoice = null;
+        this.audioEngine.play('splash');
       }
+      this.audioEngine.rampVoice(this.oceanVoice, { volume: this.getOceanVolume() }, 0.8);
+    }
+
+    this.ensureLoops();
+    if (!this.propellerVoice) return;
+
+    // Pitch and level follow forward speed; climbing works the engine harder, diving eases off
+    const speedRatio = state.baseSpeed > 0 ? state.speed / state.baseSpeed : 1;
+    const playbackRate = 0.85 + (speedRatio - 1) * 0.3 + state.vertical * 0.08;
+    const volume = Math.min(1, 0.7 + (speedRatio - 1) * 0.15 + state.vertical * 0.15);
+
+    if (Math.abs(playbackRate - this.lastPropeller.playbackRate) > 0.005 ||
+        Math.abs(volume - this.lastPropeller.volume) > 0.005) {
+      this.audioEngine.rampVoice(this.propellerVoice, { playbackRate: playbackRate, volume: volume }, 0.15);
+      this.lastPropeller = { playbackRate: playbackRate, volume: volume };
     }
   }
-}
 
-// AudioPresentationSystem class - observer-only audio feedback system
-class AudioPresentationSystem {
-  constructor() {
-    // Observer-only system: never mutates game state or influences gameplay
-    // Listens to domain events to provide audio feedback
-    // Must never mutate state - only observes and plays sounds
+  // ===== Adaptive music =====
 
-    // Initialize audio context and load sound references
-    this.initializeAudio();
+  updateMusic(state) {
+    if (!this.isSoundscapeActive) return;
 
-    logger.info('[AudioPresentation] Observer-only audio feedback system established');
+    if (state.isGameOver && !this.wasGameOver) {
+      this.musicSequencer.playSting('gameOver');
+    } else if (state.level > this.lastMusicLevel && !state.isGameOver) {
+      this.musicSequencer.playSting('levelUp');
+    }
+    this.wasGameOver = state.isGameOver;
+    this.lastMusicLevel = state.level; // Drops back on restart without a sting
+
+    this.musicSequencer.setIntensity(state.level, state.lives === 1, state.isGameOver);
+    this.musicSequencer.update();
   }
 
-  initializeAudio() {
-    // In a real implementation, this would load audio assets
-    // For now, we reference them by name and handle gracefully if missing
-    this.audioAssets = {
-      coinCollect: 'coin_collect.wav',
-      collision: 'collision.wav'
+  // Dip the ocean bed under a hit, then let it recover
+  duckOcean() {
+    if (!this.oceanVoice) return;
+
+    this.audioEngine.rampVoice(this.oceanVoice, { volume: this.oceanDuckVolume }, 0.03);
+    this.audioEngine.rampVoice(this.oceanVoice, { volume: this.getOceanVolume() }, 0.4, 0.5);
+  }
+
+  // Stereo position and level for a sound in a lane at a Z ahead of the player
+  getSpatialParams(laneIndex, z) {
+    const laneOffset = laneIndex - this.playerMovementPipeline.getCurrentLane();
+    const laneVolume = Math.max(0, 1 - Math.abs(laneOffset) * this.volumeFalloffPerLane);
+    const distanceVolume = this.referenceDistance / (this.referenceDistance + Math.max(0, z));
+
+    return {
+      pan: Math.max(-1, Math.min(1, laneOffset * this.panPerLane)),
+      volume: laneVolume * distanceVolume
     };
   }
 
-  // Observer-only update method - reads domain events, plays sounds
-  update(domainEvents) {
-    if (!domainEvents || !Array.isArray(domainEvents)) {
-      return; // Safety check
+  getEventSpatialParams(event) {
+    if (event.laneIndex === undefined) {
+      return { pan: 0, volume: 1 };
     }
+    const z = event.position ? event.position.z : 0;
+    return this.getSpatialParams(event.laneIndex, z);
+  }
 
-    // Process each domain event
-    for (const event of domainEvents) {
-      this.processDomainEvent(event);
+  // Ping each obstacle ahead as it crosses its next ping Z - spacing shrinks and pitch rises as it nears
+  updateApproachCues() {
+    const obstacles = this.entityRegistrySystem.getByType('OBSTACLE');
+    const live = new Set();
+
+    for (const obstacle of obstacles) {
+      live.add(obstacle.id);
+      if (obstacle.z < 0 || obstacle.z > this.approachCueRange) {
+        continue; // Not yet in range, or already passed
+      }
+
+      const nextPing = this.nextPingZ.has(obstacle.id) ? this.nextPingZ.get(obstacle.id) : this.approachCueRange;
+      if (obstacle.z > nextPing) {
+        continue;
+      }
+
+      const closeness = 1 - obstacle.z / this.approachCueRange; // 0 at range edge, 1 at the player
+      const spatial = this.getSpatialParams(obstacle.laneIndex, obstacle.z);
+      this.audioEngine.play('approach', {
+        pan: spatial.pan,
+        volume: spatial.volume,
+        playbackRate: 0.8 + closeness * 0.8
+      });
+
+      const spacing = Math.max(this.minPingSpacing, obstacle.z * 0.35);
+      this.nextPingZ.set(obstacle.id, obstacle.z - spacing);
+    }
+
+    // Forget obstacles the registry no longer holds (hit, passed and cleaned up, or restart)
+    for (const id of this.nextPingZ.keys()) {
+      if (!live.has(id)) {
+        this.nextPingZ.delete(id);
+      }
     }
   }
 
@@ -2971,64 +3539,71 @@ class AudioPresentationSystem {
         this.playCollisionSound(event);
         break;
 
+      case 'SCORE_BONUS':
+        this.playBonusSound(event);
+        break;
+
       default:
         // Gracefully ignore unknown events
         break;
     }
   }
 
-  playCoinCollectSound(event) {
-      // Play coin collection sound
-    // In a real implementation, this would play the audio asset
-    try {
-      // Placeholder for audio playback
-      // this.playSound(this.audioAssets.coinCollect, event.value || 1);
-      logger.info(`[AudioPresentation] 🎵 Coin collected sound (value: ${event.value || 1})`);
-    } catch (error) {
-      // Gracefully handle missing audio assets
-      logger.warn('[AudioPresentation] Coin collect audio not available');
-    }
+  // Combo multiplier step - the coin chime pitched up a little more for every step
+  playBonusSound(event) {
+    this.audioEngine.play('coin', { playbackRate: 1.2 + 0.1 * event.multiplier });
   }
 
-  playCollisionSound(event) {
-    // Play collision sound
-    try {
-      // Placeholder for audio playback
-      // this.playSound(this.audioAssets.collision, event.value || 1);
-      logger.info(`[AudioPresentation] 💥 Collision sound (intensity: ${event.value || 1})`);
-    } catch (error) {
-      // Gracefully handle missing audio assets
-      logger.warn('[AudioPresentation] Collision audio not available');
-    }
+  playCoinCollectSound(event) {
+    // Slight pitch spread on top of the variation pick keeps coin runs from sounding mechanical
+    const spatial = this.getEventSpatialParams(event);
+    this.audioEngine.play('coin', {
+      pan: spatial.pan,
+      volume: spatial.volume,
+      playbackRate: 0.95 + this.random.next() * 0.1
+    });
   }
 
-  // Placeholder for actual audio playback (would integrate with Web Audio API or Howler.js)
-  playSound(assetName, volume = 1) {
-    // This would be implemented with actual audio playback
-    // For now, it's a placeholder that does nothing but could be extended
+  playCollisionSound(event) {
+    // Crash plus a shatter layer - voice limits keep stacked hits from clipping
+    const spatial = this.getEventSpatialParams(event);
+    this.duckOcean();
+    this.audioEngine.play('crash', { pan: spatial.pan });
+    this.audioEngine.play('impact', {
+      pan: spatial.pan,
+      volume: spatial.volume,
+      playbackRate: 0.9 + this.random.next() * 0.2
+    });
   }
 
-  // Optional cleanup method
+  // Stop any playing sounds, release audio resources
   cleanup() {
-    // Stop any playing sounds, release audio resources
+    this.isSoundscapeActive = false;
+    window.removeEventListener('pointerdown', this.handleGesture);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.musicSequencer.destroy();
+    this.audioEngine.destroy();
   }
 }
 
 // VFXPresentationSystem class - observer-only visual effects system
 class VFXPresentationSystem {
-  constructor(world) {
+  constructor(world, random) {
     // Observer-only system: never mutates game state or influences gameplay
     // Listens to domain events to provide spatial visual feedback
     // Must never mutate state - only observes and creates temporary visuals
 
     this.world = world;
+    this.random = random; // Forked stream - never advances the gameplay sequence
     this.activeEffects = []; // Track active visual effects for cleanup
+    this.shieldAura = null; // Bubble around the plane while a shield runs
 
     logger.info('[VFXPresentation] Observer-only visual effects system established');
   }
 
   // Observer-only update method - reads domain events, spawns temporary visuals
-  update(domainEvents) {
+  // powerUpState: EndlessMode.getPowerUpState() snapshot for effects that last as long as a power-up
+  update(domainEvents, powerUpState = null) {
     if (!domainEvents || !Array.isArray(domainEvents)) {
       return; // Safety check
     }
@@ -3040,6 +3615,10 @@ class VFXPresentationSystem {
     for (const event of domainEvents) {
       this.processDomainEvent(event);
     }
+
+    if (powerUpState) {
+      this.updateShieldAura(powerUpState);
+    }
   }
 
   processDomainEvent(event) {
@@ -3053,12 +3632,74 @@ class VFXPresentationSystem {
         this.createCollisionEffect(event);
         break;
 
+      case 'POWERUP_COLLECTED':
+        this.createRingEffect(event.position, window.PowerUpSystem.KINDS[event.kind].color, 4, 500);
+        break;
+
+      case 'SHIELD_ABSORBED':
+        this.createRingEffect(event.position, window.PowerUpSystem.KINDS.shield.color, 8, 400);
+        break;
+
       default:
-        // Gracefully ignore unknown events
+        // Gracefully ignore unknown events (POWERUP_EXPIRED needs no effect - the shield bubble just goes)
         break;
     }
   }
 
+  // Expanding ring (power-up pickups, shield breaking) - same lifecycle as the collision ring
+  createRingEffect(position, color, size, lifetime) {
+    if (!position) return; // Skip if no position data
+
+    const geometry = new THREE.RingGeometry(size * 0.6, size, 16);
+    const material = new THREE.MeshLambertMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide
+    });
+
+    const ring = new THREE.Mesh(geometry, material);
+    ring.position.copy(position);
+
+    this.world.add(ring);
+
+    this.activeEffects.push({
+      object: ring,
+      startTime: performance.now(),
+      lifetime: lifetime
+    });
+  }
+
+  // Translucent bubble on the plane while a shield runs, blinking through its last two seconds
+  updateShieldAura(powerUpState) {
+    const shield = powerUpState.active.find(effect => effect.kind === 'shield');
+    if (!shield) {
+      if (this.shieldAura) {
+        this.world.remove(this.shieldAura);
+        this.shieldAura.geometry.dispose();
+        this.shieldAura.material.dispose();
+        this.shieldAura = null;
+      }
+      return;
+    }
+
+    if (!this.shieldAura) {
+      const geometry = new THREE.SphereGeometry(22, 16, 12); // Just around the player hitbox
+      const material = new THREE.MeshLambertMaterial({
+        color: window.PowerUpSystem.KINDS.shield.color,
+        transparent: true,
+        opacity: 0.25
+      });
+      this.shieldAura = new THREE.Mesh(geometry, material);
+      this.world.add(this.shieldAura);
+    }
+
+    const { x, y, z } = powerUpState.playerPosition;
+    this.shieldAura.position.set(x, y, z);
+    const ending = shield.remaining < 2 && Math.floor(shield.remaining * 6) % 2 === 0;
+    this.shieldAura.material.opacity = ending ? 0.08 : 0.25;
+  }
+
   createCoinCollectEffect(event) {
     if (!event.position) return; // Skip if no position data
 
@@ -3066,14 +3707,14 @@ class VFXPresentationSystem {
     const effectGroup = new THREE.Group();
 
     // Create 4-6 small planes/particles in a small burst
-    const particleCount = 4 + Math.floor(Math.random() * 3);
+    const particleCount = 4 + Math.floor(this.random.next() * 3);
     for (let i = 0; i < particleCount; i++) {
       const particle = this.createCoinParticle();
       // Random spread around the event position
       particle.position.set(
-        (Math.random() - 0.5) * 4,
-        Math.random() * 3,
-        (Math.random() - 0.5) * 4
+        (this.random.next() - 0.5) * 4,
+        this.random.next() * 3,
+        (this.random.next() - 0.5) * 4
       );
       effectGroup.add(particle);
     }
@@ -3088,7 +3729,7 @@ class VFXPresentationSystem {
     const effect = {
       object: effectGroup,
       startTime: performance.now(),
-      lifetime: 400 + Math.random() * 200, // 400-600ms
+      lifetime: 400 + this.random.next() * 200, // 400-600ms
       update: (currentTime) => this.updateCoinEffect(effectGroup, currentTime)
     };
 
@@ -3108,9 +3749,9 @@ class VFXPresentationSystem {
 
     // Random rotation
     particle.rotation.set(
-      Math.random() * Math.PI,
-      Math.random() * Math.PI,
-      Math.random() * Math.PI
+      this.random.next() * Math.PI,
+      this.random.next() * Math.PI,
+      this.random.next() * Math.PI
     );
 
     return particle;
@@ -3161,7 +3802,7 @@ class VFXPresentationSystem {
     const effect = {
       object: ring,
       startTime: performance.now(),
-      lifetime: 200 + Math.random() * 100, // 200-300ms
+      lifetime: 200 + this.random.next() * 100, // 200-300ms
       update: (currentTime) => this.updateCollisionEffect(ring, currentTime)
     };
 
@@ -3214,33 +3855,125 @@ class VFXPresentationSystem {
           }
         });
 
-        // Remove from world
-        this.world.remove(effect.object);
+        // Remove from world
+        this.world.remove(effect.object);
+      }
+    }
+  }
+
+  // Optional cleanup method
+  cleanup() {
+    // Clean up all active effects
+    for (const effect of this.activeEffects) {
+      if (effect.object) {
+        this.world.remove(effect.object);
+      }
+    }
+    this.activeEffects = [];
+    this.updateShieldAura({ active: [] });
+  }
+}
+
+// RenderInterpolationSystem - smooths mesh motion between fixed simulation steps
+// Simulation writes mesh positions once per step; rendering blends the last two
+// step positions by the loop's alpha so motion is smooth at any display rate
+class RenderInterpolationSystem {
+  constructor() {
+    this.tracked = new Map(); // Object3D -> { previous: {x,y,z}, current: {x,y,z} }
+
+    // Per-step movement beyond this is a teleport (segment recycle, respawn) - snap, don't blend
+    this.snapDistance = 100;
+  }
+
+  // Before a fixed step: put simulated positions back and shift current -> previous
+  beginStep() {
+    for (const [object, state] of this.tracked) {
+      object.position.set(state.current.x, state.current.y, state.current.z);
+      state.previous.x = state.current.x;
+      state.previous.y = state.current.y;
+      state.previous.z = state.current.z;
+    }
+  }
+
+  // After a fixed step: capture simulated positions of every object that should be smoothed
+  endStep(objects) {
+    const seen = new Set();
+
+    for (const object of objects) {
+      if (!object || seen.has(object)) continue;
+      seen.add(object);
+
+      const position = object.position;
+      const state = this.tracked.get(object);
+      if (!state) {
+        // First sighting - no history to blend from
+        this.tracked.set(object, {
+          previous: { x: position.x, y: position.y, z: position.z },
+          current: { x: position.x, y: position.y, z: position.z }
+        });
+      } else {
+        state.current.x = position.x;
+        state.current.y = position.y;
+        state.current.z = position.z;
+      }
+    }
+
+    // Forget objects that left the simulation this step
+    for (const object of this.tracked.keys()) {
+      if (!seen.has(object)) {
+        this.tracked.delete(object);
       }
     }
   }
 
-  // Optional cleanup method
-  cleanup() {
-    // Clean up all active effects
-    for (const effect of this.activeEffects) {
-      if (effect.object) {
-        this.world.remove(effect.object);
+  // Before rendering: place meshes between the last two steps (alpha in [0, 1))
+  interpolate(alpha) {
+    for (const [object, state] of this.tracked) {
+      const { previous, current } = state;
+      const dx = current.x - previous.x;
+      const dy = current.y - previous.y;
+      const dz = current.z - previous.z;
+
+      if (Math.abs(dx) > this.snapDistance || Math.abs(dy) > this.snapDistance || Math.abs(dz) > this.snapDistance) {
+        object.position.set(current.x, current.y, current.z);
+      } else {
+        object.position.set(previous.x + dx * alpha, previous.y + dy * alpha, previous.z + dz * alpha);
       }
     }
-    this.activeEffects = [];
+  }
+
+  clear() {
+    this.tracked.clear();
   }
 }
 
 // WorldAxisSystem class - manages world forward motion on Z axis only
 class WorldAxisSystem {
   constructor() {
-    this.speed = 60;       // forward units per second
+    // Single authoritative forward speed - scroller, distance, coins and hazards all follow it
+    this.baseSpeed = 60;      // forward units per second at speedMultiplier 1.0
+    this.speed = this.baseSpeed; // current forward units per second
+    this.cruiseSpeed = this.baseSpeed; // speed before speedScale (follows the difficulty target)
+    this.targetSpeed = this.baseSpeed;
+    this.maxAcceleration = 6; // units per second² - eases level-to-level speed changes
+    this.speedScale = 1.0; // slow-motion scale on top of the cruise speed
+    this.scaleRate = 4; // scale change per second - slow-mo eases in and out over ~0.1s
     this.baseDeltaZ = 0;
     this.worldScrollLogTimer = 0; // Throttled world scroll logging
   }
 
-  update(deltaTime) {
+  // speedMultiplier comes from DifficultyCurveSystem (1.0 when omitted), speedScale from PowerUpSystem slowMo
+  update(deltaTime, speedMultiplier = 1.0, speedScale = 1.0) {
+    // Ramp toward the difficulty target instead of jumping
+    this.targetSpeed = this.baseSpeed * speedMultiplier;
+    const maxChange = this.maxAcceleration * deltaTime;
+    this.cruiseSpeed += Math.max(-maxChange, Math.min(maxChange, this.targetSpeed - this.cruiseSpeed));
+
+    // Slow-mo is much quicker than the difficulty ramp, or a short power-up would barely show
+    const maxScaleChange = this.scaleRate * deltaTime;
+    this.speedScale += Math.max(-maxScaleChange, Math.min(maxScaleChange, speedScale - this.speedScale));
+    this.speed = this.cruiseSpeed * this.speedScale;
+
     // World scrolls backward, so baseDeltaZ is negative
     this.baseDeltaZ = -this.speed * deltaTime;
 
@@ -3248,7 +3981,7 @@ class WorldAxisSystem {
     if (window.DebugConfig && window.DebugConfig.ENABLE_WORLD_SCROLL_LOGS) {
       this.worldScrollLogTimer += deltaTime;
       if (this.worldScrollLogTimer >= 0.5) {
-        logger.info('[WorldAxis] baseDeltaZ:', this.baseDeltaZ.toFixed(2));
+        logger.info('[WorldAxis] baseDeltaZ:', this.baseDeltaZ.toFixed(2), 'speed:', this.speed.toFixed(2));
         this.worldScrollLogTimer = 0;
       }
     }
@@ -3258,15 +3991,30 @@ class WorldAxisSystem {
     return this.baseDeltaZ;
   }
 
+  // Current forward speed in units per second
+  getSpeed() {
+    return this.speed;
+  }
+
+  // Forward speed without slow-mo (what the world returns to)
+  getCruiseSpeed() {
+    return this.cruiseSpeed;
+  }
+
   reset() {
+    this.speed = this.baseSpeed;
+    this.cruiseSpeed = this.baseSpeed;
+    this.targetSpeed = this.baseSpeed;
+    this.speedScale = 1.0;
     this.baseDeltaZ = 0;
   }
 }
 
 // SkySystem class - parallax cloud layer visual system
 class SkySystem {
-  constructor(world) {
+  constructor(world, random) {
     this.world = world;
+    this.random = random; // Forked stream - never advances the gameplay sequence
     this.cloudGroup = null;
     this.clouds = [];
     this.cloudCount = 20; // Number of clouds
@@ -3313,36 +4061,36 @@ class SkySystem {
     const cloudGroup = new THREE.Group();
 
     // Create 3-5 spheres per cloud for fluffy look
-    const sphereCount = 3 + Math.floor(Math.random() * 3);
-    const cloudGeometry = new THREE.SphereGeometry(8 + Math.random() * 4, 8, 6);
+    const sphereCount = 3 + Math.floor(this.random.next() * 3);
+    const cloudGeometry = new THREE.SphereGeometry(8 + this.random.next() * 4, 8, 6);
     const cloudMaterial = new THREE.MeshLambertMaterial({
-      color: 0xffffff - Math.floor(Math.random() * 0x222222), // Vary white shades
+      color: 0xffffff - Math.floor(this.random.next() * 0x222222), // Vary white shades
     transparent: true,
-      opacity: 0.7 + Math.random() * 0.3
+      opacity: 0.7 + this.random.next() * 0.3
     });
 
     for (let i = 0; i < sphereCount; i++) {
       const sphere = new THREE.Mesh(cloudGeometry, cloudMaterial);
       sphere.position.set(
-        (Math.random() - 0.5) * 20, // Spread horizontally
-        (Math.random() - 0.5) * 10, // Spread vertically
-        (Math.random() - 0.5) * 20  // Spread depth
+        (this.random.next() - 0.5) * 20, // Spread horizontally
+        (this.random.next() - 0.5) * 10, // Spread vertically
+        (this.random.next() - 0.5) * 20  // Spread depth
       );
-      sphere.scale.setScalar(0.8 + Math.random() * 0.4); // Vary sizes
+      sphere.scale.setScalar(0.8 + this.random.next() * 0.4); // Vary sizes
       cloudGroup.add(sphere);
     }
 
     // Position cloud in wide arc around the scene
     const angle = (Math.PI * 2 * this.clouds.length) / this.cloudCount;
-    const distance = 200 + Math.random() * 300; // Vary distance from center
-    const height = 20 + Math.random() * 40; // Vary height
+    const distance = 200 + this.random.next() * 300; // Vary distance from center
+    const height = 20 + this.random.next() * 40; // Vary height
 
     // Position cloud using layout rules (SKY_FAR zone)
     if (this.worldLayout) {
       const zone = this.worldLayout.getSystemZone('SkySystem');
       if (zone) {
         // Use SKY_FAR yRange for height variation
-        height = zone.yRange[0] + Math.random() * (zone.yRange[1] - zone.yRange[0]);
+        height = zone.yRange[0] + this.random.next() * (zone.yRange[1] - zone.yRange[0]);
       }
     }
 
@@ -3606,9 +4354,11 @@ class PlaneEntity {
 
 // PlaneController - input to intent only
 class PlaneController {
-  constructor() {
+  constructor(laneSystem) {
+    this.laneSystem = laneSystem; // Pointer X snaps to the nearest lane
     this.verticalRange = 60; // ±60 units from baseline
     this.rollRange = 0.3; // ±0.3 radians
+    this.altitudeDeadband = 4; // Units - no climb/dive while this close to the pointer altitude
   }
 
   processInput(input) {
@@ -3623,6 +4373,30 @@ class PlaneController {
       targetRoll: targetRoll
     };
   }
+
+  // Pointer steering as an axis intent: step toward the lane under the pointer, climb/dive toward its altitude
+  // targetLaneIndex: lane already being flown to; currentY: player altitude
+  getPointerIntent(input, targetLaneIndex, currentY) {
+    const mouse = input.getMouse();
+    const { targetY } = this.processInput(input);
+
+    // Screen edges map to the outer lanes' outer edges
+    const laneCount = this.laneSystem.getLaneCount();
+    const halfWidth = (laneCount * this.laneSystem.laneWidth) / 2;
+    const pointerLane = this.laneSystem.getLaneIndexForX(mouse.x * halfWidth);
+
+    let vertical = 0;
+    if (targetY > currentY + this.altitudeDeadband) {
+      vertical = 1;
+    } else if (targetY < currentY - this.altitudeDeadband) {
+      vertical = -1;
+    }
+
+    return {
+      horizontal: Math.sign(pointerLane - targetLaneIndex),
+      vertical: vertical
+    };
+  }
 }
 
 // PlaneView - visuals only
@@ -3731,6 +4505,12 @@ class EndlessMode {
     this.hasInitialized = false;
     this.hasStarted = false;
 
+    // Headless runs skip every DOM/WebGL/presentation system
+    this.headless = false;
+
+    // Simulation clock (ms) - advanced by update(), drives phase timing
+    this.simulationTime = 0;
+
     // Logging guards
     this.lastDistanceLog = null;
     this.debugLogTimer = 0;
@@ -3745,9 +4525,11 @@ class EndlessMode {
 
     // Components
     this.planeController = null;
+    this.controlScheme = 'keyboard';
     this.playerEntity = null;
     this.playerController = null;
     this.playerMovementPipeline = null;
+    this.laneInputBufferSystem = null;
     this.laneDebugVisualSystem = null;
     this.groundSegmentSystem = null;
     this.skySystem = null;
@@ -3766,25 +4548,39 @@ class EndlessMode {
     this.laneController = null;
     this.spawnBandSystem = null;
     this.entityRegistrySystem = null;
-    this.collisionIntentSystem = null;
-    this.spawnSystem = null;
+    this.collisionSystem = null;
+    this.spawnChunkLibrary = null;
+    this.coinFormationSystem = null;
+    this.powerUpSystem = null;
+    this.spawnDirectorSystem = null;
     this.collisionConsumptionSystem = null;
     this.scoreSystem = null;
-    this.presentationSystem = null;
+    this.hudPresentationSystem = null;
     this.audioPresentationSystem = null;
     this.vfxPresentationSystem = null;
     this.debugWorldOverlaySystem = null;
     this.laneVisualGuideSystem = null;
-    this.laneEntitySpawnSystem = null;
     this.laneEntityVisualSystem = null;
-    this.laneEntityApproachSystem = null;
+    this.renderInterpolationSystem = null;
+    this.gameOverScreenSystem = null;
+    this.runRecorder = null;
+    this.playback = null;
   }
 
-  init(gameState, world, input, cameraRig, viewProfileSystem) {
+  init(gameState, world, input, cameraRig, viewProfileSystem, options = {}) {
     // Lifecycle guard: init must run only once
     console.assert(!this.hasInitialized, '[EndlessMode] ERROR: init() called multiple times');
     this.hasInitialized = true;
 
+    this.headless = !!options.headless;
+
+    // Replays carry their own seed and replace live input
+    this.playback = options.playback || null;
+
+    // Single seedable random source - every spawner draws from it so a seed reproduces a run
+    this.random = new window.SeededRandom(this.playback ? this.playback.getSeed() : options.seed); // Fresh seed when none is given
+    logger.info(`[EndlessMode] Run seed: ${this.random.getSeed()}`);
+
     // Store dependencies - no side effects
     this.gameState = gameState;
     this.world = world;
@@ -3809,18 +4605,29 @@ class EndlessMode {
 
     // ===== LANE AND INPUT SYSTEMS ===== (gameplay logic)
     this.laneSystem = new LaneSystem(3, 40); // Discrete lane positions
-    this.playerIntentSystem = new PlayerIntentSystem(); // Mouse → semantic intents
+    this.playerIntentSystem = new PlayerIntentSystem(); // Input → semantic intents
+    this.planeController = new PlaneController(this.laneSystem); // Pointer → lane/altitude intents (pointer scheme)
+    if (this.playback) {
+      this.playerIntentSystem.setIntentSource(this.playback); // Recorded intents instead of Input
+    } else {
+      this.runRecorder = new window.RunRecorder(this.random.getSeed()); // Per-frame intent recording
+    }
     this.playerActionStateSystem = new PlayerActionStateSystem(); // Cooldowns and state gating
+    this.laneInputBufferSystem = new window.LaneInputBufferSystem(options.laneInput); // Edge-triggered, buffered lane presses
     this.laneController = new LaneController(this.laneSystem); // Intent → lane target
 
     // ===== VISUAL-ONLY SYSTEMS ===== (presentation layer, no gameplay logic)
-    const seaVisual = new SeaVisual(); // Sea visual with wave animation
-    this.groundSegmentSystem = new GroundSegmentSystem(world, seaVisual); // Segment management with sea visuals
-    this.skySystem = new SkySystem(world); // Parallax cloud layer
-    this.laneVisualGuideSystem = new LaneVisualGuideSystem(this.laneSystem, this.worldLayoutSystem, world, this.worldScrollerSystem); // Subtle lane guides
+    if (!this.headless) {
+      const seaVisual = new SeaVisual(); // Sea visual with wave animation
+      this.groundSegmentSystem = new GroundSegmentSystem(world, seaVisual); // Segment management with sea visuals
+      this.skySystem = new SkySystem(world, this.random.fork('sky')); // Parallax cloud layer
+      this.laneVisualGuideSystem = new LaneVisualGuideSystem(this.laneSystem, this.worldLayoutSystem, world, this.worldScrollerSystem); // Subtle lane guides
+    }
 
     // ===== ENTITY SYSTEMS ===== (gameplay logic)
-    const playerMesh = window.AirplaneFactory.createBasicAirplane(); // Create airplane mesh from legacy game
+    const playerMesh = this.headless
+      ? new THREE.Object3D() // Transform-only stand-in, never rendered
+      : window.AirplaneFactory.createBasicAirplane(); // Create airplane mesh from legacy game
     world.add(playerMesh); // Add to scene
     this.playerEntity = new window.PlayerEntity(playerMesh); // Pure visual entity
     this.playerController = new window.PlayerController(this.playerEntity, this.laneSystem); // Lane logic controller
@@ -3828,15 +4635,20 @@ class EndlessMode {
       this.playerIntentSystem,
       this.playerActionStateSystem,
       this.playerController,
-      this.playerEntity
+      this.playerEntity,
+      this.laneInputBufferSystem
     ); // Complete movement pipeline
-    this.laneDebugVisualSystem = new window.LaneDebugVisualSystem(
-      this.laneSystem,
-      this.playerMovementPipeline,
-      world
-    ); // Visual lane debugging
-    this.cameraRig.follow(this.playerEntity);
-    this.simpleObstacleSpawnSystem = new SimpleObstacleSpawnSystem(this.laneSystem, this.worldLayoutSystem, this.worldScrollerSystem, world); // Minimal obstacle spawning
+    this.setControlScheme(options.controlScheme || 'keyboard');
+    if (!this.headless) {
+      this.laneDebugVisualSystem = new window.LaneDebugVisualSystem(
+        this.laneSystem,
+        this.playerMovementPipeline,
+        world
+      ); // Visual lane debugging
+    }
+    if (this.cameraRig) {
+      this.cameraRig.follow(this.playerEntity);
+    }
 
     // ===== HEALTH AND DAMAGE SYSTEMS ===== (gameplay consequences)
     this.healthSystem = new HealthSystem(3); // Player lives (start with 3)
@@ -3846,47 +4658,71 @@ class EndlessMode {
     // ===== ENTITY AND SPAWN SYSTEMS ===== (gameplay logic)
     this.spawnBandSystem = new SpawnBandSystem(); // Spatial spawn zones (AHEAD_SPAWN, ACTIVE_WINDOW, etc.)
     this.entityRegistrySystem = new EntityRegistrySystem(); // Authoritative entity storage and cleanup
-    this.collisionIntentSystem = new CollisionIntentSystem(15); // Legacy plane-entity collision detection
-    this.spawnSystem = new SpawnSystem( // Legacy coin spawning system
-      this.spawnBandSystem,
-      this.entityRegistrySystem,
-      this.laneSystem,
-      50 // Spawn every 50 world units
-    );
+    this.collisionSystem = new window.BoundsCollisionSystem(this.laneSystem, options.collision); // Plane vs registry entity bounds, swept
     this.collisionConsumptionSystem = new CollisionConsumptionSystem(this.entityRegistrySystem); // Intent → domain event conversion
 
-    // ===== NEW LANE-BASED SYSTEMS ===== (modern lane-based gameplay)
-    this.laneObstacleCollisionSystem = new LaneObstacleCollisionSystem(10); // Player vs lane obstacle detection
-    this.obstacleSpawnSystem = new ObstacleSpawnSystem( // Lane obstacle spawning and management
-      this.distanceSystem,
-      this.difficultyCurveSystem,
+    // ===== HAZARD SPAWNING ===== (single owner of every obstacle, tuned by DifficultyCurveSystem)
+    // Built-in chunks first, then optional designer chunks (same id replaces a built-in)
+    this.spawnChunkLibrary = new window.SpawnChunkLibrary(this.laneSystem.getLaneCount()).load(window.SpawnChunks);
+    if (options.chunks) {
+      try {
+        this.spawnChunkLibrary.load(options.chunks);
+      } catch (error) {
+        logger.error(error.message);
+      }
+    }
+    this.coinFormationSystem = new window.CoinFormationSystem( // Coin lines, arcs, zig-zags and lane-hops around chunks
       this.laneSystem,
-      this.worldLayoutSystem,
-      this.worldScrollerSystem,
-      world
+      this.random,
+      { ...options.coinFormations, clearance: this.playerEntity.hitboxHalfExtents }
     );
-
-    // ===== DETERMINISTIC SINGLE OBSTACLE SYSTEM ===== (core gameplay loop)
-    this.singleObstacleSpawnerSystem = new window.SingleObstacleSpawnerSystem(
+    this.powerUpSystem = new window.PowerUpSystem( // Shield, magnet, double coins and slow-mo in chunk gaps
+      this.laneSystem,
+      this.random,
+      { ...options.powerUps, clearance: this.playerEntity.hitboxHalfExtents }
+    );
+    this.spawnDirectorSystem = new window.SpawnDirectorSystem(
       this.entityRegistrySystem,
+      this.difficultyCurveSystem,
+      this.distanceSystem,
       this.laneSystem,
-      this.worldScrollerSystem,
+      this.worldLayoutSystem,
       this.spawnBandSystem,
-      world
-    ); // Deterministic single obstacle spawning
+      world,
+      this.random,
+      this.spawnChunkLibrary,
+      window.LayoutSolvabilityValidator.fromPlayer( // Every spawned layout keeps a reachable path
+        this.laneSystem,
+        this.playerActionStateSystem,
+        this.playerEntity,
+        this.playerController,
+        this.worldLayoutSystem.getZone('MID_AIR').yBaseline,
+        FIXED_TIMESTEP
+      ),
+      this.coinFormationSystem,
+      this.powerUpSystem
+    );
 
     // ===== PRESENTATION-ONLY SYSTEMS ===== (no gameplay logic, pure visuals/audio)
-    this.scoreSystem = new ScoreSystem(); // Authoritative scoring state
-    this.presentationSystem = new PresentationSystem(); // DOM updates for UI
-    this.audioPresentationSystem = new AudioPresentationSystem(); // Sound effects
-    this.vfxPresentationSystem = new VFXPresentationSystem(world); // Particle effects
-    this.debugWorldOverlaySystem = new DebugWorldOverlaySystem( // Debug info overlay
-      this.viewProfileSystem,
-      this.distanceSystem,
-      this.worldScrollerSystem,
-      this.playerEntity, // Updated to use playerEntity instead of playerProxy
-      this.playerActionStateSystem
-    );
+    this.scoreSystem = new ScoreSystem(this.powerUpSystem, options.scoring); // Authoritative scoring state (doubleCoins applies here)
+    if (!this.headless) {
+      this.hudPresentationSystem = new HudPresentationSystem(); // Distance, level ring, lives and coins HUD
+      this.gameOverScreenSystem = new GameOverScreenSystem(() => this.restart(), this.input); // Game-over message + restart input
+      this.audioPresentationSystem = new AudioPresentationSystem( // Sound effects, lane panning and approach cues
+        this.random.fork('audio'),
+        this.playerMovementPipeline,
+        this.entityRegistrySystem,
+        this.input.actionMap
+      );
+      this.vfxPresentationSystem = new VFXPresentationSystem(world, this.random.fork('vfx')); // Particle effects
+      this.debugWorldOverlaySystem = new DebugWorldOverlaySystem( // Debug info overlay
+        this.viewProfileSystem,
+        this.distanceSystem,
+        this.worldScrollerSystem,
+        this.playerEntity, // Updated to use playerEntity instead of playerProxy
+        this.playerActionStateSystem
+      );
+    }
 
     // ===== VISUAL COORDINATION SYSTEMS ===== (presentation-only, coordinate visuals)
     this.playerVerticalConstraintSystem = new PlayerVerticalConstraintSystem( // Y position constraints
@@ -3900,66 +4736,50 @@ class EndlessMode {
       this.playerEntity
     );
 
-    // Create lane entity spawn system - gameplay entity spawning
-    this.laneEntitySpawnSystem = new LaneEntitySpawnSystem(
-      this.laneSystem,
-      this.worldLayoutSystem,
-      this.difficultyCurveSystem,
-      this.entityRegistrySystem,
-      world,
-      this.distanceSystem
-    );
-
-    // Create obstacle spawn system - manages lane-based obstacles
-    this.obstacleSpawnSystem = new ObstacleSpawnSystem(
-      this.distanceSystem,
-      this.difficultyCurveSystem,
-      this.laneSystem,
-      this.worldLayoutSystem,
-      this.worldScrollerSystem,
-      world
-    );
-
     // Create lane entity visual system - presentation-only visual management
-    this.laneEntityVisualSystem = new LaneEntityVisualSystem(
-      this.entityRegistrySystem,
-      this.laneSystem,
-      this.worldLayoutSystem,
-      world
-    );
+    if (!this.headless) {
+      this.laneEntityVisualSystem = new LaneEntityVisualSystem(
+        this.entityRegistrySystem,
+        this.laneSystem,
+        this.worldLayoutSystem,
+        world
+      );
+    }
 
-    // Create lane entity approach system - presentation-only approach effect
-    this.laneEntityApproachSystem = new LaneEntityApproachSystem(
-      this.entityRegistrySystem,
-      this.distanceSystem,
-      this.worldLayoutSystem,
-      this.laneEntityVisualSystem
-    );
+    // Create render interpolation system - smooths meshes between fixed steps
+    if (!this.headless) {
+      this.renderInterpolationSystem = new RenderInterpolationSystem();
+    }
 
-    logger.info('[EndlessMode] Initialized - objects created, ready for start()');
+    logger.info(`[EndlessMode] Initialized${this.headless ? ' (headless)' : ''} - objects created, ready for start()`);
     logger.info('[WorldAxis] Z-axis locked - forward motion illusion established');
   }
 
   start() {
     // Initialize game phase timing
+    this.simulationTime = 0;
     this.currentPhase = GAME_PHASES.GRACE;
-    this.phaseStartTime = performance.now();
+    this.phaseStartTime = this.simulationTime;
 
     // Safety fallback: ensure window focus for keyboard input
-    window.focus();
+    if (!this.headless) {
+      window.focus();
+    }
 
-    // Defensive guard: check for null systems
-    for (const key in this) {
-      if (this[key] === null && key.includes('System')) {
-        logger.warn('[EndlessMode] Null system detected:', key);
+    // Defensive guard: check for null systems (presentation systems are absent by design when headless)
+    if (!this.headless) {
+      for (const key in this) {
+        if (this[key] === null && key.includes('System')) {
+          logger.warn('[EndlessMode] Null system detected:', key);
+        }
       }
-    }
 
-    // Defensive assertion: LaneVisualGuideSystem must exist before start
-    console.assert(
-      this.laneVisualGuideSystem,
-      '[EndlessMode] LaneVisualGuideSystem missing before start()'
-    );
+      // Defensive assertion: LaneVisualGuideSystem must exist before start
+      console.assert(
+        this.laneVisualGuideSystem,
+        '[EndlessMode] LaneVisualGuideSystem missing before start()'
+      );
+    }
 
     // Lifecycle guard: start must not run twice without destroy
     console.assert(!this.hasStarted || !this.isActive, '[EndlessMode] ERROR: start() called twice without destroy()');
@@ -3970,16 +4790,25 @@ class EndlessMode {
     this.isPaused = false;
 
     // Safety guard: warn if lane visual guide system is missing (last resort)
-    if (!this.laneVisualGuideSystem) {
+    if (!this.laneVisualGuideSystem && !this.headless) {
       logger.warn('[EndlessMode] LaneVisualGuideSystem missing at start — skipping visuals');
     }
 
 
     // Initialize ground segment system
-    this.groundSegmentSystem.init();
+    if (this.groundSegmentSystem) {
+      this.groundSegmentSystem.init();
+    }
 
     // Initialize sky system
-    this.skySystem.init();
+    if (this.skySystem) {
+      this.skySystem.init();
+    }
+
+    // Engine and ocean loops run for the life of the mode (silenced while paused)
+    if (this.audioPresentationSystem) {
+      this.audioPresentationSystem.startSoundscape();
+    }
 
 
     // Register systems with world layout zones
@@ -3990,8 +4819,8 @@ class EndlessMode {
     // Reset world axis system
     this.worldAxisSystem.reset();
 
-    // Reset single obstacle spawner for fresh game
-    this.singleObstacleSpawnerSystem.reset();
+    // Reset hazard spawning for fresh game
+    this.spawnDirectorSystem.reset();
 
     // Initialize lane controller to middle lane
     this.laneController.setCurrentLane(1); // Middle lane for 3-lane setup
@@ -4000,16 +4829,20 @@ class EndlessMode {
     this.viewProfileSystem.setProfile(VIEW_PROFILES.SIDE_SCROLLER);
     logger.info('[EndlessMode] View profile forced to SIDE_SCROLLER');
 
-    // Add debug coordinate axes
-    const axesHelper = new THREE.AxesHelper(200);
-    this.world.add(axesHelper);
-    logger.info('[EndlessMode] Debug coordinate axes added (X=red, Y=green, Z=blue)');
+    if (!this.headless) {
+      // Add debug coordinate axes
+      const axesHelper = new THREE.AxesHelper(200);
+      this.world.add(axesHelper);
+      logger.info('[EndlessMode] Debug coordinate axes added (X=red, Y=green, Z=blue)');
 
-    // Create debug overlay
-    this.createDebugOverlay();
+      // Create debug overlay
+      this.createDebugOverlay();
+    }
 
     // Start camera following PlayerProxy
-    this.cameraRig.follow(this.playerEntity);
+    if (this.cameraRig) {
+      this.cameraRig.follow(this.playerEntity);
+    }
 
     logger.info('[EndlessMode] Started - input active, state reset');
   }
@@ -4043,7 +4876,7 @@ class EndlessMode {
     const skyZ = this.worldScrollerSystem.getZoneZ('SKY_FAR');
 
     // Get obstacle info
-    const obstacle = this.singleObstacleSpawnerSystem.getObstacle();
+    const obstacle = this.spawnDirectorSystem.getNearestHazard();
     const obstacleInfo = obstacle ?
       `Lane: ${obstacle.laneIndex}, Z: ${obstacle.z.toFixed(1)}, Y: ${obstacle.y.toFixed(1)}` :
       'None';
@@ -4055,16 +4888,17 @@ class EndlessMode {
       'None';
 
     // Get phase timing
-    const phaseElapsed = this.getPhaseElapsedTime(performance.now()) / 1000;
+    const phaseElapsed = this.getPhaseElapsedTime(this.simulationTime) / 1000;
     const worldProgress = this.spawnBandSystem.getWorldProgress();
 
     this.debugOverlay.innerHTML = `
       <strong>Player:</strong><br>
       Lane: ${this.playerMovementPipeline.getCurrentLane()} → ${this.playerMovementPipeline.getTargetLane()}<br>
       X: ${playerPos.x.toFixed(1)}, Y: ${playerPos.y.toFixed(1)}<br>
-      Intent: ${intentInfo}<br>
+      Intent: ${intentInfo} (queued: ${this.laneInputBufferSystem.getQueuedCount()})<br>
       <strong>World:</strong><br>
       Ground Z: ${groundZ.toFixed(1)}<br>
+      Speed: ${this.worldAxisSystem.getSpeed().toFixed(1)}<br>
       Progress: ${worldProgress.toFixed(0)}<br>
       <strong>Game:</strong><br>
       Phase: ${this.currentPhase}<br>
@@ -4074,7 +4908,51 @@ class EndlessMode {
     `;
   }
 
+  // One fixed simulation step - interpolation history wraps the simulation
   update(deltaTime) {
+    if (this.renderInterpolationSystem) this.renderInterpolationSystem.beginStep();
+
+    this.simulateStep(deltaTime);
+
+    if (this.renderInterpolationSystem && this.isActive) {
+      this.renderInterpolationSystem.endStep(this.collectInterpolatedObjects());
+    }
+  }
+
+  // Render-rate work: blend meshes between steps, then follow the blended plane
+  render(alpha) {
+    if (!this.isActive) return;
+
+    if (this.renderInterpolationSystem) this.renderInterpolationSystem.interpolate(alpha);
+
+    // g) this.cameraRig.update()
+    if (this.cameraRig) {
+      this.cameraRig.update(this.playerEntity.getMesh().position);
+
+      // TEMP CAMERA SAFETY: Force lookAt after camera update
+      this.world.camera.lookAt(0, 0, 0);
+    }
+  }
+
+  // Every scene object whose position the simulation moves each step
+  collectInterpolatedObjects() {
+    const objects = [this.playerEntity.getMesh()];
+
+    for (const entity of this.entityRegistrySystem.getAll()) {
+      if (entity.mesh) objects.push(entity.mesh);
+    }
+    if (this.laneEntityVisualSystem) {
+      for (const visualData of this.laneEntityVisualSystem.visualEntities.values()) {
+        objects.push(visualData.mesh);
+      }
+    }
+    if (this.groundSegmentSystem) objects.push(...this.groundSegmentSystem.meshes);
+    if (this.skySystem && this.skySystem.cloudGroup) objects.push(this.skySystem.cloudGroup);
+
+    return objects;
+  }
+
+  simulateStep(deltaTime) {
     // Mental model assertions (NON NEGOTIABLE)
     const playerPosition = this.playerEntity.getPosition();
     if (playerPosition.z !== 0) {
@@ -4090,30 +4968,55 @@ class EndlessMode {
     if (this.isPaused) return;
     if (!this.playerEntity || !this.input || !this.worldAxisSystem || !this.worldScrollerSystem) return;
 
+    // Advance simulation clock (phase timing never reads the wall clock)
+    this.simulationTime += deltaTime * 1000;
+
     // Update game phases based on current state and time
     this.updateGamePhases(deltaTime);
 
     // Check for game over - transition to GAME_OVER phase
     if (this.healthSystem.isDead()) {
       if (!this.isInPhase(GAME_PHASES.GAME_OVER)) {
-        this.setPhase(GAME_PHASES.GAME_OVER, performance.now());
+        this.setPhase(GAME_PHASES.GAME_OVER, this.simulationTime);
         if (DebugConfig.ENABLE_FRAME_LOGS) {
           logger.info('[EndlessMode] Player died - entering GAME_OVER phase');
         }
       }
     }
 
+    // Game-over screen tracks the phase (shown, armed for restart after a short delay)
+    if (this.gameOverScreenSystem) {
+      this.gameOverScreenSystem.update(
+        this.isInPhase(GAME_PHASES.GAME_OVER),
+        this.getPhaseElapsedTime(this.simulationTime),
+        this.scoreSystem.getScoreState()
+      );
+    }
+
     // In GAME_OVER phase, disable input and skip most gameplay logic
     if (this.isInPhase(GAME_PHASES.GAME_OVER)) {
+      // Game-over steps are still simulated steps: recorded with a neutral intent and consumed from a playback,
+      // or a replayed fatal run would stop before the step that enters GAME_OVER
+      if (this.runRecorder) {
+        this.runRecorder.record(deltaTime, null);
+      }
+      if (this.playback) {
+        this.playback.nextIntent();
+      }
+
       // Still allow presentation systems to run (for UI updates)
-      this.presentationSystem.update(this.scoreSystem, []);
-      this.audioPresentationSystem.update([]);
-      this.vfxPresentationSystem.update([]);
+      if (this.hudPresentationSystem) this.hudPresentationSystem.update(this.getHudState());
+      if (this.audioPresentationSystem) this.audioPresentationSystem.update([], this.getAudioState());
+      if (this.vfxPresentationSystem) this.vfxPresentationSystem.update([], this.getPowerUpState());
       return;
     }
 
-    // 1. Advance world axis (THIS WAS MISSING)
-    this.worldAxisSystem.update(deltaTime);
+    // 1. Advance world axis - the one forward speed, ramped toward the difficulty curve
+    this.worldAxisSystem.update(
+      deltaTime,
+      this.difficultyCurveSystem.getDifficultyState().speedMultiplier,
+      this.powerUpSystem.getSpeedScale()
+    );
 
     // 2. Scroll the world using axis delta
     this.worldScrollerSystem.update(deltaTime);
@@ -4122,39 +5025,36 @@ class EndlessMode {
     const groundZ = this.worldScrollerSystem.getZoneZ('GROUND_PLANE');
 
     // 4. Apply movement to visuals (WorldScrollConsumer pattern)
-    this.groundSegmentSystem.updateScroll(groundZ);
+    if (this.groundSegmentSystem) this.groundSegmentSystem.updateScroll(groundZ);
     // Clouds use same groundZ with multiplier (same direction, slower speed)
-    this.skySystem.updateScroll(groundZ);
+    if (this.skySystem) this.skySystem.updateScroll(groundZ);
 
     // Execute complete player movement pipeline (disabled in GAME_OVER phase)
     if (!this.isInPhase(GAME_PHASES.GAME_OVER)) {
     this.playerMovementPipeline.update(this.input, deltaTime);
-    }
-
-    // g) this.cameraRig.update()
-    this.cameraRig.update();
 
-    // TEMP CAMERA SAFETY: Force lookAt after camera update
-    this.world.camera.lookAt(0, 0, 0);
+      // Record the intent this frame produced (replayable with the run seed)
+      if (this.runRecorder) {
+        this.runRecorder.record(deltaTime, this.playerIntentSystem.getCurrentIntent());
+      }
+    }
 
     // Update debug overlay
     this.updateDebugOverlay();
 
     // Update lane debug visualization
-    this.laneDebugVisualSystem.update(deltaTime);
+    if (this.laneDebugVisualSystem) this.laneDebugVisualSystem.update(deltaTime);
 
     // PlayerMovementPipelineSystem handles all input processing now
     this.playerIntentSystem.clear();
 
 
-    // 4. World axis system updates (DistanceSystem first)
-    this.worldAxisSystem.update(deltaTime);
-
-    // 5. World scroller system updates immediately after (single source of forward motion)
-    this.worldScrollerSystem.update(deltaTime);
+    // 5. Distance system accumulates the same forward motion the world scrolled by
+    // (hazards and coins close in by distance, so everything shares the world axis speed)
+    this.distanceSystem.update(deltaTime, this.worldAxisSystem.getSpeed(), this.worldAxisSystem.getCruiseSpeed());
 
     // 5.5. Difficulty curve system updates (centralized difficulty progression)
-    const currentDistance = this.distanceSystem.getDistance();
+    const currentDistance = this.distanceSystem.getDistanceTravelled();
     this.difficultyCurveSystem.update(currentDistance);
 
     // Log distance every ~500 units (skip initial 0)
@@ -4174,65 +5074,46 @@ class EndlessMode {
     // Player is always at Z=0, so pass current world scroll offset
     this.spawnBandSystem.update(deltaTime, 0);
 
-    // 7. Entity registry system updates (manages all world entities)
+    // 7. Spawn director advances hazards and spawns new ones
+    // Only spawn during PLAYING phase (not during GRACE or HIT_RECOVERY)
+    this.spawnDirectorSystem.update(this.isInPhase(GAME_PHASES.PLAYING), this.getPlayerLaneState(), this.getSpeedRamp());
+
+    // 8. Entity registry system updates (manages all world entities)
     this.entityRegistrySystem.update(deltaTime);
     this.entityRegistrySystem.cleanup(this.spawnBandSystem);
 
-    // 8. Spawn system updates (rule-driven world population)
-    this.spawnSystem.update();
-
-    // 8.5. Lane entity spawn system updates (difficulty-scaled lane spawning)
-    this.laneEntitySpawnSystem.update(performance.now());
-
-    // 8.6. Obstacle spawn system updates (lane-based obstacle spawning)
-    this.obstacleSpawnSystem.update();
-
-    // 8.7. Single obstacle spawner system updates (deterministic single obstacle)
-    // Only spawn during PLAYING phase (not during GRACE or HIT_RECOVERY)
-    if (this.isInPhase(GAME_PHASES.PLAYING)) {
-      // Check if previously spawned obstacle has been recycled (BEHIND_CLEANUP)
-      this.singleObstacleSpawnerSystem.checkObstacleRecycled(this.spawnBandSystem);
-
-      // Spawn new obstacle if none exists
-      if (!this.singleObstacleSpawnerSystem.hasSpawned) {
-        this.singleObstacleSpawnerSystem.spawnObstacle();
-      }
-    }
+    // 8.5. Power-up timers run down and the magnet pulls coins (before collision tests them)
+    this.powerUpSystem.update(deltaTime, this.playerEntity, this.entityRegistrySystem);
 
-    // 9. Lane obstacle collision system detects player vs obstacle collisions (PLAYING phase only)
-    let obstacleCollisionEvents = [];
+    // 9. Bounds collision system - the single collision path for hazards and pickups (PLAYING phase only)
     let collisionIntents = [];
-
     if (this.isInPhase(GAME_PHASES.PLAYING)) {
-    const activeObstacles = this.obstacleSpawnSystem.getActiveObstacles();
-      obstacleCollisionEvents = this.laneObstacleCollisionSystem.process(this.playerEntity, activeObstacles);
-
-    // 10. Collision intent system processes (deterministic collision detection)
-      collisionIntents = this.collisionIntentSystem.process(this.playerEntity, this.entityRegistrySystem, this.spawnBandSystem, this.playerMovementPipeline, deltaTime);
+      collisionIntents = this.collisionSystem.process(this.playerEntity, this.entityRegistrySystem, this.spawnBandSystem, deltaTime);
+    } else {
+      this.collisionSystem.skip(this.playerEntity, this.entityRegistrySystem, this.spawnBandSystem);
     }
 
-    // 11. Collision consumption system processes intents into domain events
-    const entityCollisionEvents = this.collisionConsumptionSystem.process(collisionIntents);
-
-    // 11.5. Handle single obstacle collisions (only in PLAYING phase)
-    const singleObstacleCollisionEvents = this.isInPhase(GAME_PHASES.PLAYING)
-      ? this.processSingleObstacleCollisions(collisionIntents)
-      : [];
+    // 10. Collision consumption system turns intents into domain events (and removes hit entities)
+    // 10.5. Power-ups start from their pickups, and a shield turns a COLLISION into SHIELD_ABSORBED
+    // before score, damage and impact see it
+    const domainEvents = this.powerUpSystem.process(this.collisionConsumptionSystem.process(collisionIntents));
 
-    // 12. Merge all collision domain events
-    const domainEvents = [...obstacleCollisionEvents, ...entityCollisionEvents, ...singleObstacleCollisionEvents];
+    // 11. Score system consumes domain events and this step's distance, its SCORE_BONUS events join the step's
+    // events for presentation
+    this.scoreSystem.consume(domainEvents, this.distanceSystem.getDelta());
+    domainEvents.push(...this.scoreSystem.getBonusEvents());
 
-    // 11. Score system consumes domain events and updates score state
-    this.scoreSystem.consume(domainEvents);
-
-    // 12. Obstacle spawn system processes collision events to remove collided obstacles
-    this.obstacleSpawnSystem.processCollisionEvents(domainEvents);
+    // 12. Collision damage system processes domain events into health damage
+    // (before impact - damage is skipped while stunned, and impact applies the stun)
+    this.collisionDamageSystem.process(domainEvents, this.playerActionStateSystem);
 
     // 13. Collision impact system processes domain events into player consequences
     this.collisionImpactSystem.process(domainEvents);
 
-    // 13. Collision damage system processes domain events into health damage
-    this.collisionDamageSystem.process(domainEvents, this.playerActionStateSystem);
+    // 13.5. A survived hit starts HIT_RECOVERY (no collisions or spawns until it ends)
+    if (!this.healthSystem.isDead() && domainEvents.some(event => event.type === 'COLLISION')) {
+      this.setPhase(GAME_PHASES.HIT_RECOVERY, this.simulationTime);
+    }
 
     // Check for player death and handle game over
     if (this.healthSystem.isDead() && this.gameState.status !== 'GAME_OVER') {
@@ -4240,38 +5121,20 @@ class EndlessMode {
       logger.info('[Game] GAME OVER - Player has died');
     }
 
-    // 14. Presentation system observes score and domain events for DOM updates
-    this.presentationSystem.update(this.scoreSystem, domainEvents);
+    // 14. HUD observes distance, difficulty, health and score (DOM written only on change)
+    if (this.hudPresentationSystem) this.hudPresentationSystem.update(this.getHudState());
 
     // 15. Audio presentation system observes domain events for sound feedback
-    this.audioPresentationSystem.update(domainEvents);
+    if (this.audioPresentationSystem) this.audioPresentationSystem.update(domainEvents, this.getAudioState());
 
     // 16. VFX presentation system observes domain events for visual effects
-    this.vfxPresentationSystem.update(domainEvents);
-
-    // 17. Lane entity approach system creates visual approach effect
-    this.laneEntityApproachSystem.update();
+    if (this.vfxPresentationSystem) this.vfxPresentationSystem.update(domainEvents, this.getPowerUpState());
 
     // 18. Lane entity visual system manages visuals for lane entities
-    this.laneEntityVisualSystem.update();
+    if (this.laneEntityVisualSystem) this.laneEntityVisualSystem.update();
 
     // 19. Debug world overlay system displays real-time engine state
-    this.debugWorldOverlaySystem.update(deltaTime);
-
-    // 17.6. Collision detection (temporary logging only)
-    const playerPos = this.playerEntity.getPosition();
-    const obstacles = this.simpleObstacleSpawnSystem.getActiveObstacles();
-    const laneWidth = this.laneSystem.laneWidth / 2; // Half lane width for collision
-
-    for (const obstacle of obstacles) {
-      const obstaclePos = obstacle.getPosition();
-      const zDistance = Math.abs(playerPos.z - obstaclePos.z);
-      const xDistance = Math.abs(playerPos.x - obstaclePos.x);
-
-      if (zDistance < 20 && xDistance < laneWidth) {
-        logger.info('[COLLISION] obstacle hit');
-      }
-    }
+    if (this.debugWorldOverlaySystem) this.debugWorldOverlaySystem.update(deltaTime);
 
     // 19. Player vertical constraint system enforces Y positioning for camera framing
     this.playerVerticalConstraintSystem.update(deltaTime);
@@ -4286,15 +5149,15 @@ class EndlessMode {
     this.debugLogTimer += deltaTime;
     if (this.debugLogTimer >= 1.0) {
       const playerPos = this.playerEntity.getPosition();
-      const obstacles = this.simpleObstacleSpawnSystem.getActiveObstacles();
-      const firstObstacleZ = obstacles.length > 0 ? obstacles[0].getPosition().z.toFixed(1) : 'none';
+      const nearestHazard = this.spawnDirectorSystem.getNearestHazard();
+      const firstObstacleZ = nearestHazard ? nearestHazard.z.toFixed(1) : 'none';
 
-      logger.info(`[DEBUG] player lane: ${this.playerEntity.laneIndex}, x: ${playerPos.x.toFixed(1)}, first obstacle z: ${firstObstacleZ}`);
+      logger.info(`[DEBUG] player lane: ${this.playerMovementPipeline.getCurrentLane()}, x: ${playerPos.x.toFixed(1)}, first obstacle z: ${firstObstacleZ}`);
       this.debugLogTimer = 0;
     }
 
     // 19. Clear collision intents and domain events for next frame
-    this.collisionIntentSystem.clear();
+    this.collisionSystem.clear();
     this.collisionConsumptionSystem.clear();
 
     // Update game time
@@ -4304,6 +5167,7 @@ class EndlessMode {
   pause() {
     // Stop updates without mutating state
     this.isPaused = true;
+    if (this.audioPresentationSystem) this.audioPresentationSystem.stopSoundscape();
     if (DebugConfig.ENABLE_FRAME_LOGS) {
     logger.info('[EndlessMode] Paused - updates stopped');
     }
@@ -4312,6 +5176,7 @@ class EndlessMode {
   resume() {
     // Continue updates
     this.isPaused = false;
+    if (this.audioPresentationSystem) this.audioPresentationSystem.startSoundscape();
     if (DebugConfig.ENABLE_FRAME_LOGS) {
     logger.info('[EndlessMode] Resumed - updates continued');
     }
@@ -4330,6 +5195,25 @@ class EndlessMode {
       this.cameraRig.clear();
     }
 
+    if (this.renderInterpolationSystem) {
+      this.renderInterpolationSystem.clear();
+    }
+
+    if (this.gameOverScreenSystem) {
+      this.gameOverScreenSystem.destroy();
+      this.gameOverScreenSystem = null;
+    }
+
+    if (this.hudPresentationSystem) {
+      this.hudPresentationSystem.cleanup();
+      this.hudPresentationSystem = null;
+    }
+
+    if (this.audioPresentationSystem) {
+      this.audioPresentationSystem.cleanup();
+      this.audioPresentationSystem = null;
+    }
+
     // Clean up all references and remove from world
 
     if (this.groundSegmentSystem) {
@@ -4366,6 +5250,71 @@ class EndlessMode {
     logger.info('[EndlessMode] Destroyed - all references cleared, ready for re-init');
   }
 
+  // Start a fresh run in place: every system back to its initial state, phase back to GRACE
+  // The next run's seed derives from the current one, so a ?seed= session stays reproducible
+  restart() {
+    if (!this.isActive) return;
+
+    this.random.reseed(this.random.fork('restart').getSeed());
+    logger.info(`[EndlessMode] Run seed: ${this.random.getSeed()}`);
+
+    // Playback only covers the recorded run - the restarted run is live and recorded
+    if (this.playback) {
+      this.playback = null;
+      this.playerIntentSystem.setIntentSource(null);
+    }
+    if (this.runRecorder) {
+      this.runRecorder.reset(this.random.getSeed());
+    } else {
+      this.runRecorder = new window.RunRecorder(this.random.getSeed());
+    }
+
+    // Progression and survival
+    this.distanceSystem.reset();
+    this.difficultyCurveSystem.reset();
+    this.healthSystem.reset();
+    this.scoreSystem.reset();
+    this.powerUpSystem.reset();
+
+    // World motion
+    this.worldAxisSystem.reset();
+    this.worldScrollerSystem.reset();
+    this.spawnBandSystem.reset();
+
+    // Entities and spawners (spawn director unregisters its own hazards first)
+    this.spawnDirectorSystem.reset();
+    this.entityRegistrySystem.clear();
+    if (this.laneEntityVisualSystem) this.laneEntityVisualSystem.cleanup();
+
+    // Collision state
+    this.collisionSystem.reset();
+    this.collisionConsumptionSystem.clear();
+
+    // Player back to the center lane at cruise height
+    this.playerActionStateSystem.reset();
+    this.playerMovementPipeline.reset();
+    this.playerIntentSystem.clear();
+    this.playerController.reset();
+    this.playerEntity.reset();
+    this.laneController.setCurrentLane(1);
+
+    // Visuals follow the zeroed scroll offsets; interpolation history is stale
+    if (this.groundSegmentSystem) this.groundSegmentSystem.updateScroll(0);
+    if (this.skySystem) this.skySystem.updateScroll(0);
+    if (this.renderInterpolationSystem) this.renderInterpolationSystem.clear();
+
+    // Mode state
+    this.simulationTime = 0;
+    this.currentPhase = GAME_PHASES.GRACE;
+    this.phaseStartTime = this.simulationTime;
+    this.lastDistanceLog = null;
+    this.debugLogTimer = 0;
+    this.gameState.status = 'playing';
+    this.gameState.time = 0;
+
+    logger.info('[EndlessMode] Restarted - new run in GRACE phase');
+  }
+
   // Game phase management - authoritative control owned by EndlessMode only
   setPhase(newPhase, currentTime) {
     if (this.currentPhase === newPhase) return; // No change
@@ -4391,9 +5340,115 @@ class EndlessMode {
     return this.currentPhase === phase;
   }
 
+  // 'keyboard' (keys, gamepad, touch) or 'pointer' (lane under the pointer, pointer height as altitude)
+  setControlScheme(scheme) {
+    console.assert(scheme === 'keyboard' || scheme === 'pointer', `[EndlessMode] ERROR: Unknown control scheme ${scheme}`);
+
+    this.controlScheme = scheme;
+    this.playerIntentSystem.setControlScheme(scheme, scheme === 'pointer'
+      ? (input) => this.planeController.getPointerIntent(
+        input,
+        this.playerMovementPipeline.getTargetLane(),
+        this.playerEntity.getPosition().y
+      )
+      : null);
+    logger.info(`[EndlessMode] Control scheme: ${scheme}`);
+  }
+
+  getControlScheme() {
+    return this.controlScheme;
+  }
+
+  // Seed of the shared random source (quote it to reproduce this run)
+  getSeed() {
+    return this.random.getSeed();
+  }
+
+  // Read-only snapshot for the HUD
+  getHudState() {
+    return {
+      distance: this.distanceSystem.getDistanceTravelled(),
+      level: this.difficultyCurveSystem.getCurrentLevel(),
+      levelProgress: this.difficultyCurveSystem.getLevelProgress(),
+      lives: this.healthSystem.getLives(),
+      coins: this.scoreSystem.getCoinValue(), // Worth, not count - a gold coin shows as +5
+      score: this.scoreSystem.getScore(),
+      multiplier: this.scoreSystem.getMultiplier(),
+      powerUps: this.powerUpSystem.getActiveState()
+    };
+  }
+
+  // Read-only snapshot for power-up visuals (shield bubble follows the plane)
+  getPowerUpState() {
+    return {
+      active: this.powerUpSystem.getActiveState(),
+      playerPosition: this.playerEntity.getPosition()
+    };
+  }
+
+  // Read-only snapshot for the soundscape and adaptive music
+  getAudioState() {
+    const intent = this.playerIntentSystem.getCurrentIntent();
+    return {
+      speed: this.worldAxisSystem.getSpeed(),
+      baseSpeed: this.worldAxisSystem.baseSpeed,
+      vertical: intent ? intent.vertical : 0,
+      level: this.difficultyCurveSystem.getCurrentLevel(),
+      lives: this.healthSystem.getLives(),
+      isGameOver: this.isInPhase(GAME_PHASES.GAME_OVER)
+    };
+  }
+
+  // Player lane, lane being switched to and remaining cooldown - layouts must be reachable from here
+  getPlayerLaneState() {
+    const targetLane = this.playerMovementPipeline.getTargetLane();
+    return {
+      currentLane: this.playerMovementPipeline.getCurrentLane(),
+      targetLane: targetLane,
+      distanceToTarget: Math.abs(this.playerEntity.getPosition().x - this.laneSystem.getLaneCenter(targetLane)),
+      cooldownRemainingMs: this.playerActionStateSystem.getCurrentState().cooldownRemaining
+    };
+  }
+
+  // Forward speed from here on without slow-mo: the cruise speed, easing toward the difficulty target
+  // at each distance still to fly - layouts must stay reachable as the speed creeps up
+  getSpeedRamp() {
+    const travelled = this.distanceSystem.getDistanceTravelled();
+    return {
+      speed: this.worldAxisSystem.getCruiseSpeed(),
+      maxAcceleration: this.worldAxisSystem.maxAcceleration,
+      targetSpeedAt: (distanceAhead) =>
+        this.worldAxisSystem.baseSpeed * this.difficultyCurveSystem.getSpeedMultiplierAt(travelled + distanceAhead)
+    };
+  }
+
+  // Active RunPlayback (null for live runs) - playback covers a single run
+  getPlayback() {
+    return this.playback;
+  }
+
+  // Replay document for the current run (null during playback)
+  getReplay() {
+    return this.runRecorder ? this.runRecorder.toJSON() : null;
+  }
+
+  // Programmatic run summary (used by headless runs and end-of-run screens)
+  getRunResult() {
+    return {
+      distance: this.distanceSystem.getDistanceTravelled(),
+      coins: this.scoreSystem.getCoinsCollected(),
+      coinValue: this.scoreSystem.getCoinValue(),
+      score: this.scoreSystem.getScore(),
+      lives: this.healthSystem.getLives(),
+      phase: this.currentPhase,
+      time: this.gameState ? this.gameState.time : 0,
+      seed: this.getSeed()
+    };
+  }
+
   // Update game phases based on current state and time
   updateGamePhases(deltaTime) {
-    const currentTime = performance.now();
+    const currentTime = this.simulationTime;
     const elapsedInPhase = this.getPhaseElapsedTime(currentTime);
 
     switch (this.currentPhase) {
@@ -4423,55 +5478,6 @@ class EndlessMode {
         break;
     }
   }
-
-  // Process single obstacle collision intents and handle damage/destruction
-  processSingleObstacleCollisions(collisionIntents) {
-    const domainEvents = [];
-    const obstacleCollisions = collisionIntents.filter(intent =>
-      intent.type === 'COLLISION' &&
-      intent.target &&
-      intent.target.type === 'OBSTACLE'
-    );
-
-    // Process each obstacle collision (should only be one)
-    for (const collision of obstacleCollisions) {
-      const obstacle = collision.target;
-
-      // Apply damage to player (1 life)
-      const damageApplied = this.healthSystem.applyDamage(1);
-      if (damageApplied > 0) {
-        if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-          logger.info(`[EndlessMode] Player hit obstacle ${obstacle.id}, lost ${damageApplied} life(s)`);
-        }
-
-        // Transition to HIT_RECOVERY phase
-        this.setPhase(GAME_PHASES.HIT_RECOVERY, performance.now());
-
-        // Create collision domain event
-        const domainEvent = {
-          type: 'COLLISION',
-          obstacleId: obstacle.id,
-          laneIndex: collision.laneIndex,
-          zDistance: collision.zDistance,
-          damage: damageApplied
-        };
-        domainEvents.push(domainEvent);
-
-        // Immediately unregister and destroy obstacle
-        this.entityRegistrySystem.unregister(obstacle);
-        if (obstacle.destroy) {
-          obstacle.destroy();
-        }
-
-        // Mark obstacle as collided - spawner will respawn only after BEHIND_CLEANUP recycling
-        if (window.DebugConfig && window.DebugConfig.ENABLE_OBSTACLE_LOGS) {
-          logger.info(`[EndlessMode] Obstacle ${obstacle.id} destroyed after collision - will respawn after recycling`);
-        }
-      }
-    }
-
-    return domainEvents;
-  }
 }
 
 // Make available globally for script loading
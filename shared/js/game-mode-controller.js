@@ -256,6 +256,7 @@
       var secondaryLabel = document.getElementById('secondaryLabel');
       var energyBar = document.getElementById('energyBar');
       var header = document.querySelector('.header');
+      var headerTitle = document.querySelector('.header__title-wrap');
 
       // Configure UI based on mode
       if (mode === 'endless') {
@@ -270,11 +271,17 @@
         if (secondaryUI) secondaryUI.style.display = 'block';
       }
 
-      // Hide header for clean game view (show only game world)
-      if (header) header.style.display = 'none';
+      if (mode === 'endless') {
+        // Endless mode: keep the HUD (level, distance, coins, lives), drop only the title
+        if (headerTitle) headerTitle.style.display = 'none';
+        if (gameUI) gameUI.style.display = 'block';
+      } else {
+        // Hide header for clean game view (show only game world)
+        if (header) header.style.display = 'none';
+        if (gameUI) gameUI.style.display = 'none'; // Hide UI overlays for clean view
+      }
 
       // Show unified UI elements
-      if (gameUI) gameUI.style.display = 'none'; // Hide UI overlays for clean view
       if (gameWorld) {
         gameWorld.style.display = 'block';
         gameWorld.style.zIndex = '10';
@@ -0,0 +1,804 @@
+// Headless Endless runner - loads the browser scripts into a Node VM context
+// No DOM, no WebGL: EndlessMode runs with NullWorld and ScriptedInput
+//
+// Usage:
+//   node tools/headless-run.js [--frames N] [--seed S] [--chunks file.json] [--verbose]
+//   node tools/headless-run.js --fuzz SEEDS [--frames N] [--chunks file.json]
+//   node tools/headless-run.js --check-replay SEEDS
+//   node tools/headless-run.js --check-determinism SEEDS
+//   node tools/headless-run.js --check-lane-input
+//   node tools/headless-run.js --check-collision
+//   node tools/headless-run.js --check-coins SEEDS [--frames N]
+//   node tools/headless-run.js --check-power-ups
+//   node tools/headless-run.js --check-scoring
+//
+// As a module:
+//   const { loadEndless } = require('./tools/headless-run');
+//   const game = loadEndless();
+//   const result = game.runHeadless({ maxFrames: 3600 });
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Scripts in index.html load order, minus presentation-only modules
+const SCRIPTS = [
+  'shared/js/three.min.js',
+  'shared/js/utils.js',
+  'shared/js/logger.js',
+  'core/config/DebugConfig.js',
+  'core/config/SpawnChunks.js',
+  'core/SeededRandom.js',
+  'core/InputActionMap.js',
+  'core/entities/PlayerEntity.js',
+  'core/entities/ObstacleEntity.js',
+  'core/entities/CoinEntity.js',
+  'core/entities/PowerUpEntity.js',
+  'core/controllers/PlayerController.js',
+  'core/systems/LaneInputBufferSystem.js',
+  'core/systems/PlayerMovementPipelineSystem.js',
+  'core/systems/SpawnChunkLibrary.js',
+  'core/systems/LayoutSolvabilityValidator.js',
+  'core/systems/BoundsCollisionSystem.js',
+  'core/systems/CoinFormationSystem.js',
+  'core/systems/PowerUpSystem.js',
+  'core/systems/SpawnDirectorSystem.js',
+  'core/systems/RunReplaySystem.js',
+  'games/top-rug/js/game.js'
+];
+
+const quietConsole = {
+  log() {},
+  info() {},
+  debug() {},
+  warn: console.warn.bind(console),
+  error: console.error.bind(console),
+  assert: console.assert.bind(console)
+};
+
+// Create a fresh VM context with the game scripts loaded, returns AviatorEndlessGame
+function loadEndless(options = {}) {
+  const sandbox = {
+    console: options.verbose ? console : quietConsole,
+    performance: performance,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout
+  };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  sandbox.globalThis = sandbox;
+
+  const context = vm.createContext(sandbox);
+
+  for (const script of SCRIPTS) {
+    const file = path.join(ROOT, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+
+  // Keep per-spawn info logs out of batch runs unless asked for
+  if (!options.verbose) {
+    sandbox.logger.setLevel(options.logLevel !== undefined ? options.logLevel : 1); // WARN
+  }
+
+  return sandbox.AviatorEndlessGame;
+}
+
+// Layout fuzzing - an autopilot flies the path LayoutSolvabilityValidator proved for every spawn,
+// across many seeds. Any life lost means a spawned layout was not actually solvable. Power-ups stay off:
+// a shield would absorb the hit and slow-mo would change the speed the plan was timed for.
+function fuzzLayouts(game, options = {}) {
+  const seedCount = options.seeds || 1000;
+  const maxFrames = options.maxFrames || 60 * 40; // Long enough to reach level 5
+  const deltaTime = 1 / 60;
+
+  const totals = { runs: 0, frames: 0, chunksSpawned: 0, rejectedChunks: 0, repairedChunks: 0, removedObstacles: 0 };
+  const failures = [];
+
+  for (let seed = 1; seed <= seedCount; seed++) {
+    const run = game.createHeadlessRun({ seed: seed, chunks: options.chunks, powerUps: { spawnChance: 0 } });
+    const mode = run.mode;
+    const director = mode.spawnDirectorSystem;
+    const startLives = mode.getRunResult().lives;
+
+    let plan = [];
+    let planStep = 0;
+    let plannedChunks = -1;
+    let frame = 0;
+    for (; frame < maxFrames; frame++) {
+      // Re-plan whenever the director adds a chunk
+      const chunksSpawned = director.getStats().chunksSpawned;
+      if (chunksSpawned !== plannedChunks) {
+        const result = director.layoutValidator.validate(
+          director.getHazards(),
+          mode.getSpeedRamp(),
+          mode.getPlayerLaneState()
+        );
+        if (!result.solvable) {
+          failures.push({ seed: seed, frame: frame, reason: `no path at z ${result.blockedZ.toFixed(0)}` });
+          break;
+        }
+        plan = result.actions;
+        planStep = 0;
+        plannedChunks = chunksSpawned;
+      }
+
+      const action = planStep < plan.length ? plan[planStep++] : 0;
+      run.step(deltaTime, action < 0 ? ['ArrowLeft'] : action > 0 ? ['ArrowRight'] : []);
+
+      const result = mode.getRunResult();
+      if (result.lives < startLives || mode.powerUpSystem.getStats().absorbed > 0) {
+        failures.push({ seed: seed, frame: frame, reason: `hit at distance ${result.distance.toFixed(0)}` });
+        break;
+      }
+    }
+
+    const stats = director.getStats();
+    totals.runs++;
+    totals.frames += frame;
+    totals.chunksSpawned += stats.chunksSpawned;
+    totals.rejectedChunks += stats.rejectedChunks;
+    totals.repairedChunks += stats.repairedChunks;
+    totals.removedObstacles += stats.removedObstacles;
+    run.destroy();
+  }
+
+  return { ...totals, failures: failures };
+}
+
+// Replay checks - a recorded run with scripted lane presses, played back from its replay document, must end
+// with the same run result (game-over steps included - the run goes on a second past its death)
+function checkReplay(game, options = {}) {
+  const seedCount = options.seeds || 10;
+  const maxFrames = options.maxFrames || 60 * 60;
+  const gameOverFrames = 60;
+  const deltaTime = 1 / 60;
+  const results = [];
+
+  for (let seed = 1; seed <= seedCount; seed++) {
+    // Presses vary with the seed so runs don't all take the same path
+    const period = 40 + seed * 7;
+    const keysAt = frame => (frame % period === 0 ? ['ArrowLeft'] : frame % period === Math.floor(period / 2) ? ['ArrowRight'] : []);
+
+    const live = game.createHeadlessRun({ seed: seed });
+    let deadFrames = 0;
+    for (let frame = 0; frame < maxFrames && deadFrames < gameOverFrames; frame++) {
+      if (live.step(deltaTime, keysAt(frame)) === 'GAME_OVER') {
+        deadFrames++;
+      }
+    }
+    const expected = live.getResult();
+    const replay = JSON.stringify(live.getReplay());
+    live.destroy();
+
+    const played = game.createHeadlessRun({ playback: game.parseReplay(replay) });
+    while (!played.isPlaybackFinished()) {
+      played.step(deltaTime);
+    }
+    const actual = played.getResult();
+    played.destroy();
+
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    results.push({ seed: seed, passed: passed, expected: expected, actual: actual });
+  }
+
+  return { runs: results, failures: results.filter(result => !result.passed).map(result => result.seed) };
+}
+
+// Determinism checks - the same seed and scripted presses must spawn the same chunks at the same positions and
+// end with the same result; a different seed with the same presses must spawn differently (the RNG really is
+// the seed's)
+function checkDeterminism(game, options = {}) {
+  const seedCount = options.seeds || 5;
+  const maxFrames = options.maxFrames || 60 * 30;
+  const deltaTime = 1 / 60;
+  const results = [];
+
+  // Every spawned entity in spawn order with the chunk it came with, then the run result
+  // Presses follow the script's period (varied per checked seed, as in checkReplay), not the run's seed
+  const trace = (seed, period) => {
+    const keysAt = frame => (frame % period === 0 ? ['ArrowLeft'] : frame % period === Math.floor(period / 2) ? ['ArrowRight'] : []);
+    const run = game.createHeadlessRun({ seed: seed });
+    const director = run.mode.spawnDirectorSystem;
+    const seen = new Set();
+    const spawns = [];
+    for (let frame = 0; frame < maxFrames; frame++) {
+      if (run.step(deltaTime, keysAt(frame)) === 'GAME_OVER') break;
+      for (const [entity, placement] of director.spawned) {
+        if (seen.has(entity.id)) continue;
+        seen.add(entity.id);
+        spawns.push([frame, director.lastChunkId, entity.id, entity.type, entity.laneIndex, entity.x, entity.y, placement.baseZ]);
+      }
+    }
+    const result = run.getResult();
+    run.destroy();
+    return { spawns: JSON.stringify(spawns), result: JSON.stringify(result) };
+  };
+
+  for (let seed = 1; seed <= seedCount; seed++) {
+    const period = 40 + seed * 7;
+    const first = trace(seed, period);
+    const again = trace(seed, period);
+    const repeated = first.spawns === again.spawns && first.result === again.result;
+    const seedMatters = first.spawns !== trace(seed + seedCount, period).spawns; // The result carries the seed itself
+    results.push({ seed: seed, passed: repeated && seedMatters, repeated: repeated, seedMatters: seedMatters });
+  }
+
+  return { runs: results, failures: results.filter(result => !result.passed).map(result => result.seed) };
+}
+
+// Lane input checks - scripted presses against a live pipeline, asserting exactly how many lane
+// switches each one produces (LaneInputBufferSystem must neither drop nor double a press)
+// Scenario script: frame -> held key codes (or pointer X with controlScheme 'pointer'); setup runs first
+// (e.g. move to an edge lane, stun the player)
+const LANE_INPUT_SCENARIOS = [
+  {
+    name: 'single tap switches once',
+    keys: { 0: ['ArrowRight'] },
+    expected: { switches: 1, lane: 2 }
+  },
+  {
+    name: 'hold shorter than the repeat delay switches once',
+    keys: range(0, 15, ['ArrowLeft']),
+    expected: { switches: 1, lane: 0 }
+  },
+  {
+    name: 'press during lane switch cooldown is buffered, not lost',
+    keys: { 0: ['ArrowLeft'], 3: ['ArrowRight'] },
+    expected: { switches: 2, lane: 1 }
+  },
+  {
+    name: 'three quick taps make three switches',
+    startLane: 0,
+    keys: { 0: ['ArrowRight'], 2: ['ArrowLeft'], 4: ['ArrowRight'] },
+    expected: { switches: 3, lane: 1 }
+  },
+  {
+    name: 'press late in a stun executes when the stun ends',
+    stunMs: 200,
+    keys: { 8: ['ArrowRight'] },
+    expected: { switches: 1, lane: 2, firstSwitchFrame: 12 }
+  },
+  {
+    name: 'press early in a long stun expires',
+    stunMs: 500,
+    keys: { 2: ['ArrowRight'] },
+    expected: { switches: 0, lane: 1 }
+  },
+  {
+    name: 'hold auto-repeats after the delay',
+    startLane: 0,
+    keys: range(0, 40, ['ArrowRight']),
+    expected: { switches: 2, lane: 2, firstSwitchFrame: 0 }
+  },
+  {
+    name: 'hold without auto-repeat switches once',
+    laneInput: { autoRepeat: false },
+    startLane: 0,
+    keys: range(0, 60, ['ArrowRight']),
+    expected: { switches: 1, lane: 1 }
+  },
+  {
+    name: 'pointer two lanes away switches again as soon as the cooldown allows',
+    controlScheme: 'pointer',
+    startLane: 0,
+    mouse: { 0: 0.9 },
+    expected: { switches: 2, lane: 2, firstSwitchFrame: 0, lastSwitchFrame: 6 }
+  },
+  {
+    name: 'pointer moved back during the cooldown does not overshoot',
+    controlScheme: 'pointer',
+    startLane: 0,
+    mouse: { 0: 0.9, 1: 0, 2: 0.9, 3: 0 },
+    expected: { switches: 1, lane: 1 }
+  }
+];
+
+// Pointer X (-1..1) over the center of a lane (3 lanes across the screen)
+const POINTER_LANE_X = [-0.67, 0, 0.67];
+
+function range(from, to, keys) {
+  const frames = {};
+  for (let frame = from; frame < to; frame++) {
+    frames[frame] = keys;
+  }
+  return frames;
+}
+
+function checkLaneInput(game) {
+  const deltaTime = 1 / 60;
+  const results = [];
+
+  for (const scenario of LANE_INPUT_SCENARIOS) {
+    const run = game.createHeadlessRun({ seed: 1, laneInput: scenario.laneInput, controlScheme: scenario.controlScheme });
+    const mode = run.mode;
+
+    // Setup: walk (or point) to the start lane and let the switch land and cool down
+    const startLane = scenario.startLane !== undefined ? scenario.startLane : 1;
+    if (scenario.controlScheme === 'pointer') {
+      run.input.setMouse(POINTER_LANE_X[startLane], 0);
+    } else {
+      for (let lane = 1; lane !== startLane; lane += Math.sign(startLane - 1)) {
+        run.step(deltaTime, [startLane < 1 ? 'ArrowLeft' : 'ArrowRight']);
+      }
+    }
+    for (let frame = 0; frame < 60; frame++) {
+      run.step(deltaTime, []);
+    }
+    if (scenario.stunMs) {
+      mode.playerActionStateSystem.applyStun(scenario.stunMs);
+    }
+
+    let switches = 0;
+    let firstSwitchFrame = null;
+    let lastSwitchFrame = null;
+    let lane = mode.playerMovementPipeline.getTargetLane();
+    for (let frame = 0; frame < 90; frame++) {
+      if (scenario.mouse && scenario.mouse[frame] !== undefined) {
+        run.input.setMouse(scenario.mouse[frame], 0);
+      }
+      run.step(deltaTime, (scenario.keys && scenario.keys[frame]) || []);
+      const target = mode.playerMovementPipeline.getTargetLane();
+      if (target !== lane) {
+        switches++;
+        if (firstSwitchFrame === null) firstSwitchFrame = frame;
+        lastSwitchFrame = frame;
+        lane = target;
+      }
+    }
+
+    const actual = { switches: switches, lane: lane, firstSwitchFrame: firstSwitchFrame, lastSwitchFrame: lastSwitchFrame };
+    const passed = Object.keys(scenario.expected).every(key => scenario.expected[key] === actual[key]);
+    results.push({ name: scenario.name, passed: passed, expected: scenario.expected, actual: actual });
+    run.destroy();
+  }
+
+  return { scenarios: results, failures: results.filter(result => !result.passed).map(result => result.name) };
+}
+
+// Placed-entity scenarios shared by the collision, power-up and scoring checks: a run reaches PLAYING past
+// the collision grace period, settled in startLane (default the middle lane) with chunk spawning off, then
+// the scenario's entities are placed by hand and the run steps with its keys
+// scenario: { name, place, keys, startLane, collision (mode option), speed, frames, expected }
+// place: [{ type, kind, lane, tier, contactFrame }] - contactFrame is the frame the entity reaches the plane's
+// Z (fractional frames land between two steps); lane defaults to the plane's, tier to 'mid'
+// keys: frame (counted from placement) -> held keys, as in LANE_INPUT_SCENARIOS
+// speed: forward speed (units/second) forced after the warm-up
+// options: { frames (default steps to run), observe(mode, observed) after every step,
+//   actual(before, after, mode, observed) -> values compared against expected }
+// before/after: { result: getRunResult(), score: getScoreState() } at placement and after the last step
+function runPlacementScenarios(game, scenarios, options) {
+  const deltaTime = 1 / 60;
+  const results = [];
+
+  for (const scenario of scenarios) {
+    const run = game.createHeadlessRun({ seed: 1, collision: scenario.collision });
+    const mode = run.mode;
+    const director = mode.spawnDirectorSystem;
+    director.nextChunkDistance = Infinity; // Only the scenario's entities in the world
+
+    const startLane = scenario.startLane !== undefined ? scenario.startLane : 1;
+    for (let frame = 0; frame < 300; frame++) {
+      const moving = frame === 0 && startLane !== 1;
+      run.step(deltaTime, moving ? [startLane < 1 ? 'ArrowLeft' : 'ArrowRight'] : []);
+    }
+    if (scenario.speed) {
+      mode.worldAxisSystem.baseSpeed = scenario.speed;
+      mode.worldAxisSystem.cruiseSpeed = scenario.speed;
+    }
+
+    const snapshot = () => ({ result: mode.getRunResult(), score: mode.scoreSystem.getScoreState() });
+    const before = snapshot();
+    const stepDistance = (scenario.speed || mode.distanceSystem.getSpeed()) * deltaTime;
+    for (const entry of scenario.place) {
+      director.spawnPlacement({
+        type: entry.type,
+        kind: entry.kind,
+        laneIndex: entry.lane !== undefined ? entry.lane : startLane,
+        z: stepDistance * (entry.contactFrame + 1),
+        y: director.getTierY(entry.tier || 'mid')
+      }, mode.distanceSystem.getDistanceTravelled());
+    }
+
+    const observed = {};
+    const frames = scenario.frames || options.frames;
+    for (let frame = 0; frame < frames; frame++) {
+      run.step(deltaTime, (scenario.keys && scenario.keys[frame]) || []);
+      if (options.observe) {
+        options.observe(mode, observed);
+      }
+    }
+
+    const actual = options.actual(before, snapshot(), mode, observed);
+    const passed = Object.keys(scenario.expected).every(key => scenario.expected[key] === actual[key]);
+    results.push({ name: scenario.name, passed: passed, expected: scenario.expected, actual: actual });
+    run.destroy();
+  }
+
+  return { scenarios: results, failures: results.filter(result => !result.passed).map(result => result.name) };
+}
+
+// Collision checks - hazards and coins placed by hand against scripted lane switches, asserting whether
+// the plane's swept hitbox touches them (mid-switch lanes count, forgiveness margins apply)
+// actual: hits (lives lost), coins (coins collected), candidates (most broadphase candidates in a step)
+const COLLISION_SCENARIOS = [
+  {
+    name: 'plane crossing a lane mid-switch is hit there',
+    startLane: 0,
+    place: [{ type: 'obstacle', lane: 1, contactFrame: 8 }],
+    keys: { 0: ['ArrowRight'], 6: ['ArrowRight'] },
+    expected: { hits: 1, coins: 0 }
+  },
+  {
+    name: 'plane that left the lane in time is not hit',
+    place: [{ type: 'obstacle', contactFrame: 40 }],
+    keys: { 0: ['ArrowLeft'] },
+    expected: { hits: 0, coins: 0 }
+  },
+  {
+    name: 'leaving the lane too late clips the hazard',
+    place: [{ type: 'obstacle', contactFrame: 6 }],
+    keys: { 0: ['ArrowLeft'] },
+    expected: { hits: 1, coins: 0 }
+  },
+  {
+    name: 'graze inside the default forgiveness is not a hit',
+    place: [{ type: 'obstacle', contactFrame: 12 }],
+    keys: { 0: ['ArrowLeft'] },
+    expected: { hits: 0, coins: 0 }
+  },
+  {
+    name: 'same graze without forgiveness is a hit',
+    collision: { hazardForgiveness: { x: 0 } },
+    place: [{ type: 'obstacle', contactFrame: 12 }],
+    keys: { 0: ['ArrowLeft'] },
+    expected: { hits: 1, coins: 0 }
+  },
+  {
+    name: 'coin in a lane being crossed is collected',
+    startLane: 0,
+    place: [{ type: 'coin', lane: 1, contactFrame: 8 }],
+    keys: { 0: ['ArrowRight'], 6: ['ArrowRight'] },
+    expected: { hits: 0, coins: 1 }
+  },
+  {
+    name: 'hazard faster than the hitbox is deep can\'t tunnel between two steps',
+    speed: 3000, // 50 units a step - past the hitbox in one step, 25 units either side of it
+    place: [{ type: 'obstacle', contactFrame: 20.5 }],
+    expected: { hits: 1 }
+  },
+  {
+    name: 'hazards in the other lanes never reach the narrowphase',
+    place: [
+      { type: 'obstacle', lane: 0, contactFrame: 20 },
+      { type: 'obstacle', lane: 2, contactFrame: 20 }
+    ],
+    expected: { hits: 0, candidates: 0 }
+  },
+  {
+    name: 'only the hazard sharing the plane\'s lane and Z slice is a candidate',
+    place: [
+      { type: 'obstacle', lane: 0, contactFrame: 20 },
+      { type: 'obstacle', contactFrame: 20 },
+      { type: 'obstacle', lane: 2, contactFrame: 20 },
+      { type: 'obstacle', contactFrame: 80 }
+    ],
+    frames: 30,
+    expected: { hits: 1, candidates: 1 }
+  }
+];
+
+function checkCollision(game) {
+  return runPlacementScenarios(game, COLLISION_SCENARIOS, {
+    frames: 90,
+    observe: (mode, observed) => {
+      observed.candidates = Math.max(observed.candidates || 0, mode.collisionSystem.getStats().candidates);
+    },
+    actual: (before, after, mode, observed) => ({
+      hits: before.result.lives - after.result.lives,
+      coins: after.result.coins - before.result.coins,
+      candidates: observed.candidates
+    })
+  });
+}
+
+// Coin formation checks - long runs with collisions off (so spawning never pauses), failing if any coin
+// sits where a player collecting it would touch a hazard: the player hitbox is flown one step through each
+// coin's position and swept against every hazard with BoundsCollisionSystem's own hazard test
+function checkCoinFormations(game, options = {}) {
+  const seedCount = options.seeds || 50;
+  const maxFrames = options.maxFrames || 60 * 40;
+  const deltaTime = 1 / 60;
+
+  const totals = { runs: 0, formations: 0, coins: 0, rejected: 0, byShape: {} };
+  const failures = [];
+
+  for (let seed = 1; seed <= seedCount; seed++) {
+    const run = game.createHeadlessRun({ seed: seed });
+    const mode = run.mode;
+    const formations = mode.coinFormationSystem;
+    const collision = mode.collisionSystem;
+    const Bounds = collision.constructor; // BoundsCollisionSystem (static sweep helpers)
+    collision.gracePeriodSeconds = Infinity; // Fly through everything
+
+    // Forgiven player hitbox centered half a step before / after a coin (the plane flies through it)
+    const half = mode.playerEntity.hitboxHalfExtents;
+    const forgiven = { x: -collision.hazardForgiveness.x, y: -collision.hazardForgiveness.y, z: -collision.hazardForgiveness.z };
+    const hitboxAt = (coin, offsetZ) => Bounds.inflate({
+      min: { x: coin.position.x - half.x, y: coin.y - half.y, z: coin.z + offsetZ - half.z },
+      max: { x: coin.position.x + half.x, y: coin.y + half.y, z: coin.z + offsetZ + half.z }
+    }, forgiven);
+
+    let checkedCoins = 0;
+    for (let frame = 0; frame < maxFrames && failures.length === 0; frame++) {
+      run.step(deltaTime, []);
+
+      // Formations only appear with a new chunk - check the world once per batch
+      const stats = formations.getStats();
+      if (stats.coins === checkedCoins) continue;
+      checkedCoins = stats.coins;
+
+      const hazards = mode.entityRegistrySystem.getByType('OBSTACLE');
+      const halfStep = mode.distanceSystem.getSpeed() * deltaTime / 2;
+      for (const coin of mode.entityRegistrySystem.getByType('coin')) {
+        const start = hitboxAt(coin, -halfStep);
+        const end = hitboxAt(coin, halfStep);
+        const hazard = hazards.find(candidate => {
+          const bounds = candidate.getBounds();
+          return Bounds.sweepPair(start, end, bounds, bounds) !== null;
+        });
+        if (hazard) {
+          failures.push({ seed: seed, frame: frame, reason: `coin ${coin.id} overlaps hazard ${hazard.id} (lane ${coin.laneIndex}, z ${coin.z.toFixed(0)})` });
+          break;
+        }
+      }
+    }
+
+    const stats = formations.getStats();
+    totals.runs++;
+    totals.formations += stats.formations;
+    totals.coins += stats.coins;
+    totals.rejected += stats.rejected;
+    for (const shape of Object.keys(stats.byShape)) {
+      totals.byShape[shape] = (totals.byShape[shape] || 0) + stats.byShape[shape];
+    }
+    run.destroy();
+  }
+
+  return { ...totals, failures: failures };
+}
+
+// Power-up checks - power-ups, hazards and coins placed by hand in the plane's path (runPlacementScenarios),
+// asserting each effect once collected
+// actual: hits (lives lost), coins (coin value), absorbed (shield), active (running kinds), shieldSeconds
+// (whole seconds left, rounded up), slowed (forward speed below cruise)
+const POWER_UP_SCENARIOS = [
+  {
+    name: 'shield absorbs one hit, the next one lands',
+    place: [
+      { type: 'powerup', kind: 'shield', contactFrame: 5 },
+      { type: 'obstacle', contactFrame: 30 },
+      { type: 'obstacle', contactFrame: 60 }
+    ],
+    expected: { hits: 1, absorbed: 1, active: '' }
+  },
+  {
+    name: 'double coins doubles coin value',
+    place: [
+      { type: 'powerup', kind: 'doubleCoins', contactFrame: 5 },
+      { type: 'coin', contactFrame: 30 }
+    ],
+    expected: { coins: 2, active: 'doubleCoins' }
+  },
+  {
+    name: 'slow-mo lowers the forward speed',
+    place: [{ type: 'powerup', kind: 'slowMo', contactFrame: 5 }],
+    expected: { slowed: true, active: 'slowMo' }
+  },
+  {
+    name: 'slow-mo wears off and the speed comes back',
+    place: [{ type: 'powerup', kind: 'slowMo', contactFrame: 5 }],
+    frames: 420,
+    expected: { slowed: false, active: '' }
+  },
+  {
+    name: 'coin in another lane is missed without a magnet',
+    place: [{ type: 'coin', lane: 0, contactFrame: 40 }],
+    expected: { coins: 0 }
+  },
+  {
+    name: 'magnet pulls a coin in another lane into the plane',
+    place: [
+      { type: 'powerup', kind: 'magnet', contactFrame: 5 },
+      { type: 'coin', lane: 0, contactFrame: 40 }
+    ],
+    expected: { coins: 1, active: 'magnet' }
+  },
+  {
+    name: 'stacked shields are capped at the maximum duration',
+    place: [
+      { type: 'powerup', kind: 'shield', contactFrame: 5 },
+      { type: 'powerup', kind: 'shield', contactFrame: 20 },
+      { type: 'powerup', kind: 'shield', contactFrame: 35 }
+    ],
+    expected: { active: 'shield', shieldSeconds: 19 }
+  }
+];
+
+function checkPowerUps(game) {
+  return runPlacementScenarios(game, POWER_UP_SCENARIOS, {
+    frames: 90,
+    actual: (before, after, mode) => {
+      const powerUps = mode.powerUpSystem;
+      return {
+        hits: before.result.lives - after.result.lives,
+        coins: after.result.coinValue - before.result.coinValue,
+        absorbed: powerUps.getStats().absorbed,
+        active: powerUps.getActiveState().map(effect => effect.kind).join(','),
+        shieldSeconds: Math.ceil(powerUps.getRemaining('shield')),
+        slowed: mode.distanceSystem.getSpeed() < mode.worldAxisSystem.getCruiseSpeed() * 0.9
+      };
+    }
+  });
+}
+
+// Scoring checks - coins, hazards and power-ups placed by hand (runPlacementScenarios), asserting the
+// combo, multiplier and points ScoreSystem derives from the resulting domain events
+// actual: hits, dodges, combo, bestCombo, multiplier, bonuses and coinPoints (points earned from coins)
+const SCORING_SCENARIOS = [
+  {
+    name: 'swerving out of a hazard\'s lane is a dodge',
+    place: [{ type: 'obstacle', contactFrame: 20 }],
+    keys: { 5: ['ArrowRight'] },
+    expected: { hits: 0, dodges: 1, combo: 1 }
+  },
+  {
+    name: 'hazards passing in a far lane or tier don\'t extend the combo',
+    place: [
+      { type: 'coin', contactFrame: 10 },
+      { type: 'obstacle', lane: 0, contactFrame: 20 },
+      { type: 'obstacle', lane: 2, contactFrame: 25 },
+      { type: 'obstacle', tier: 'high', contactFrame: 30 }
+    ],
+    expected: { hits: 0, dodges: 0, combo: 1 }
+  },
+  {
+    name: 'a hit is not a dodge and resets the combo',
+    place: [
+      { type: 'coin', contactFrame: 10 },
+      { type: 'coin', contactFrame: 15 },
+      { type: 'coin', contactFrame: 20 },
+      { type: 'obstacle', contactFrame: 40 }
+    ],
+    expected: { hits: 1, dodges: 0, combo: 0, bestCombo: 3 }
+  },
+  {
+    name: 'a hit absorbed by a shield keeps the combo',
+    place: [
+      { type: 'powerup', kind: 'shield', contactFrame: 5 },
+      { type: 'coin', contactFrame: 15 },
+      { type: 'coin', contactFrame: 20 },
+      { type: 'obstacle', contactFrame: 40 }
+    ],
+    expected: { hits: 0, dodges: 0, combo: 2 }
+  },
+  {
+    name: 'ten in a row raise the multiplier with a bonus, later coins count double',
+    place: Array.from({ length: 11 }, (_, i) => ({ type: 'coin', contactFrame: 10 + i * 5 })),
+    expected: { combo: 11, multiplier: 2, bonuses: 1, coinPoints: 10 * 10 + 20 }
+  },
+  {
+    name: 'dodges and pickups share one combo',
+    place: [
+      ...Array.from({ length: 5 }, (_, i) => ({ type: 'coin', contactFrame: 10 + i * 5 })),
+      ...Array.from({ length: 5 }, (_, i) => ({ type: 'obstacle', contactFrame: 50 + i * 5 }))
+    ],
+    keys: { 32: ['ArrowRight'] },
+    expected: { hits: 0, dodges: 5, combo: 10, multiplier: 2 }
+  }
+];
+
+function checkScoring(game) {
+  return runPlacementScenarios(game, SCORING_SCENARIOS, {
+    frames: 120,
+    actual: (before, after) => ({
+      hits: before.result.lives - after.result.lives,
+      dodges: after.score.dodges,
+      combo: after.score.combo,
+      bestCombo: after.score.bestCombo,
+      multiplier: after.score.multiplier,
+      bonuses: after.score.bonuses,
+      coinPoints: after.score.pointsBySource.coins - before.score.pointsBySource.coins
+    })
+  });
+}
+
+module.exports = { loadEndless, fuzzLayouts, checkReplay, checkDeterminism, checkLaneInput, checkCollision, checkCoinFormations, checkPowerUps, checkScoring };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+  };
+
+  const fuzzSeeds = option('--fuzz', null);
+  const game = loadEndless({ verbose: args.includes('--verbose'), logLevel: fuzzSeeds ? 0 : undefined });
+
+  // Designer chunk files are checked up front so a bad file fails the run loudly
+  const chunksFile = option('--chunks', null);
+  let chunks;
+  if (chunksFile) {
+    chunks = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
+    const validation = game.validateChunks(chunks);
+    if (!validation.valid) {
+      process.stderr.write(`Invalid chunk file ${chunksFile}:\n  ${validation.errors.join('\n  ')}\n`);
+      process.exit(1);
+    }
+  }
+
+  const replaySeeds = option('--check-replay', null);
+  if (replaySeeds) {
+    const report = checkReplay(game, { seeds: Number(replaySeeds) });
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  const determinismSeeds = option('--check-determinism', null);
+  if (determinismSeeds) {
+    const report = checkDeterminism(game, { seeds: Number(determinismSeeds) });
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  if (args.includes('--check-lane-input')) {
+    const report = checkLaneInput(game);
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  if (args.includes('--check-collision')) {
+    const report = checkCollision(game);
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  if (args.includes('--check-power-ups')) {
+    const report = checkPowerUps(game);
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  if (args.includes('--check-scoring')) {
+    const report = checkScoring(game);
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  const coinSeeds = option('--check-coins', null);
+  if (coinSeeds) {
+    const report = checkCoinFormations(game, { seeds: Number(coinSeeds), maxFrames: Number(option('--frames', 60 * 40)) });
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  if (fuzzSeeds) {
+    const report = fuzzLayouts(game, {
+      seeds: Number(fuzzSeeds),
+      maxFrames: Number(option('--frames', 60 * 40)),
+      chunks: chunks
+    });
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.failures.length > 0 ? 1 : 0);
+  }
+
+  const result = game.runHeadless({
+    maxFrames: Number(option('--frames', 60 * 60)),
+    modeOptions: { seed: option('--seed', undefined), chunks: chunks }
+  });
+
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}